@@ -0,0 +1,102 @@
+// Stand-in for the generation service, for trying "Send to pipeline" locally.
+//
+//   npm run mock-pipeline
+//   PORT=9000 MOCK_PIPELINE_TOKEN="Bearer secret" MOCK_PIPELINE_FAIL=2,5 npm run mock-pipeline
+//
+// Jobs stay queued for a couple of seconds, run for a few more, then finish.
+// Specs for clusters listed in MOCK_PIPELINE_FAIL fail instead. When
+// MOCK_PIPELINE_TOKEN is set, requests need it as their Authorization header.
+
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.MOCK_PIPELINE_TOKEN || '';
+const FAIL_CLUSTERS = new Set((process.env.MOCK_PIPELINE_FAIL || '').split(',').map(c => c.trim()).filter(Boolean));
+const QUEUED_MS = 2000;
+const RUNNING_MS = 5000;
+
+const jobs = new Map();
+
+const statusOf = (job) => {
+  const age = Date.now() - job.createdAt;
+  if (age < QUEUED_MS) return { status: 'queued' };
+  if (age < QUEUED_MS + RUNNING_MS) return { status: 'running' };
+  return job.fail ? { status: 'failed', error: 'Mock failure requested for this cluster' } : { status: 'done' };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let text = '';
+  req.on('data', chunk => { text += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(text || '{}'));
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+const server = createServer(async (req, res) => {
+  // The app runs on another origin in dev, so answer CORS preflights for any header
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || '*');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (TOKEN && req.headers.authorization !== TOKEN) {
+    send(res, 401, { error: 'Missing or wrong Authorization header' });
+    return;
+  }
+
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'POST' && pathname === '/jobs') {
+    let body;
+    try {
+      body = await readJson(req);
+    } catch {
+      send(res, 400, { error: 'Body is not JSON' });
+      return;
+    }
+    if (!Array.isArray(body.specs) || body.specs.length === 0) {
+      send(res, 400, { error: 'Expected { specs: [spec, ...] }' });
+      return;
+    }
+    const created = body.specs.map(spec => {
+      const job = { id: randomUUID(), cluster_id: spec?.cluster_id ?? null, createdAt: Date.now(), fail: FAIL_CLUSTERS.has(String(spec?.cluster_id)) };
+      jobs.set(job.id, job);
+      return { id: job.id, cluster_id: job.cluster_id, status: 'queued' };
+    });
+    console.log(`Queued ${created.length} job(s) for cluster(s) ${created.map(j => j.cluster_id).join(', ')}`);
+    send(res, 202, { jobs: created });
+    return;
+  }
+
+  const match = pathname.match(/^\/jobs\/([^/]+)$/);
+  if (req.method === 'GET' && match) {
+    const job = jobs.get(decodeURIComponent(match[1]));
+    if (!job) {
+      send(res, 404, { error: 'No such job' });
+      return;
+    }
+    send(res, 200, { id: job.id, cluster_id: job.cluster_id, ...statusOf(job) });
+    return;
+  }
+
+  send(res, 404, { error: `No route for ${req.method} ${pathname}` });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock pipeline listening on http://localhost:${PORT}${TOKEN ? ' (token required)' : ''}`);
+});
@@ -1,151 +1,567 @@
-import React, { useState, useRef } from 'react';
-import Papa from 'papaparse';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar } from 'recharts';
-import { Upload, FileText, TrendingUp, Plus, X } from 'lucide-react';
+import { Upload, FileText, TrendingUp, Plus, X, FileDown, Printer } from 'lucide-react';
+import ReconciliationReport from './components/ReconciliationReport';
+import SchemaDialog from './components/SchemaDialog';
+import FeatureSelector from './components/FeatureSelector';
+import BoxPlot from './components/BoxPlot';
+import VideoTable from './components/VideoTable';
+import ProjectBar from './components/ProjectBar';
+import EmbeddingPlot from './components/EmbeddingPlot';
+import RuleEditor from './components/RuleEditor';
+import SpecErrorList from './components/SpecErrorList';
+import SpecDiff from './components/SpecDiff';
+import ExportDialog from './components/ExportDialog';
+import PromptTemplateEditor from './components/PromptTemplateEditor';
+import RunComparison from './components/RunComparison';
+import ClusterQuality from './components/ClusterQuality';
+import ClusteringPanel from './components/ClusteringPanel';
+import ClusterEditor from './components/ClusterEditor';
+import OutcomePanel from './components/OutcomePanel';
+import TrendPanel from './components/TrendPanel';
+import BulkActions from './components/BulkActions';
+import UploadProgress from './components/UploadProgress';
+import SimilarityPanel from './components/SimilarityPanel';
+import SimilarClusters from './components/SimilarClusters';
+import PipelinePanel from './components/PipelinePanel';
+import PipelineStatus from './components/PipelineStatus';
+import { detectIdColumn, detectClusterColumn, getSharedColumns, joinClusterResults } from './lib/reconcile';
+import { suggestMapping, defaultPolicies, isCleanUpload, applySchema } from './lib/schema';
+import { detectNumericColumns, defaultFeatureSelection, getFeatureLabel, formatFeatureValue, getFeatureUnit, isFiniteNumber } from './lib/features';
+import { RANGE_BASES, pickMetrics, getRange, extent } from './lib/stats';
+import { computeClusterStats } from './lib/clusterStats';
+import { computeFeatureScales, centroidDistances, outlierThreshold, getVideoId } from './lib/distance';
+import { downloadFile, readFileAsText, printHtml } from './lib/download';
+import { parseCsvFile } from './lib/csvParser';
+import { DEFAULT_PRESET, clonePreset, validatePreset } from './lib/rules';
+import {
+  createWorkspace, createWorkspaceFiles, saveProject, loadProject, autosave, autosaveFiles, loadAutosave, validateProjectFile
+} from './lib/projectStore';
+import { DEFAULT_FILENAME_TEMPLATE, DEFAULT_PROMPT_FILENAME_TEMPLATE, buildExportFiles, filenameValues } from './lib/exporters';
+import { createZip } from './lib/zip';
+import { DEFAULT_SAMPLING, cloneTemplates, validTemplates } from './lib/promptTemplates';
+import { suggestOutcomeColumns, rankClusters } from './lib/outcomes';
+import {
+  DEFAULT_TREND_SETTINGS, detectDateColumns, detectTextColumns, textColumnOptions, suggestTrendTokens
+} from './lib/trends';
+import { diffSpecs, changedSections } from './lib/specDiff';
+import { clusterDistanceMatrix, mostSimilarClusters } from './lib/similarity';
+import { buildReportHtml } from './lib/report';
+import {
+  radarProfiles, normalizedMetrics, clusterCharacteristics, suggestApproach as suggestClusterApproach, buildSpec as buildClusterSpec
+} from './lib/analysis';
+import {
+  POLL_INTERVAL_MS, MAX_POLL_ERRORS, isFinished, loadPipelineSettings, storePipelineSettings, submitSpecs, fetchJobStatus
+} from './lib/pipeline';
+import { EMPTY_EDIT_HISTORY, applyClusterEdits, pushEdit, undoEdit, redoEdit } from './lib/clusterEdits';
+import { SPEC_SCHEMA, SPEC_SCHEMA_VERSION, SPEC_SCHEMA_FILE_NAME, migrateSpec, validateSpecs, parseSpecFile } from './lib/specSchema';
+
+const AUTOSAVE_DELAY_MS = 1000;
+// Shared so clusters without pins hand VideoTable the same array every render
+const NO_PINS = [];
+
+// Shared scale per metric for the box plots: global min/max across clusters
+const getBoxDomains = (statsList, keys) => {
+  const domains = {};
+  keys.forEach(key => {
+    const [min] = extent(statsList.map(s => s.metrics[key]?.min)) || [];
+    const [, max] = extent(statsList.map(s => s.metrics[key]?.max)) || [];
+    if (min !== undefined) domains[key] = [min, max];
+  });
+  return domains;
+};
 
 export default function ClusterAnalysisTool() {
   const [interpretationData, setInterpretationData] = useState(null);
   const [clusterResults, setClusterResults] = useState(null);
-  const [clusterStats, setClusterStats] = useState(null);
+  const [clusteredRows, setClusteredRows] = useState(null);
+  const [clusterEdits, setClusterEdits] = useState(EMPTY_EDIT_HISTORY);
   const [selectedCluster, setSelectedCluster] = useState(null);
   const [generationSpecs, setGenerationSpecs] = useState({});
   const [selectedApproaches, setSelectedApproaches] = useState({});
   const [trendTokens, setTrendTokens] = useState({});
+  const [idColumn, setIdColumn] = useState(null);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [pendingUpload, setPendingUpload] = useState(null);
+  const [validationSummary, setValidationSummary] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const [parsing, setParsing] = useState(null);
+  const [numericColumns, setNumericColumns] = useState([]);
+  const [features, setFeatures] = useState([]);
+  const [outcomes, setOutcomes] = useState([]);
+  const [trendSettings, setTrendSettings] = useState(DEFAULT_TREND_SETTINGS);
+  const [rangeBasis, setRangeBasis] = useState('minmax');
+  const [pinnedVideos, setPinnedVideos] = useState({});
+  const [interpretationSource, setInterpretationSource] = useState(null);
+  const [clusterFileName, setClusterFileName] = useState(null);
+  const [projectName, setProjectName] = useState('');
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [restorableSession, setRestorableSession] = useState(null);
+  const [rulePreset, setRulePreset] = useState(() => clonePreset(DEFAULT_PRESET));
+  const [promptTemplates, setPromptTemplates] = useState(() => cloneTemplates({}));
+  const [promptSampling, setPromptSampling] = useState(DEFAULT_SAMPLING);
+  const [comparisonRun, setComparisonRun] = useState(null);
+  const [qualityInSpecs, setQualityInSpecs] = useState(false);
+  const [computedClusters, setComputedClusters] = useState(null);
+  const [clusterSource, setClusterSource] = useState('uploaded');
+  const [exportDialogOpen, setExportDialogOpen] = useState(false);
+  const [exportOptions, setExportOptions] = useState({
+    formats: ['json'], template: DEFAULT_FILENAME_TEMPLATE, promptTemplate: DEFAULT_PROMPT_FILENAME_TEMPLATE
+  });
+  const [specImport, setSpecImport] = useState(null);
+  const [pipelineOpen, setPipelineOpen] = useState(false);
+  const [pipelineSettings, setPipelineSettings] = useState(loadPipelineSettings);
+  const [pipelineJobs, setPipelineJobs] = useState({});
+  const [pipelineError, setPipelineError] = useState(null);
+  const specFileInput = useRef(null);
+
+  // Loaded assignments with the manual edits replayed on top
+  const editedClusters = useMemo(
+    () => (clusteredRows ? applyClusterEdits(clusteredRows, clusterEdits.edits, idColumn) : null),
+    [clusteredRows, clusterEdits, idColumn]
+  );
+
+  // Metric and outcome stats are summarized together in a worker, along with the
+  // cluster quality over the metrics. While a new set is
+  // computed after an edit or a metric change the previous one stays on screen;
+  // stats of an earlier upload never do.
+  const statsKeys = useMemo(() => [...new Set([...features, ...outcomes])], [features, outcomes]);
+  const [statsResult, setStatsResult] = useState(null);
+  useEffect(() => {
+    if (!editedClusters) return;
+    const rows = editedClusters.rows;
+    const job = computeClusterStats(rows, statsKeys, features);
+    job.promise
+      .then(result => {
+        if (result) setStatsResult({ rows, keys: statsKeys, data: interpretationData, ...result });
+      })
+      .catch(error => setUploadError(`Could not compute cluster stats: ${error.message}`));
+    return job.cancel;
+  }, [editedClusters, statsKeys, features, interpretationData]);
+  const statsUsable = editedClusters && statsResult?.data === interpretationData;
+  const statsPending = Boolean(editedClusters) && (statsResult?.rows !== editedClusters.rows || statsResult?.keys !== statsKeys);
+
+  const clusterStats = useMemo(
+    () => (statsUsable ? pickMetrics(statsResult.stats, features) : null),
+    [statsUsable, statsResult, features]
+  );
+
+  const clusterNames = useMemo(() => editedClusters?.names || {}, [editedClusters]);
+
+  const outcomeStats = useMemo(
+    () => (statsUsable && outcomes.length > 0 ? pickMetrics(statsResult.stats, outcomes) : null),
+    [statsUsable, statsResult, outcomes]
+  );
+
+  // { [outcome]: { [cluster]: rank by median } }
+  const outcomeRanks = useMemo(() => Object.fromEntries(outcomes.map(outcome => [
+    outcome,
+    Object.fromEntries(rankClusters(outcomeStats || [], outcome)
+      .filter(stats => isFiniteNumber(stats.metrics[outcome].median))
+      .map((stats, i) => [stats.cluster, i + 1]))
+  ])), [outcomeStats, outcomes]);
+
+  const dateColumns = useMemo(() => (interpretationData ? detectDateColumns(interpretationData) : []), [interpretationData]);
+  const textOptions = useMemo(
+    () => (interpretationData ? textColumnOptions(interpretationData).filter(col => !dateColumns.includes(col)) : []),
+    [interpretationData, dateColumns]
+  );
+  // Saved choices that don't fit the loaded file fall back to what was detected
+  const trendDateColumn = dateColumns.includes(trendSettings.dateColumn) ? trendSettings.dateColumn : dateColumns[0] || null;
+  const trendTextColumns = useMemo(
+    () => (trendSettings.textColumns
+      ? trendSettings.textColumns.filter(col => textOptions.includes(col))
+      : detectTextColumns(interpretationData || []).filter(col => textOptions.includes(col))),
+    [trendSettings.textColumns, textOptions, interpretationData]
+  );
+
+  const trendSuggestions = useMemo(
+    () => (clusterStats && trendDateColumn && trendTextColumns.length > 0
+      ? suggestTrendTokens(clusterStats, trendDateColumn, trendTextColumns, trendSettings.recentWeeks)
+      : {}),
+    [clusterStats, trendDateColumn, trendTextColumns, trendSettings.recentWeeks]
+  );
+
+  // Memoized so the embedding keeps its layout across unrelated re-renders
+  const featureScales = useMemo(
+    () => (clusterStats ? computeFeatureScales(clusterStats.flatMap(s => s.videos), features) : {}),
+    [clusterStats, features]
+  );
+
+  const clusterQuality = statsUsable ? statsResult.quality : null;
+
+  const embeddingVideos = useMemo(
+    () => (clusterStats || []).flatMap((stats, idx) => stats.videos.map(row => ({
+      id: getVideoId(row, idColumn),
+      cluster: stats.cluster,
+      colorIndex: idx,
+      row
+    }))),
+    [clusterStats, idColumn]
+  );
+
+  const radarData = useMemo(() => (clusterStats ? radarProfiles(clusterStats, features) : {}), [clusterStats, features]);
+
+  const getRadarData = (stats) => radarData[stats.cluster] || [];
+
+  const similarity = useMemo(
+    () => (clusterStats && features.length > 0 ? clusterDistanceMatrix(clusterStats, features, featureScales) : null),
+    [clusterStats, features, featureScales]
+  );
+  const similarClusters = useMemo(() => (similarity ? mostSimilarClusters(similarity) : {}), [similarity]);
+
+  // { [cluster]: videos with their distance to its centroid and outlier flag }; kept
+  // across renders since each cluster's distances cover all of its rows
+  const videoRows = useMemo(() => Object.fromEntries((clusterStats || []).map(stats => {
+    const distances = centroidDistances(stats.videos, features, featureScales);
+    const threshold = outlierThreshold(distances);
+    return [stats.cluster, stats.videos.map((row, index) => ({
+      id: getVideoId(row, idColumn),
+      row,
+      distance: distances[index],
+      outlier: distances[index] !== null && distances[index] > threshold
+    }))];
+  })), [clusterStats, features, featureScales, idColumn]);
+
+  // { [cluster]: every column in its rows }, for the video tables
+  const videoColumns = useMemo(() => Object.fromEntries((clusterStats || []).map(stats => {
+    const columns = new Set();
+    stats.videos.forEach(row => Object.keys(row).forEach(col => columns.add(col)));
+    return [stats.cluster, [...columns]];
+  })), [clusterStats]);
+
+  // { [cluster]: suggested approach } under the current rules
+  const suggestions = useMemo(() => Object.fromEntries((clusterStats || []).map(stats => [
+    stats.cluster,
+    suggestClusterApproach(stats, normalizedMetrics(radarData[stats.cluster] || []), {
+      rules: rulePreset.approachRules,
+      quality: clusterQuality?.clusters[stats.cluster],
+      adjustForQuality: qualityInSpecs
+    })
+  ])), [clusterStats, radarData, rulePreset, clusterQuality, qualityInSpecs]);
+
+  const boxDomains = useMemo(() => getBoxDomains(clusterStats || [], features), [clusterStats, features]);
+  const outcomeDomains = useMemo(() => getBoxDomains(outcomeStats || [], outcomes), [outcomeStats, outcomes]);
+
+  const specErrors = useMemo(() => validateSpecs(generationSpecs), [generationSpecs]);
 
-  const handleFileUpload = (file, type) => {
-    Papa.parse(file, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        if (type === 'interpretation') {
-          setInterpretationData(results.data);
-          calculateClusterStats(results.data);
-        } else if (type === 'cluster') {
-          setClusterResults(results.data);
+  // Offer the last autosaved session instead of silently replacing a fresh page
+  useEffect(() => {
+    loadAutosave()
+      .then(workspace => {
+        if (workspace && !validateProjectFile(workspace)) setRestorableSession(workspace);
+      })
+      .catch(error => console.error('Could not read autosaved session:', error));
+  }, []);
+
+  // Renaming alone doesn't autosave; the latest name goes along with the next save
+  const projectNameRef = useRef(projectName);
+  useEffect(() => {
+    projectNameRef.current = projectName;
+  }, [projectName]);
+
+  // The rows are saved once per upload or clustering run, not with every edit below
+  useEffect(() => {
+    if (!interpretationSource) return;
+    autosaveFiles(createWorkspaceFiles({ interpretationSource, clusterResults, clusterFileName, computedClusters }))
+      .catch(error => setSaveStatus(`Autosave failed: ${error.message}`));
+  }, [interpretationSource, clusterResults, clusterFileName, computedClusters]);
+
+  useEffect(() => {
+    if (!interpretationSource) return;
+    const timer = setTimeout(() => {
+      const workspace = createWorkspace({
+        name: projectNameRef.current, clusterSource, idColumn, features, outcomes, trendSettings, rangeBasis,
+        rulePreset, promptTemplates, promptSampling, qualityInSpecs, selectedApproaches, trendTokens, pinnedVideos, clusterEdits, generationSpecs
+      });
+      autosave(workspace)
+        .then(() => setSaveStatus(`Autosaved ${new Date().toLocaleTimeString()}`))
+        .catch(error => setSaveStatus(`Autosave failed: ${error.message}`));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [interpretationSource, clusterSource, idColumn, features, outcomes, trendSettings, rangeBasis,
+    rulePreset, promptTemplates, promptSampling, qualityInSpecs, selectedApproaches, trendTokens, pinnedVideos, clusterEdits, generationSpecs]);
+
+  // Poll unfinished pipeline jobs; each round stores fresh statuses, which schedules the next
+  useEffect(() => {
+    const pending = Object.entries(pipelineJobs).filter(([, job]) => job.jobId && !isFinished(job.status));
+    if (pending.length === 0) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const updates = await Promise.all(pending.map(async ([cluster, job]) => {
+        try {
+          return [cluster, { ...job, ...(await fetchJobStatus(pipelineSettings, job.jobId)), pollErrors: 0 }];
+        } catch (error) {
+          const pollErrors = (job.pollErrors || 0) + 1;
+          return [cluster, pollErrors >= MAX_POLL_ERRORS
+            ? { ...job, status: 'failed', error: `Status checks failed: ${error.message}`, pollErrors }
+            : { ...job, pollErrors }];
         }
-      },
-      error: (error) => {
-        console.error('Error parsing CSV:', error);
+      }));
+      if (cancelled) return;
+      // A job resent in the meantime keeps its newer entry
+      setPipelineJobs(prev => ({
+        ...prev,
+        ...Object.fromEntries(updates.filter(([cluster, job]) => prev[cluster]?.jobId === job.jobId))
+      }));
+    }, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pipelineJobs, pipelineSettings]);
+
+  // Large files stream through a worker; a newer upload of either file cancels the
+  // one still parsing
+  const handleFileUpload = async (file, type) => {
+    if (!file) return;
+    setUploadError(null);
+    parsing?.cancel();
+    const job = parseCsvFile(file, (progress) => setParsing(prev => (prev?.job === job ? { ...prev, ...progress } : prev)));
+    setParsing({ job, type, fileName: file.name, loaded: 0, total: file.size, rows: 0, cancel: job.cancel });
+
+    let results;
+    try {
+      results = await job.promise;
+    } catch (error) {
+      setUploadError(`Could not parse ${file.name}: ${error.message}`);
+      return;
+    } finally {
+      setParsing(prev => (prev?.job === job ? null : prev));
+    }
+    if (!results) return;
+
+    if (type === 'interpretation') {
+      const mapping = suggestMapping(results.fields);
+      // Only interrupt with the mapping dialog when something needs a decision
+      if (results.errors.length === 0 && isCleanUpload(results.data, mapping)) {
+        const policies = defaultPolicies();
+        acceptInterpretation(
+          { fileName: file.name, rows: results.data, mapping, policies },
+          applySchema(results.data, mapping, policies)
+        );
+      } else {
+        setPendingUpload({ fileName: file.name, rows: results.data, columns: results.fields, parseErrors: results.errors, mapping });
       }
-    });
+    } else if (type === 'cluster') {
+      setClusterResults(results.data);
+      setClusterFileName(file.name);
+      setClusterSource('uploaded');
+      setClusterEdits(EMPTY_EDIT_HISTORY);
+      rebuildStats(interpretationData, results.data, idColumn);
+    }
   };
 
-  const calculateClusterStats = (data) => {
-    const clusterGroups = {};
-    
-    data.forEach(row => {
-      const cluster = row.cluster;
-      if (!clusterGroups[cluster]) {
-        clusterGroups[cluster] = {
-          cluster,
-          count: 0,
-          videos: [],
-          motion_values: [],
-          cut_rate_values: [],
-          audio_rms_mean_values: [],
-          audio_rms_std_values: [],
-          visual_density_values: []
-        };
-      }
-      
-      clusterGroups[cluster].count++;
-      clusterGroups[cluster].videos.push(row);
-      clusterGroups[cluster].motion_values.push(row.motion_mean || 0);
-      clusterGroups[cluster].cut_rate_values.push(row.cut_rate_per_min || 0);
-      clusterGroups[cluster].audio_rms_mean_values.push(row.audio_rms_mean || 0);
-      clusterGroups[cluster].audio_rms_std_values.push(row.audio_rms_std || 0);
-      clusterGroups[cluster].visual_density_values.push(row.visual_density || 0);
-    });
+  // A second clustering run is only compared against the loaded one, never merged in
+  const handleComparisonUpload = async (file) => {
+    if (!file) return;
+    try {
+      const results = await parseCsvFile(file).promise;
+      if (results) setComparisonRun({ fileName: file.name, rows: results.data });
+    } catch (error) {
+      setUploadError(`Could not parse ${file.name}: ${error.message}`);
+    }
+  };
 
-    const stats = Object.values(clusterGroups).map(cluster => {
-      const avg = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
-      const min = (arr) => Math.min(...arr);
-      const max = (arr) => Math.max(...arr);
-      
-      return {
-        cluster: cluster.cluster,
-        count: cluster.count,
-        avg_motion: avg(cluster.motion_values),
-        min_motion: min(cluster.motion_values),
-        max_motion: max(cluster.motion_values),
-        avg_cut_rate: avg(cluster.cut_rate_values),
-        min_cut_rate: min(cluster.cut_rate_values),
-        max_cut_rate: max(cluster.cut_rate_values),
-        avg_audio_rms_mean: avg(cluster.audio_rms_mean_values),
-        avg_audio_rms_std: avg(cluster.audio_rms_std_values),
-        avg_visual_density: avg(cluster.visual_density_values),
-        min_visual_density: min(cluster.visual_density_values),
-        max_visual_density: max(cluster.visual_density_values),
-        videos: cluster.videos
-      };
-    });
+  // source holds the rows as parsed plus the mapping and policies applied to them,
+  // so a saved project can replay validation exactly
+  const acceptInterpretation = (source, { rows, summary }) => {
+    setPendingUpload(null);
+    setRestorableSession(null);
+    setInterpretationSource(source);
+    setInterpretationData(rows);
+    setValidationSummary(summary);
 
-    setClusterStats(stats.sort((a, b) => a.cluster - b.cluster));
+    const detected = detectNumericColumns(rows);
+    const suggestedOutcomes = suggestOutcomeColumns(detected);
+    const contentColumns = detected.filter(col => !suggestedOutcomes.includes(col));
+    const selection = defaultFeatureSelection(contentColumns.length > 0 ? contentColumns : detected);
+    setNumericColumns(detected);
+    setFeatures(selection);
+    setOutcomes(suggestedOutcomes);
+    // Computed clusters and manual edits belong to the previous data
+    setComputedClusters(null);
+    setClusterSource('uploaded');
+    setClusterEdits(EMPTY_EDIT_HISTORY);
+    rebuildStats(rows, clusterResults, idColumn);
   };
 
-  const getClusterCharacteristics = (stats) => {
-    if (!stats) return '';
-    
-    const characteristics = [];
-    
-    if (stats.avg_motion > 0.5) characteristics.push('High Motion');
-    else if (stats.avg_motion < 0.2) characteristics.push('Low Motion');
-    else characteristics.push('Medium Motion');
-    
-    if (stats.avg_cut_rate > 120) characteristics.push('Fast Cuts');
-    else if (stats.avg_cut_rate < 30) characteristics.push('Slow Cuts');
-    else characteristics.push('Medium Pacing');
-    
-    if (stats.avg_visual_density > 0.6) characteristics.push('Visually Dense');
-    else if (stats.avg_visual_density < 0.3) characteristics.push('Visually Simple');
-    
-    if (stats.avg_audio_rms_mean > 0.5) characteristics.push('Loud Audio');
-    else if (stats.avg_audio_rms_mean < 0.2) characteristics.push('Quiet Audio');
-    
-    return characteristics.join(' • ');
-  };
-
-  const suggestApproach = (stats) => {
-    if (!clusterStats) return 'text-driven';
-    
-    const radarData = getRadarData(stats);
-    const metrics = {
-      motion: radarData.find(d => d.metric === 'Motion')?.value || 0,
-      cutRate: radarData.find(d => d.metric === 'Cut Rate')?.value || 0,
-      visualDensity: radarData.find(d => d.metric === 'Visual Density')?.value || 0,
-      audioVolume: radarData.find(d => d.metric === 'Audio Volume')?.value || 0,
-      audioVariance: radarData.find(d => d.metric === 'Audio Variance')?.value || 0
-    };
-    
-    // Motion-focused: high motion AND high cut rate (action/dynamic content)
-    if (metrics.motion > 60 && metrics.cutRate > 60) {
-      return { approach: 'motion-focused', confidence: 'high', reason: 'High motion + fast cuts = movement-driven content' };
+  // Cluster assignments come from cluster_results.csv when it is loaded and can be
+  // joined; otherwise the cluster column in interpretation.csv is used as-is.
+  const rebuildStats = (interpretation, clusters, preferredIdColumn) => {
+    if (!interpretation) return;
+    if (!clusters) {
+      setReconciliation(null);
+      setClusteredRows(interpretation);
+      return;
     }
-    
-    // Image-conditioned: high visual density, especially with low motion (strong visual composition)
-    if (metrics.visualDensity > 70) {
-      return { approach: 'image-conditioned', confidence: 'high', reason: 'Strong visual composition and density' };
+
+    const shared = getSharedColumns(interpretation, clusters);
+    const column = shared.includes(preferredIdColumn) ? preferredIdColumn : detectIdColumn(interpretation, clusters);
+    const clusterColumn = detectClusterColumn(clusters);
+    setIdColumn(column);
+
+    if (!column || !clusterColumn) {
+      setReconciliation({ idColumn: column, clusterColumn });
+      setClusteredRows(interpretation);
+      return;
+    }
+
+    const { rows, report } = joinClusterResults(interpretation, clusters, column);
+    setReconciliation(report);
+    setClusteredRows(rows);
+  };
+
+  // Cluster assignments in use: the uploaded cluster_results.csv or a clustering computed here
+  const activeClusterRows = clusterSource === 'computed' && computedClusters ? computedClusters.rows : clusterResults;
+
+  const handleIdColumnChange = (column) => {
+    rebuildStats(interpretationData, activeClusterRows, column);
+  };
+
+  const handleFeaturesChange = (selection) => {
+    setFeatures(selection);
+  };
+
+  // A column marked as an outcome leaves the metrics, unless it was the last one
+  const handleOutcomesChange = (selection) => {
+    setOutcomes(selection);
+    const remaining = features.filter(key => !selection.includes(key));
+    if (remaining.length > 0) setFeatures(remaining);
+  };
+
+  const applyComputedClusters = (clustering) => {
+    setComputedClusters(clustering);
+    setClusterSource('computed');
+    setClusterEdits(EMPTY_EDIT_HISTORY);
+    rebuildStats(interpretationData, clustering.rows, clustering.idColumn);
+  };
+
+  const handleClusterSourceChange = (source) => {
+    setClusterSource(source);
+    setClusterEdits(EMPTY_EDIT_HISTORY);
+    rebuildStats(interpretationData, source === 'computed' ? computedClusters.rows : clusterResults, idColumn);
+  };
+
+  const handleClusterEdit = (edit) => {
+    setClusterEdits(prev => pushEdit(prev, edit));
+  };
+
+  const moveVideo = (cluster, video, to) => {
+    handleClusterEdit({ type: 'move', videos: [video.id], from: cluster, to });
+  };
+
+  const restoreWorkspace = (workspace) => {
+    const source = workspace.files.interpretation;
+    const result = applySchema(source.rows, source.mapping, source.policies);
+    if (result.error) {
+      setUploadError(`Could not restore project: ${result.error}`);
+      return;
     }
-    
-    if (metrics.visualDensity > 50 && metrics.motion < 40) {
-      return { approach: 'image-conditioned', confidence: 'medium', reason: 'Visual-focused with minimal movement' };
+
+    const clusters = workspace.files.clusterResults?.rows || null;
+    const detected = detectNumericColumns(result.rows);
+    const saved = (workspace.settings.features || []).filter(key => detected.includes(key));
+    const selection = saved.length > 0 ? saved : defaultFeatureSelection(detected);
+
+    setUploadError(null);
+    setPendingUpload(null);
+    setRestorableSession(null);
+    setProjectName(workspace.projectName ?? workspace.name ?? '');
+    setInterpretationSource(source);
+    setInterpretationData(result.rows);
+    setValidationSummary(result.summary);
+    setClusterResults(clusters);
+    setClusterFileName(workspace.files.clusterResults?.fileName || null);
+    setNumericColumns(detected);
+    setFeatures(selection);
+    setOutcomes((workspace.settings.outcomes || []).filter(key => detected.includes(key)));
+    setTrendSettings({ ...DEFAULT_TREND_SETTINGS, ...workspace.settings.trendSettings });
+    setRangeBasis(workspace.settings.rangeBasis || 'minmax');
+    const savedPreset = workspace.settings.rulePreset;
+    setRulePreset(savedPreset && !validatePreset(savedPreset) ? savedPreset : clonePreset(DEFAULT_PRESET));
+    const savedTemplates = workspace.settings.promptTemplates;
+    setPromptTemplates(cloneTemplates(validTemplates(savedTemplates) ? savedTemplates : {}));
+    setPromptSampling({ ...DEFAULT_SAMPLING, ...workspace.settings.promptSampling });
+    setQualityInSpecs(Boolean(workspace.settings.qualityInSpecs));
+    setSelectedApproaches(workspace.choices.selectedApproaches || {});
+    setTrendTokens(workspace.choices.trendTokens || {});
+    setPinnedVideos(workspace.choices.pinnedVideos || {});
+    setClusterEdits(workspace.choices.clusterEdits || EMPTY_EDIT_HISTORY);
+    setGenerationSpecs(upgradeSpecs(workspace.generationSpecs || {}));
+    const computed = workspace.files.computedClusters || null;
+    const useComputed = Boolean(computed) && workspace.settings.clusterSource === 'computed';
+    setComputedClusters(computed);
+    setClusterSource(useComputed ? 'computed' : 'uploaded');
+    rebuildStats(result.rows, useComputed ? computed.rows : clusters, workspace.settings.idColumn);
+  };
+
+  // Projects saved before specs were versioned still open; specs that can't be
+  // upgraded are kept as-is and show up as invalid
+  const upgradeSpecs = (specs) => Object.fromEntries(Object.entries(specs).map(([cluster, spec]) => {
+    const result = migrateSpec(spec);
+    return [cluster, result.error ? spec : result.spec];
+  }));
+
+  const currentWorkspace = () => createWorkspace({
+    name: projectName.trim(), interpretationSource, clusterResults, clusterFileName, computedClusters, clusterSource, idColumn, features, outcomes, trendSettings, rangeBasis,
+    rulePreset, promptTemplates, promptSampling, qualityInSpecs, selectedApproaches, trendTokens, pinnedVideos, clusterEdits, generationSpecs
+  });
+
+  const handleSaveProject = async () => {
+    try {
+      await saveProject(projectName.trim(), currentWorkspace());
+      setSaveStatus(`Saved "${projectName.trim()}" ${new Date().toLocaleTimeString()}`);
+    } catch (error) {
+      setSaveStatus(`Save failed: ${error.message}`);
     }
-    
-    // Motion-focused alternative: moderate-high motion even with slower cuts
-    if (metrics.motion > 70) {
-      return { approach: 'motion-focused', confidence: 'medium', reason: 'Significant camera/subject movement' };
+  };
+
+  const handleOpenProject = async (name) => {
+    try {
+      const workspace = await loadProject(name);
+      const problem = validateProjectFile(workspace);
+      if (problem) {
+        setUploadError(`Could not open "${name}": ${problem}`);
+        return;
+      }
+      restoreWorkspace(workspace);
+      setSaveStatus(`Opened "${name}"`);
+    } catch (error) {
+      setUploadError(`Could not open "${name}": ${error.message}`);
     }
-    
-    // Text-driven: balanced/moderate across metrics OR unique audio characteristics
-    if (metrics.audioVariance > 70 || metrics.audioVolume > 70) {
-      return { approach: 'text-driven', confidence: 'medium', reason: 'Distinctive audio characteristics suggest narrative/thematic content' };
+  };
+
+  const exportProject = () => {
+    const name = projectName.trim() || 'cluster-analysis';
+    downloadFile(`${name}.project.json`, JSON.stringify(currentWorkspace(), null, 2));
+  };
+
+  const importProject = async (file) => {
+    if (!file) return;
+    try {
+      const workspace = JSON.parse(await readFileAsText(file));
+      const problem = validateProjectFile(workspace);
+      if (problem) {
+        setUploadError(`Could not import ${file.name}: ${problem}`);
+        return;
+      }
+      restoreWorkspace(workspace);
+      setSaveStatus(`Imported ${file.name}`);
+    } catch (error) {
+      setUploadError(`Could not import ${file.name}: ${error.message}`);
     }
-    
-    // Default: text-driven for balanced clusters
-    return { approach: 'text-driven', confidence: 'low', reason: 'Balanced metrics - best suited for conceptual/thematic generation' };
   };
 
+  const getNormalizedMetrics = (stats) => normalizedMetrics(getRadarData(stats));
+
+  const getClusterCharacteristics = (stats) => {
+    if (!stats) return '';
+    return clusterCharacteristics(stats, getNormalizedMetrics(stats), rulePreset.characteristicRules);
+  };
+
+  const suggestApproach = (stats) => suggestions[stats.cluster];
+
   const handleApproachChange = (cluster, approach) => {
     setSelectedApproaches(prev => ({ ...prev, [cluster]: approach }));
   };
@@ -165,6 +581,10 @@ export default function ClusterAnalysisTool() {
     }));
   };
 
+  const handleTrendSettingsChange = (patch) => {
+    setTrendSettings(prev => ({ ...prev, ...patch }));
+  };
+
   const removeTrendToken = (cluster, index) => {
     const current = trendTokens[cluster] || [];
     setTrendTokens(prev => ({
@@ -173,107 +593,230 @@ export default function ClusterAnalysisTool() {
     }));
   };
 
+  const togglePinnedVideo = (cluster, id) => {
+    const current = pinnedVideos[cluster] || [];
+    setPinnedVideos(prev => ({
+      ...prev,
+      [cluster]: current.includes(id) ? current.filter(v => v !== id) : [...current, id]
+    }));
+  };
+
+  const getVideoRows = (stats) => videoRows[stats.cluster] || [];
+
+  const getVideoColumns = (stats) => videoColumns[stats.cluster] || [];
+
+  // The spec the current data and settings give for a cluster
+  const buildSpec = useCallback((stats, approach) => {
+    const pinned = pinnedVideos[stats.cluster] || [];
+    const quality = clusterQuality?.clusters[stats.cluster];
+    return buildClusterSpec(stats, approach, {
+      features,
+      rangeBasis,
+      tokens: trendTokens[stats.cluster] || [],
+      examples: (videoRows[stats.cluster] || []).filter(video => pinned.includes(video.id)),
+      name: clusterNames[stats.cluster],
+      quality: qualityInSpecs ? quality : null,
+      confidence: suggestions[stats.cluster].confidence
+    });
+  }, [pinnedVideos, clusterQuality, features, rangeBasis, trendTokens, videoRows, clusterNames, qualityInSpecs, suggestions]);
+
   const generateSpec = (cluster) => {
     const stats = clusterStats.find(s => s.cluster === cluster);
     if (!stats) return;
 
-    const approach = selectedApproaches[cluster] || 'text-driven';
-    const tokens = trendTokens[cluster] || [];
-    
-    const spec = {
-      cluster_id: cluster,
-      generation_approach: approach,
-      
-      base_prompt_components: {
-        visual_style: {
-          visual_complexity: stats.avg_visual_density > 0.6 ? 'high' : stats.avg_visual_density > 0.3 ? 'medium' : 'low',
-          detail_level: stats.avg_visual_density > 0.5 ? 'detailed' : 'simplified',
-          consistency: 'within_cluster_variance'
-        },
-        
-        motion_profile: {
-          camera_movement: stats.avg_motion > 0.6 ? 'dynamic' : stats.avg_motion > 0.3 ? 'moderate' : 'static',
-          motion_intensity: Math.round(stats.avg_motion * 10),
-          motion_range: `${stats.min_motion.toFixed(2)} - ${stats.max_motion.toFixed(2)}`,
-          pacing: stats.avg_cut_rate > 120 ? 'fast' : stats.avg_cut_rate > 60 ? 'medium' : 'slow',
-          cuts_per_minute: Math.round(stats.avg_cut_rate),
-          cut_rate_range: `${Math.round(stats.min_cut_rate)} - ${Math.round(stats.max_cut_rate)}`
-        },
-        
-        audio_profile: {
-          volume_level: stats.avg_audio_rms_mean > 0.5 ? 'high' : stats.avg_audio_rms_mean > 0.25 ? 'medium' : 'low',
-          dynamic_range: stats.avg_audio_rms_std > 0.3 ? 'high' : stats.avg_audio_rms_std > 0.15 ? 'medium' : 'low',
-          audio_rms_mean: stats.avg_audio_rms_mean.toFixed(3),
-          audio_rms_std: stats.avg_audio_rms_std.toFixed(3)
-        }
-      },
-      
-      trend_tokens: {
-        enabled: tokens.length > 0,
-        tokens: tokens,
-        usage_note: "Optional 1-3 word modifiers appended to base prompt to reflect current trends within cluster",
-        application_strategy: "Randomly select 0-2 tokens per generation for variance"
-      },
-      
-      constraints: {
-        sample_count: stats.count,
-        variation_strategy: approach === 'image-conditioned' ? 'vary_seed_image' : 
-                           approach === 'motion-focused' ? 'vary_motion_parameters' : 
-                           'vary_text_prompt'
-      },
-      
-      generation_hints: approach === 'image-conditioned' ? {
-        note: 'Use representative frames from cluster as seed images. Apply trend tokens to text conditioning.'
-      } : approach === 'motion-focused' ? {
-        note: 'Emphasize camera movement and subject motion. Trend tokens can guide motion style variations.'
-      } : {
-        note: 'Focus on thematic and conceptual elements. Trend tokens add current flavor to base themes.'
-      }
-    };
-
+    const spec = buildSpec(stats, selectedApproaches[cluster] || 'text-driven');
     setGenerationSpecs(prev => ({ ...prev, [cluster]: spec }));
     setSelectedCluster(cluster);
   };
 
-  const exportSpecs = () => {
-    const dataStr = JSON.stringify(generationSpecs, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const exportFileDefaultName = 'generation_specs.json';
-    
-    const linkElement = document.createElement('a');
-    linkElement.href = url;
-    linkElement.download = exportFileDefaultName;
-    document.body.appendChild(linkElement);
-    linkElement.click();
-    document.body.removeChild(linkElement);
-    URL.revokeObjectURL(url);
-  };
-
-  const getRadarData = (stats) => {
-    if (!clusterStats) return [];
-    
-    // Get global min/max for each metric across ALL clusters
-    const motions = clusterStats.map(s => s.avg_motion);
-    const cutRates = clusterStats.map(s => s.avg_cut_rate);
-    const densities = clusterStats.map(s => s.avg_visual_density);
-    const audioMeans = clusterStats.map(s => s.avg_audio_rms_mean);
-    const audioStds = clusterStats.map(s => s.avg_audio_rms_std);
-    
-    const normalize = (value, values) => {
-      const min = Math.min(...values);
-      const max = Math.max(...values);
-      if (max === min) return 50; // If all same, put in middle
-      return ((value - min) / (max - min)) * 100;
-    };
-    
-    return [
-      { metric: 'Motion', value: normalize(stats.avg_motion, motions) },
-      { metric: 'Cut Rate', value: normalize(stats.avg_cut_rate, cutRates) },
-      { metric: 'Visual Density', value: normalize(stats.avg_visual_density, densities) },
-      { metric: 'Audio Volume', value: normalize(stats.avg_audio_rms_mean, audioMeans) },
-      { metric: 'Audio Variance', value: normalize(stats.avg_audio_rms_std, audioStds) }
-    ];
+  // Bulk generation skips clusters that have no chosen approach; an existing spec's
+  // approach counts, so regenerating matches the staleness check below
+  const generateSpecs = (clusters) => {
+    const specs = {};
+    clusterStats.forEach(stats => {
+      const approach = selectedApproaches[stats.cluster] || generationSpecs[stats.cluster]?.generation_approach;
+      if (approach && clusters.some(c => String(c) === String(stats.cluster))) specs[stats.cluster] = buildSpec(stats, approach);
+    });
+    setGenerationSpecs(prev => ({ ...prev, ...specs }));
+  };
+
+  // { [cluster]: { missing } | { sections, differences } } for every spec: a spec is stale
+  // when regenerating it with its approach would change any field
+  const specStaleness = useMemo(() => Object.fromEntries(Object.entries(generationSpecs).map(([cluster, spec]) => {
+    const stats = (clusterStats || []).find(s => String(s.cluster) === cluster);
+    if (!stats) return [cluster, { missing: true, sections: [], differences: [] }];
+    const fresh = buildSpec(stats, selectedApproaches[stats.cluster] || spec.generation_approach);
+    const differences = diffSpecs(spec, fresh);
+    return [cluster, { missing: false, sections: changedSections(differences), differences }];
+  })), [generationSpecs, clusterStats, selectedApproaches, buildSpec]);
+
+  const acceptSuggestedApproaches = (highConfidenceOnly) => {
+    const accepted = {};
+    clusterStats.forEach(stats => {
+      const suggestion = suggestApproach(stats);
+      if (!highConfidenceOnly || suggestion.confidence === 'high') accepted[stats.cluster] = suggestion.approach;
+    });
+    setSelectedApproaches(prev => ({ ...prev, ...accepted }));
+  };
+
+  // mode 'add' keeps existing tokens (up to 3 in total), 'replace' swaps them out
+  const applyTrendTokens = (clusters, tokens, mode) => {
+    setTrendTokens(prev => {
+      const next = { ...prev };
+      clusters.forEach(cluster => {
+        const base = mode === 'add' ? prev[cluster] || [] : [];
+        next[cluster] = [...new Set([...base, ...tokens])].slice(0, 3);
+      });
+      return next;
+    });
+  };
+
+  const handlePipelineSettingsChange = (changes) => {
+    const next = { ...pipelineSettings, ...changes };
+    setPipelineSettings(next);
+    storePipelineSettings(next);
+  };
+
+  // Only valid specs leave the app; new jobs replace earlier ones for the same clusters
+  const sendToPipeline = async (clusters) => {
+    const specs = Object.fromEntries(clusters.filter(c => generationSpecs[c] && !specErrors[c]).map(c => [c, generationSpecs[c]]));
+    const sent = Object.keys(specs);
+    if (sent.length === 0) return;
+    setPipelineError(null);
+    setPipelineJobs(prev => ({ ...prev, ...Object.fromEntries(sent.map(c => [c, { status: 'sending' }])) }));
+    try {
+      const jobs = await submitSpecs(pipelineSettings, specs);
+      setPipelineJobs(prev => ({ ...prev, ...jobs }));
+    } catch (error) {
+      setPipelineError(`Could not send specs: ${error.message}`);
+      setPipelineJobs(prev => ({ ...prev, ...Object.fromEntries(sent.map(c => [c, { status: 'failed', error: error.message }])) }));
+    }
+  };
+
+  // Snapshot of what is on screen for people who don't run the tool
+  const buildReport = () => {
+    const clusterInput = clusterSource === 'computed' && computedClusters
+      ? `${computedClusters.name} (computed in the app)`
+      : clusterFileName || `cluster column of ${interpretationSource?.fileName}`;
+    return buildReportHtml({
+      title: projectName.trim() || 'Cluster analysis report',
+      generatedAt: new Date(),
+      inputs: [
+        ['Interpretation file', interpretationSource?.fileName || '—'],
+        ['Cluster assignments', clusterInput],
+        ...(clusterEdits.edits.length > 0 ? [['Manual edits', `${clusterEdits.edits.length} applied`]] : [])
+      ],
+      features,
+      rangeBasis,
+      clusters: clusterStats.map((stats, idx) => ({
+        cluster: stats.cluster,
+        name: clusterNames[stats.cluster],
+        label: clusterNames[stats.cluster] ? `${stats.cluster} · ${clusterNames[stats.cluster]}` : `Cluster ${stats.cluster}`,
+        count: stats.count,
+        color: getColor(idx),
+        characteristics: getClusterCharacteristics(stats),
+        suggestion: suggestApproach(stats),
+        chosen: selectedApproaches[stats.cluster] || null,
+        metrics: stats.metrics,
+        radar: getRadarData(stats),
+        spec: generationSpecs[stats.cluster] || null
+      }))
+    });
+  };
+
+  const exportReport = () => {
+    const values = filenameValues(projectName.trim());
+    downloadFile(`${values.project}_report_${values.date}.html`, buildReport(), 'text/html');
+  };
+
+  // Every cluster with stats or a spec (imported specs may not match loaded clusters)
+  const getExportClusters = () => {
+    const ids = [...(clusterStats || []).map(s => String(s.cluster)), ...Object.keys(generationSpecs)];
+    return [...new Set(ids)].map(id => ({ id, hasSpec: Boolean(generationSpecs[id]) }));
+  };
+
+  // A single JSON/YAML/CSV file downloads as-is; several files or prompt files go into one zip
+  const exportSpecs = (options) => {
+    const approaches = Object.fromEntries((clusterStats || []).map(stats => {
+      const suggestion = suggestApproach(stats);
+      return [stats.cluster, {
+        selected: selectedApproaches[stats.cluster],
+        suggested: suggestion.approach,
+        confidence: suggestion.confidence
+      }];
+    }));
+    const { baseName, files } = buildExportFiles({
+      ...options,
+      values: filenameValues(projectName.trim()),
+      specs: generationSpecs,
+      clusterStats,
+      features,
+      approaches,
+      prompting: { templates: promptTemplates, sampling: promptSampling },
+      clusterEdits: { edits: clusterEdits.edits, names: clusterNames, idColumn }
+    });
+    if (files.length === 0) return;
+
+    if (files.length === 1 && !files[0].prompt) {
+      downloadFile(files[0].name, files[0].content, files[0].type);
+    } else {
+      downloadFile(`${baseName}.zip`, createZip(files));
+    }
+    setExportOptions({ formats: options.formats, template: options.template, promptTemplate: options.promptTemplate });
+    setExportDialogOpen(false);
+  };
+
+  const exportSpecSchema = () => {
+    downloadFile(SPEC_SCHEMA_FILE_NAME, JSON.stringify(SPEC_SCHEMA, null, 2), 'application/schema+json');
+  };
+
+  // Older exports are migrated to the current schema version before they're merged in
+  // Imported specs attach to the loaded cluster with the same ID, else to the one
+  // carrying the same name; the rest stay under their own ID, unmatched
+  const matchImportedSpecs = (parsed) => {
+    const loaded = (clusterStats || []).map(stats => String(stats.cluster));
+    const clusterOf = Object.fromEntries((clusterStats || []).map(stats => [String(stats.cluster), stats.cluster]));
+    const specs = {};
+    const byName = {};
+    const unmatched = [];
+    Object.entries(parsed).forEach(([key, spec]) => {
+      if (loaded.includes(key)) {
+        specs[key] = spec;
+        return;
+      }
+      const named = spec.cluster_name && loaded.find(cluster => clusterNames[cluster] === spec.cluster_name);
+      if (named && !parsed[named]) {
+        specs[named] = { ...spec, cluster_id: clusterOf[named] };
+        byName[key] = named;
+        return;
+      }
+      specs[key] = spec;
+      unmatched.push(key);
+    });
+    return { specs, byName, unmatched };
+  };
+
+  const importSpecs = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = parseSpecFile(await readFileAsText(file));
+      const { migrated, errors } = parsed;
+      const { specs, byName, unmatched } = matchImportedSpecs(parsed.specs);
+      setGenerationSpecs(prev => ({ ...prev, ...specs }));
+      setSelectedApproaches(prev => ({
+        ...prev,
+        ...Object.fromEntries(Object.entries(specs).map(([cluster, spec]) => [cluster, spec.generation_approach]))
+      }));
+      setTrendTokens(prev => ({
+        ...prev,
+        ...Object.fromEntries(Object.entries(specs).map(([cluster, spec]) => [cluster, spec.trend_tokens.tokens]))
+      }));
+      setSpecImport({ fileName: file.name, imported: Object.keys(specs), byName, unmatched, migrated, errors });
+    } catch (error) {
+      setSpecImport({
+        fileName: file.name, imported: [], byName: {}, unmatched: [], migrated: {}, errors: { file: [{ path: '(root)', message: error.message }] }
+      });
+    }
   };
 
   const getColor = (index) => {
@@ -281,6 +824,9 @@ export default function ClusterAnalysisTool() {
     return colors[index % colors.length];
   };
 
+  const isStale = (cluster) => specStaleness[cluster]?.sections.length > 0;
+  const outcomeStatsByCluster = new Map((outcomeStats || []).map(stats => [String(stats.cluster), stats]));
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 to-slate-800 text-white p-8">
       <div className="max-w-7xl mx-auto">
@@ -289,6 +835,40 @@ export default function ClusterAnalysisTool() {
         </h1>
         <p className="text-slate-400 mb-8">Upload your CSV files to analyze clusters and manually choose generation approaches</p>
 
+        <ProjectBar
+          projectName={projectName}
+          onProjectNameChange={setProjectName}
+          canSave={!!interpretationSource}
+          onSave={handleSaveProject}
+          onOpen={handleOpenProject}
+          onExport={exportProject}
+          onImport={importProject}
+          onStatus={setSaveStatus}
+          status={saveStatus}
+        />
+
+        {restorableSession && (
+          <div className="mb-8 p-4 rounded-lg border bg-blue-900/20 border-blue-700 flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-slate-300">
+              Unsaved session from {new Date(restorableSession.savedAt).toLocaleString()} with {restorableSession.files.interpretation.rows.length} videos
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={() => restoreWorkspace(restorableSession)}
+                className="px-4 py-2 bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+              >
+                Restore session
+              </button>
+              <button
+                onClick={() => setRestorableSession(null)}
+                className="px-4 py-2 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
           <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
             <div className="flex items-center gap-2 mb-4">
@@ -301,9 +881,17 @@ export default function ClusterAnalysisTool() {
               onChange={(e) => handleFileUpload(e.target.files[0], 'interpretation')}
               className="block w-full text-sm text-slate-400 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-700 file:cursor-pointer"
             />
+            {parsing?.type === 'interpretation' && <UploadProgress parsing={parsing} onCancel={parsing.cancel} />}
             {interpretationData && (
               <p className="mt-2 text-sm text-green-400">✓ Loaded {interpretationData.length} videos</p>
             )}
+            {statsPending && <p className="mt-1 text-xs text-slate-400">Computing cluster stats…</p>}
+            {validationSummary && (validationSummary.excluded > 0 || Object.keys(validationSummary.imputed).length > 0) && (
+              <p className="mt-1 text-xs text-amber-400">
+                {validationSummary.excluded} of {validationSummary.total} rows excluded
+                {Object.entries(validationSummary.imputed).map(([key, n]) => ` · ${n} ${key} imputed`).join('')}
+              </p>
+            )}
           </div>
 
           <div className="bg-slate-800 rounded-lg p-6 border border-slate-700">
@@ -317,19 +905,129 @@ export default function ClusterAnalysisTool() {
               onChange={(e) => handleFileUpload(e.target.files[0], 'cluster')}
               className="block w-full text-sm text-slate-400 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-purple-600 file:text-white hover:file:bg-purple-700 file:cursor-pointer"
             />
+            {parsing?.type === 'cluster' && <UploadProgress parsing={parsing} onCancel={parsing.cancel} />}
             {clusterResults && (
               <p className="mt-2 text-sm text-green-400">✓ Loaded {clusterResults.length} cluster assignments</p>
             )}
+            {computedClusters && (
+              <label className="mt-2 text-sm text-slate-300 flex items-center gap-2">
+                Clusters from
+                <select
+                  value={clusterSource}
+                  onChange={(e) => handleClusterSourceChange(e.target.value)}
+                  className="px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                >
+                  <option value="uploaded">{clusterFileName || 'interpretation.csv cluster column'}</option>
+                  <option value="computed">{computedClusters.name} (computed)</option>
+                </select>
+              </label>
+            )}
           </div>
         </div>
 
+        {uploadError && (
+          <div className="mb-8 p-4 rounded-lg border bg-red-900/20 border-red-700 text-sm text-red-400">
+            {uploadError}
+          </div>
+        )}
+
+        {pendingUpload && (
+          <SchemaDialog
+            upload={pendingUpload}
+            initialMapping={pendingUpload.mapping}
+            initialPolicies={defaultPolicies()}
+            onApply={(result, mapping, policies) => acceptInterpretation(
+              { fileName: pendingUpload.fileName, rows: pendingUpload.rows, mapping, policies },
+              result
+            )}
+            onCancel={() => setPendingUpload(null)}
+          />
+        )}
+
+        {/* Computed clusters are keyed on interpretation.csv itself, so there's nothing to reconcile */}
+        {reconciliation && clusterSource === 'uploaded' && (
+          <ReconciliationReport
+            report={reconciliation}
+            sharedColumns={getSharedColumns(interpretationData, clusterResults)}
+            idColumn={idColumn}
+            onIdColumnChange={handleIdColumnChange}
+          />
+        )}
+
+        {interpretationData && numericColumns.length > 0 && (
+          <FeatureSelector
+            numericColumns={numericColumns}
+            selected={features}
+            onChange={handleFeaturesChange}
+          />
+        )}
+
+        {clusterStats && (
+          <RuleEditor
+            preset={rulePreset}
+            onChange={setRulePreset}
+            metrics={features}
+            clusters={clusterStats.map(stats => ({ cluster: stats.cluster, stats, normalized: getNormalizedMetrics(stats) }))}
+          />
+        )}
+
         {clusterStats && (
           <>
             <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
-              <h2 className="text-2xl font-semibold mb-4 flex items-center gap-2">
-                <TrendingUp className="w-6 h-6 text-green-400" />
-                Cluster Overview
-              </h2>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold flex items-center gap-2">
+                  <TrendingUp className="w-6 h-6 text-green-400" />
+                  Cluster Overview
+                </h2>
+                <div className="flex items-center gap-2 ml-auto mr-4">
+                  <button
+                    onClick={exportReport}
+                    className="px-3 py-1.5 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm flex items-center gap-1"
+                    title="Self-contained HTML with the charts, stats, approaches and specs"
+                  >
+                    <FileDown className="w-4 h-4" />
+                    Report (HTML)
+                  </button>
+                  <button
+                    onClick={() => printHtml(buildReport())}
+                    className="px-3 py-1.5 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm flex items-center gap-1"
+                    title="Print layout, one cluster per page; choose Save as PDF in the print dialog"
+                  >
+                    <Printer className="w-4 h-4" />
+                    Report (PDF)
+                  </button>
+                </div>
+                <label className="text-sm text-slate-300 flex items-center gap-2">
+                  Ranges in stats and specs
+                  <select
+                    value={rangeBasis}
+                    onChange={(e) => setRangeBasis(e.target.value)}
+                    className="px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  >
+                    {Object.entries(RANGE_BASES).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              {clusterQuality && (
+                <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-4 text-sm text-slate-300">
+                  <span>
+                    Silhouette <strong>{clusterQuality.overall.silhouette === null ? '—' : clusterQuality.overall.silhouette.toFixed(2)}</strong>
+                    {clusterQuality.overall.silhouetteSampled && <span className="text-xs text-slate-500"> (sampled)</span>}
+                  </span>
+                  <span>
+                    Davies-Bouldin <strong>{clusterQuality.overall.daviesBouldin === null ? '—' : clusterQuality.overall.daviesBouldin.toFixed(2)}</strong>
+                  </span>
+                  <span>
+                    Between-cluster share of variance <strong>{clusterQuality.overall.betweenShare === null ? '—' : `${(clusterQuality.overall.betweenShare * 100).toFixed(1)}%`}</strong>
+                  </span>
+                  <label className="flex items-center gap-2 text-xs text-slate-400 ml-auto">
+                    <input type="checkbox" checked={qualityInSpecs} onChange={(e) => setQualityInSpecs(e.target.checked)} />
+                    Use quality in suggestions and specs
+                  </label>
+                </div>
+              )}
               <ResponsiveContainer width="100%" height={300}>
                 <BarChart data={clusterStats}>
                   <XAxis dataKey="cluster" stroke="#94a3b8" />
@@ -344,6 +1042,89 @@ export default function ClusterAnalysisTool() {
               </ResponsiveContainer>
             </div>
 
+            {embeddingVideos.length > 0 && features.length > 0 && (
+              <EmbeddingPlot
+                videos={embeddingVideos}
+                features={features}
+                scales={featureScales}
+                getColor={getColor}
+              />
+            )}
+
+            {similarity && clusterStats.length > 1 && (
+              <SimilarityPanel
+                matrix={similarity}
+                radarData={radarData}
+                features={features}
+                names={clusterNames}
+                getColor={getColor}
+              />
+            )}
+
+            <OutcomePanel
+              numericColumns={numericColumns}
+              features={features}
+              outcomes={outcomes}
+              onOutcomesChange={handleOutcomesChange}
+              outcomeStats={outcomeStats}
+              rows={editedClusters.rows}
+              names={clusterNames}
+              getColor={getColor}
+            />
+
+            <TrendPanel
+              clusterStats={clusterStats}
+              metrics={[...features, ...outcomes]}
+              dateColumns={dateColumns}
+              textOptions={textOptions}
+              settings={{ dateColumn: trendDateColumn, textColumns: trendTextColumns, recentWeeks: trendSettings.recentWeeks }}
+              onSettingsChange={handleTrendSettingsChange}
+              names={clusterNames}
+              getColor={getColor}
+            />
+
+            <ClusteringPanel
+              rows={interpretationData}
+              numericColumns={numericColumns}
+              defaultFeatures={features}
+              idColumn={idColumn}
+              onApply={applyComputedClusters}
+              onCompare={(clustering) => setComparisonRun({ fileName: clustering.name, rows: clustering.rows })}
+            />
+
+            <ClusterEditor
+              clusterStats={clusterStats}
+              features={features}
+              names={clusterNames}
+              history={clusterEdits}
+              onEdit={handleClusterEdit}
+              onUndo={() => setClusterEdits(undoEdit)}
+              onRedo={() => setClusterEdits(redoEdit)}
+            />
+
+            <RunComparison
+              baseStats={clusterStats}
+              idColumn={idColumn}
+              features={features}
+              run={comparisonRun}
+              onUpload={handleComparisonUpload}
+              onClear={() => setComparisonRun(null)}
+            />
+
+            <BulkActions
+              clusters={clusterStats.map(stats => ({
+                cluster: stats.cluster,
+                label: clusterNames[stats.cluster] ? `${stats.cluster} · ${clusterNames[stats.cluster]}` : String(stats.cluster),
+                suggestion: suggestApproach(stats),
+                approach: selectedApproaches[stats.cluster],
+                hasSpec: Boolean(generationSpecs[stats.cluster]),
+                stale: isStale(stats.cluster)
+              }))}
+              onAcceptSuggestions={acceptSuggestedApproaches}
+              onGenerate={generateSpecs}
+              onApplyTokens={applyTrendTokens}
+            />
+
             <div className="grid grid-cols-1 gap-6 mb-8">
               {clusterStats.map((stats, idx) => (
                 <div key={stats.cluster} className="bg-slate-800 rounded-lg p-6 border border-slate-700">
@@ -354,12 +1135,24 @@ export default function ClusterAnalysisTool() {
                           <h3 className="text-3xl font-bold" style={{ color: getColor(idx) }}>
                             Cluster {stats.cluster}
                           </h3>
-                          <p className="text-sm text-slate-400">{stats.count} videos</p>
+                          {clusterNames[stats.cluster] && <p className="text-lg text-slate-200">{clusterNames[stats.cluster]}</p>}
+                          <p className="text-sm text-slate-400 flex items-center gap-2">
+                            {stats.count} videos
+                            <PipelineStatus job={pipelineJobs[stats.cluster]} />
+                          </p>
                         </div>
                       </div>
 
                       <div className="mb-4">
                         <p className="text-sm text-slate-300 mb-3">{getClusterCharacteristics(stats)}</p>
+
+                        <ClusterQuality quality={clusterQuality?.clusters[stats.cluster]} count={stats.count} />
+                        <SimilarClusters
+                          similar={similarClusters[stats.cluster] || []}
+                          names={clusterNames}
+                          specs={generationSpecs}
+                          onMerge={(other) => handleClusterEdit({ type: 'merge', clusters: [stats.cluster, other], into: stats.cluster })}
+                        />
                         
                         {(() => {
                           const suggestion = suggestApproach(stats);
@@ -443,6 +1236,26 @@ export default function ClusterAnalysisTool() {
                               <Plus className="w-4 h-4" />
                             </button>
                           </div>
+                          {trendSuggestions[stats.cluster]?.terms.length > 0 && (
+                            <div className="flex flex-wrap items-center gap-2 mb-2">
+                              <span className="text-xs text-slate-400">Rising:</span>
+                              {trendSuggestions[stats.cluster].terms
+                                .filter(suggestion => !(trendTokens[stats.cluster] || []).includes(suggestion.term))
+                                .map(suggestion => (
+                                  <button
+                                    key={suggestion.term}
+                                    onClick={() => addTrendToken(stats.cluster, suggestion.term)}
+                                    disabled={(trendTokens[stats.cluster] || []).length >= 3}
+                                    title={`In ${suggestion.recent} of ${trendSuggestions[stats.cluster].recentVideos} recent videos vs ${suggestion.baseline} of ${trendSuggestions[stats.cluster].baselineVideos} before`}
+                                    className="inline-flex items-center gap-1 px-2 py-0.5 border border-cyan-600 text-cyan-300 rounded-full text-xs hover:bg-cyan-900/40 disabled:opacity-40 disabled:cursor-not-allowed"
+                                  >
+                                    <Plus className="w-3 h-3" />
+                                    {suggestion.term}
+                                    <span className="text-cyan-500">×{suggestion.lift.toFixed(1)}</span>
+                                  </button>
+                                ))}
+                            </div>
+                          )}
                           {trendTokens[stats.cluster] && trendTokens[stats.cluster].length > 0 && (
                             <div className="flex flex-wrap gap-2">
                               {trendTokens[stats.cluster].map((token, idx) => (
@@ -472,35 +1285,38 @@ export default function ClusterAnalysisTool() {
                               : 'bg-slate-700 text-slate-500 cursor-not-allowed'
                           }`}
                         >
-                          {selectedApproaches[stats.cluster] ? '✓ Generate Spec' : 'Select approach first'}
+                          {selectedApproaches[stats.cluster]
+                            ? (generationSpecs[stats.cluster] ? '✓ Regenerate Spec' : '✓ Generate Spec')
+                            : 'Select approach first'}
                         </button>
+                        {isStale(stats.cluster) && (
+                          <p className="mt-2 text-xs text-amber-400" title={specStaleness[stats.cluster].differences.map(d => d.path).join('\n')}>
+                            Spec is stale: {specStaleness[stats.cluster].sections.join(', ')} changed since it was generated
+                          </p>
+                        )}
                       </div>
 
                       <div className="grid grid-cols-2 gap-3 text-xs">
-                        <div className="bg-slate-900 rounded p-3">
-                          <p className="text-slate-400 mb-1">Motion</p>
-                          <p className="text-xl font-semibold">{stats.avg_motion.toFixed(2)}</p>
-                          <p className="text-slate-500 text-xs">{stats.min_motion.toFixed(2)} - {stats.max_motion.toFixed(2)}</p>
-                        </div>
-                        <div className="bg-slate-900 rounded p-3">
-                          <p className="text-slate-400 mb-1">Cut Rate</p>
-                          <p className="text-xl font-semibold">{stats.avg_cut_rate.toFixed(1)}/min</p>
-                          <p className="text-slate-500 text-xs">{Math.round(stats.min_cut_rate)} - {Math.round(stats.max_cut_rate)}</p>
-                        </div>
-                        <div className="bg-slate-900 rounded p-3">
-                          <p className="text-slate-400 mb-1">Audio RMS</p>
-                          <p className="text-xl font-semibold">{stats.avg_audio_rms_mean.toFixed(3)}</p>
-                          <p className="text-slate-500 text-xs">±{stats.avg_audio_rms_std.toFixed(3)}</p>
-                        </div>
-                        <div className="bg-slate-900 rounded p-3">
-                          <p className="text-slate-400 mb-1">Visual Density</p>
-                          <p className="text-xl font-semibold">{stats.avg_visual_density.toFixed(2)}</p>
-                          <p className="text-slate-500 text-xs">{stats.min_visual_density.toFixed(2)} - {stats.max_visual_density.toFixed(2)}</p>
-                        </div>
+                        {features.map(key => {
+                          const metric = stats.metrics[key];
+                          return (
+                            <div key={key} className="bg-slate-900 rounded p-3">
+                              <p className="text-slate-400 mb-1">{getFeatureLabel(key)}</p>
+                              <p className="text-xl font-semibold">
+                                {formatFeatureValue(key, metric.avg)}{metric.count > 0 ? getFeatureUnit(key) : ''}
+                              </p>
+                              <p className="text-slate-500 text-xs">
+                                {getRange(metric, rangeBasis).map(v => formatFeatureValue(key, v)).join(' - ')}
+                                {metric.count > 0 && ` · σ ${formatFeatureValue(key, metric.std)}`}
+                                {metric.count < stats.count && ` · ${stats.count - metric.count} missing`}
+                              </p>
+                            </div>
+                          );
+                        })}
                       </div>
                     </div>
 
-                    <div className="flex items-center justify-center">
+                    <div className="flex flex-col items-center justify-center gap-4">
                       <ResponsiveContainer width="100%" height={300}>
                         <RadarChart data={getRadarData(stats)}>
                           <PolarGrid stroke="#475569" />
@@ -509,35 +1325,214 @@ export default function ClusterAnalysisTool() {
                           <Radar name="Metrics" dataKey="value" stroke={getColor(idx)} fill={getColor(idx)} fillOpacity={0.5} />
                         </RadarChart>
                       </ResponsiveContainer>
+                      <div className="w-full bg-slate-900 rounded p-3">
+                        <p className="text-xs font-semibold text-slate-400 mb-2">DISTRIBUTION (p10–p90 whiskers, p25–p75 box, median)</p>
+                        <BoxPlot features={features} metrics={stats.metrics} domains={boxDomains} color={getColor(idx)} />
+                      </div>
+                      {outcomeStatsByCluster.has(String(stats.cluster)) && (
+                        <div className="w-full bg-slate-900 rounded p-3">
+                          <p className="text-xs font-semibold text-slate-400 mb-2">
+                            OUTCOMES
+                            {outcomes.map(key => outcomeRanks[key][stats.cluster] && (
+                              <span key={key} className="ml-2 font-normal text-rose-300">
+                                #{outcomeRanks[key][stats.cluster]}/{Object.keys(outcomeRanks[key]).length} {getFeatureLabel(key)}
+                              </span>
+                            ))}
+                          </p>
+                          <BoxPlot
+                            features={outcomes}
+                            metrics={outcomeStatsByCluster.get(String(stats.cluster)).metrics}
+                            domains={outcomeDomains}
+                            color={getColor(idx)}
+                          />
+                        </div>
+                      )}
                     </div>
                   </div>
+
+                  <VideoTable
+                    videos={getVideoRows(stats)}
+                    columns={getVideoColumns(stats)}
+                    pinnedIds={pinnedVideos[stats.cluster] || NO_PINS}
+                    onTogglePin={(id) => togglePinnedVideo(stats.cluster, id)}
+                    moveTargets={clusterStats.filter(other => other.cluster !== stats.cluster).map(other => ({
+                      cluster: other.cluster,
+                      label: clusterNames[other.cluster] ? `${other.cluster} · ${clusterNames[other.cluster]}` : `Cluster ${other.cluster}`
+                    }))}
+                    onMove={(video, to) => moveVideo(stats.cluster, video, to)}
+                  />
                 </div>
               ))}
             </div>
 
-            {Object.keys(generationSpecs).length > 0 && (
-              <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
-                <div className="flex justify-between items-center mb-4">
-                  <h2 className="text-2xl font-semibold">Generated Specifications</h2>
+            <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+              <div className="flex justify-between items-center mb-4 gap-3 flex-wrap">
+                <h2 className="text-2xl font-semibold">Generated Specifications</h2>
+                <div className="flex gap-2 flex-wrap">
                   <button
-                    onClick={exportSpecs}
+                    onClick={exportSpecSchema}
+                    className="px-4 py-3 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm"
+                    title={`JSON Schema for spec version ${SPEC_SCHEMA_VERSION}`}
+                  >
+                    Schema v{SPEC_SCHEMA_VERSION}
+                  </button>
+                  <button
+                    onClick={() => specFileInput.current?.click()}
+                    className="px-4 py-3 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm"
+                  >
+                    Import specs
+                  </button>
+                  <input
+                    ref={specFileInput}
+                    type="file"
+                    accept=".json,application/json"
+                    className="hidden"
+                    onChange={(e) => {
+                      importSpecs(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                  <button
+                    onClick={() => setPipelineOpen(!pipelineOpen)}
+                    className="px-4 py-3 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors font-medium"
+                  >
+                    Send to pipeline…
+                  </button>
+                  <button
+                    onClick={() => setExportDialogOpen(true)}
                     className="px-6 py-3 bg-green-600 rounded-lg hover:bg-green-700 transition-colors font-medium"
                   >
-                    📥 Export All Specs as JSON
+                    📥 Export…
                   </button>
                 </div>
+              </div>
+
+              {exportDialogOpen && (
+                <ExportDialog
+                  clusters={getExportClusters()}
+                  specErrors={specErrors}
+                  projectName={projectName.trim()}
+                  editCount={clusterEdits.edits.length}
+                  initialOptions={exportOptions}
+                  onExport={exportSpecs}
+                  onCancel={() => setExportDialogOpen(false)}
+                />
+              )}
+
+              {pipelineOpen && (
+                <PipelinePanel
+                  settings={pipelineSettings}
+                  onSettingsChange={handlePipelineSettingsChange}
+                  sendable={Object.keys(generationSpecs).filter(cluster => !specErrors[cluster])}
+                  jobs={pipelineJobs}
+                  error={pipelineError}
+                  onSend={() => sendToPipeline(Object.keys(generationSpecs))}
+                  onClose={() => setPipelineOpen(false)}
+                />
+              )}
+
+              {specImport && (
+                <div className="mb-4 p-4 rounded-lg border bg-slate-900 border-slate-700 text-sm">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="text-slate-300">
+                        Imported {specImport.imported.length} spec(s) from {specImport.fileName}
+                        {specImport.imported.length > 0 && ` · ${specImport.imported.length - specImport.unmatched.length} matched to loaded clusters`}
+                      </p>
+                      {Object.entries(specImport.byName).map(([from, to]) => (
+                        <p key={from} className="text-xs text-slate-400">Spec for cluster {from} matched cluster {to} by name</p>
+                      ))}
+                      {specImport.unmatched.length > 0 && (
+                        <p className="text-xs text-amber-400">No loaded cluster for: {specImport.unmatched.join(', ')}</p>
+                      )}
+                      {(() => {
+                        const changed = specImport.imported.filter(isStale);
+                        return changed.length > 0 && (
+                          <p className="mt-1 text-xs text-amber-300">
+                            {changed.length} imported spec(s) differ from what the loaded data generates; review them below.
+                            <button onClick={() => generateSpecs(changed)} className="ml-2 text-blue-400 hover:text-blue-300">
+                              Use regenerated for all
+                            </button>
+                          </p>
+                        );
+                      })()}
+                    </div>
+                    <button onClick={() => setSpecImport(null)} className="text-slate-500 hover:text-slate-300">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                  {Object.entries(specImport.migrated).map(([cluster, changes]) => (
+                    <div key={cluster} className="mt-2 text-yellow-400">
+                      <span className="font-semibold">Cluster {cluster} upgraded:</span> {changes.join('; ')}
+                    </div>
+                  ))}
+                  {Object.keys(specImport.errors).length > 0 && (
+                    <div className="mt-2 text-red-400">
+                      <p className="font-semibold">Skipped invalid specs:</p>
+                      <SpecErrorList errors={specImport.errors} />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {Object.keys(generationSpecs).length === 0 ? (
+                <p className="text-sm text-slate-500">
+                  Generate a spec from a cluster card, or import a previously exported generation_specs.json.
+                </p>
+              ) : (
                 <div className="space-y-4">
                   {Object.entries(generationSpecs).map(([cluster, spec]) => (
                     <div key={cluster} className="bg-slate-900 rounded-lg p-4 border border-slate-700">
-                      <h3 className="text-lg font-semibold mb-2 text-blue-400">Cluster {cluster}</h3>
+                      <div className="flex items-center gap-3 mb-2">
+                        <h3 className="text-lg font-semibold text-blue-400">
+                          Cluster {cluster}{spec.cluster_name && <span className="text-slate-300 font-normal"> · {spec.cluster_name}</span>}
+                        </h3>
+                        {isStale(cluster) && (
+                          <span
+                            className="text-xs px-2 py-0.5 rounded bg-amber-900/40 text-amber-400 border border-amber-700"
+                            title={specStaleness[cluster].differences.map(d => d.path).join('\n')}
+                          >
+                            stale: {specStaleness[cluster].sections.join(', ')}
+                          </span>
+                        )}
+                        {specStaleness[cluster]?.missing && clusterStats && (
+                          <span className="text-xs px-2 py-0.5 rounded bg-slate-700 text-slate-400">no matching cluster</span>
+                        )}
+                        {specErrors[cluster] ? (
+                          <span className="text-xs px-2 py-0.5 rounded bg-red-900/40 text-red-400 border border-red-700">
+                            invalid ({specErrors[cluster].length})
+                          </span>
+                        ) : (
+                          <span className="text-xs px-2 py-0.5 rounded bg-green-900/40 text-green-400 border border-green-700">
+                            valid v{spec.schema_version}
+                          </span>
+                        )}
+                        <PipelineStatus job={pipelineJobs[cluster]} />
+                        {pipelineOpen && !specErrors[cluster] && (
+                          <button onClick={() => sendToPipeline([cluster])} className="ml-auto text-xs text-emerald-400 hover:text-emerald-300">
+                            Send
+                          </button>
+                        )}
+                      </div>
+                      {isStale(cluster) && (
+                        <SpecDiff differences={specStaleness[cluster].differences} onAccept={() => generateSpecs([cluster])} />
+                      )}
                       <pre className="text-xs text-green-400 overflow-x-auto">
                         {JSON.stringify(spec, null, 2)}
                       </pre>
                     </div>
                   ))}
                 </div>
-              </div>
-            )}
+              )}
+            </div>
+
+            <PromptTemplateEditor
+              templates={promptTemplates}
+              onTemplatesChange={setPromptTemplates}
+              sampling={promptSampling}
+              onSamplingChange={setPromptSampling}
+              specs={generationSpecs}
+            />
           </>
         )}
 
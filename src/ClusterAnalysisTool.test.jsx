@@ -0,0 +1,65 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
+import ClusterAnalysisTool from './ClusterAnalysisTool';
+import { readFixture } from './test/fixtures';
+import { validateSpec } from './lib/specSchema';
+
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+const button = (name) => screen.getByRole('button', { name });
+
+describe('ClusterAnalysisTool', () => {
+  let downloads;
+
+  beforeEach(() => {
+    downloads = [];
+    // Charts measure their container; jsdom has no layout and no object URLs
+    vi.stubGlobal('ResizeObserver', class { observe() {} unobserve() {} disconnect() {} });
+    vi.spyOn(URL, 'createObjectURL').mockImplementation(blob => {
+      downloads.push(blob);
+      return 'blob:test';
+    });
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    localStorage.clear();
+  });
+
+  it('goes from an uploaded CSV to exported specs', async () => {
+    const { container } = render(<ClusterAnalysisTool />);
+
+    const file = new File([readFixture('interpretation.csv')], 'interpretation.csv', { type: 'text/csv' });
+    fireEvent.change(container.querySelector('input[accept=".csv"]'), { target: { files: [file] } });
+    await screen.findByText(/Loaded 12 videos/);
+
+    // Cluster stats are computed asynchronously after the upload
+    fireEvent.click(await screen.findByRole('button', { name: /Accept all suggestions/ }));
+    fireEvent.click(button(/Generate all specs/));
+    await waitFor(() => expect(screen.getAllByText(/"generation_approach"/)).toHaveLength(4));
+
+    fireEvent.click(button(/Export…/));
+    await screen.findByText('4 of 4 selected clusters have a spec');
+    fireEvent.click(button(/^Export$/));
+
+    await waitFor(() => expect(downloads).toHaveLength(1));
+    const specs = JSON.parse(await readBlob(downloads[0]));
+    expect(Object.keys(specs)).toEqual(['0', '1', '2', '3']);
+    expect(Object.values(specs).map(spec => spec.generation_approach))
+      .toEqual(['motion-focused', 'image-conditioned', 'text-driven', 'text-driven']);
+    Object.values(specs).forEach(spec => expect(validateSpec(spec)).toEqual([]));
+    expect(specs[0].base_prompt_components.motion_profile).toMatchObject({ pacing: 'fast', cuts_per_minute: 160 });
+    expect(specs[1].constraints).toEqual({ sample_count: 3, variation_strategy: 'vary_seed_image' });
+  });
+});
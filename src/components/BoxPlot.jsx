@@ -0,0 +1,57 @@
+import React from 'react';
+import { getFeatureLabel, formatFeatureValue } from '../lib/features';
+
+const WIDTH = 240;
+const HEIGHT = 18;
+
+// Horizontal box plot per metric: whiskers p10–p90, box p25–p75, median line and
+// min/max dots, on a scale shared by every cluster so cards can be compared.
+export default function BoxPlot({ features, metrics, domains, color }) {
+  return (
+    <div className="space-y-2">
+      {features.map(key => {
+        const m = metrics[key];
+        const [lo, hi] = domains[key] || [0, 1];
+        if (!m || m.count === 0) {
+          return (
+            <div key={key} className="flex items-center gap-3 text-xs">
+              <span className="w-28 text-slate-400 truncate">{getFeatureLabel(key)}</span>
+              <span className="text-slate-500">no values</span>
+            </div>
+          );
+        }
+
+        const x = (v) => (hi === lo ? WIDTH / 2 : ((v - lo) / (hi - lo)) * WIDTH);
+        const mid = HEIGHT / 2;
+        const title = `min ${formatFeatureValue(key, m.min)} · p10 ${formatFeatureValue(key, m.p10)} · p25 ${formatFeatureValue(key, m.p25)} · median ${formatFeatureValue(key, m.median)} · p75 ${formatFeatureValue(key, m.p75)} · p90 ${formatFeatureValue(key, m.p90)} · max ${formatFeatureValue(key, m.max)}`;
+
+        return (
+          <div key={key} className="flex items-center gap-3 text-xs" title={title}>
+            <span className="w-28 text-slate-400 truncate">{getFeatureLabel(key)}</span>
+            <svg width={WIDTH + 8} height={HEIGHT} viewBox={`-4 0 ${WIDTH + 8} ${HEIGHT}`} className="shrink-0">
+              <line x1={0} x2={WIDTH} y1={mid} y2={mid} stroke="#334155" />
+              <line x1={x(m.p10)} x2={x(m.p90)} y1={mid} y2={mid} stroke={color} />
+              <line x1={x(m.p10)} x2={x(m.p10)} y1={mid - 4} y2={mid + 4} stroke={color} />
+              <line x1={x(m.p90)} x2={x(m.p90)} y1={mid - 4} y2={mid + 4} stroke={color} />
+              <rect
+                x={x(m.p25)}
+                y={2}
+                width={Math.max(x(m.p75) - x(m.p25), 1)}
+                height={HEIGHT - 4}
+                fill={color}
+                fillOpacity={0.35}
+                stroke={color}
+              />
+              <line x1={x(m.median)} x2={x(m.median)} y1={1} y2={HEIGHT - 1} stroke="#f1f5f9" strokeWidth={2} />
+              <circle cx={x(m.min)} cy={mid} r={2} fill="#94a3b8" />
+              <circle cx={x(m.max)} cy={mid} r={2} fill="#94a3b8" />
+            </svg>
+            <span className="text-slate-500 whitespace-nowrap">
+              {formatFeatureValue(key, m.median)} <span className="text-slate-600">±{formatFeatureValue(key, m.std)}</span>
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Layers, RefreshCw } from 'lucide-react';
+
+const inputClass = 'px-3 py-1.5 bg-slate-900 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-blue-500';
+const buttonClass = 'px-3 py-1.5 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Comma-separated input → at most 3 distinct tokens
+const parseTokens = (text) => [...new Set(text.split(',').map(t => t.trim()).filter(Boolean))].slice(0, 3);
+
+// clusters: [{ cluster, label, suggestion, approach, hasSpec, stale }]
+export default function BulkActions({ clusters, onAcceptSuggestions, onGenerate, onApplyTokens }) {
+  const [tokenText, setTokenText] = useState('');
+  const [tokenMode, setTokenMode] = useState('add');
+  const [tokenClusters, setTokenClusters] = useState([]);
+
+  const highConfidence = clusters.filter(c => c.suggestion.confidence === 'high');
+  const withApproach = clusters.filter(c => c.approach);
+  const stale = clusters.filter(c => c.stale);
+  const tokens = parseTokens(tokenText);
+  const targets = clusters.filter(c => tokenClusters.includes(String(c.cluster))).map(c => c.cluster);
+
+  const toggleCluster = (cluster) => {
+    const key = String(cluster);
+    setTokenClusters(prev => (prev.includes(key) ? prev.filter(c => c !== key) : [...prev, key]));
+  };
+
+  const applyTokens = () => {
+    onApplyTokens(targets, tokens, tokenMode);
+    setTokenText('');
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <h2 className="text-2xl font-semibold flex items-center gap-2 mb-4">
+        <Layers className="w-6 h-6 text-emerald-400" />
+        Bulk Actions
+        <span className="text-sm font-normal text-slate-400">
+          · {withApproach.length} of {clusters.length} clusters have an approach · {clusters.filter(c => c.hasSpec).length} specs
+          {stale.length > 0 && <span className="text-amber-400"> · {stale.length} stale</span>}
+        </span>
+      </h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          <div>
+            <p className="text-xs font-semibold text-slate-400 mb-2">APPROACHES</p>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={() => onAcceptSuggestions(false)} disabled={clusters.length === 0} className={buttonClass}>
+                Accept all suggestions ({clusters.length})
+              </button>
+              <button onClick={() => onAcceptSuggestions(true)} disabled={highConfidence.length === 0} className={buttonClass}>
+                Accept high-confidence only ({highConfidence.length})
+              </button>
+            </div>
+            <p className="mt-1 text-xs text-slate-500">Accepting replaces the approach chosen on those clusters.</p>
+          </div>
+
+          <div>
+            <p className="text-xs font-semibold text-slate-400 mb-2">SPECS</p>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => onGenerate(withApproach.map(c => c.cluster))}
+                disabled={withApproach.length === 0}
+                className={`${buttonClass} bg-green-700 hover:bg-green-600`}
+              >
+                Generate all specs ({withApproach.length})
+              </button>
+              <button
+                onClick={() => onGenerate(stale.map(c => c.cluster))}
+                disabled={stale.length === 0}
+                className={`${buttonClass} flex items-center gap-1`}
+              >
+                <RefreshCw className="w-4 h-4" />
+                Regenerate stale ({stale.length})
+              </button>
+            </div>
+            {withApproach.length < clusters.length && (
+              <p className="mt-1 text-xs text-slate-500">
+                {clusters.length - withApproach.length} clusters without an approach are skipped.
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <p className="text-xs font-semibold text-slate-400 mb-2">TREND TOKENS</p>
+          <div className="flex flex-wrap gap-2 mb-2">
+            <input
+              type="text"
+              value={tokenText}
+              onChange={(e) => setTokenText(e.target.value)}
+              placeholder="upbeat, vintage filter"
+              className={`${inputClass} flex-1 min-w-40`}
+            />
+            <select value={tokenMode} onChange={(e) => setTokenMode(e.target.value)} className={inputClass}>
+              <option value="add">Add (keep up to 3)</option>
+              <option value="replace">Replace existing</option>
+            </select>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <button onClick={() => setTokenClusters(clusters.map(c => String(c.cluster)))} className="text-xs text-blue-400 hover:text-blue-300">All</button>
+            <button onClick={() => setTokenClusters([])} className="text-xs text-blue-400 hover:text-blue-300">None</button>
+            {clusters.map(c => (
+              <button
+                key={c.cluster}
+                onClick={() => toggleCluster(c.cluster)}
+                className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                  tokenClusters.includes(String(c.cluster)) ? 'bg-purple-700/40 border-purple-500' : 'bg-slate-900 border-slate-700 text-slate-400'
+                }`}
+              >
+                {c.label}
+              </button>
+            ))}
+          </div>
+          <button onClick={applyTokens} disabled={tokens.length === 0 || targets.length === 0} className={buttonClass}>
+            {tokens.length === 0 ? 'Type 1-3 tokens' : `Apply ${tokens.map(t => `"${t}"`).join(', ')} to ${targets.length} clusters`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronDown, ChevronRight, Scissors, Undo2, Redo2 } from 'lucide-react';
+import { describeEdit, nextClusterId } from '../lib/clusterEdits';
+import { getFeatureLabel, formatFeatureValue, isFiniteNumber } from '../lib/features';
+
+const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-700 rounded text-xs text-white focus:outline-none focus:border-blue-500';
+const buttonClass = 'px-3 py-1.5 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-xs disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Select values are strings; map them back to the cluster label as loaded
+const findCluster = (clusters, value) => clusters.find(c => String(c) === value);
+
+// clusterStats: the edited clusters; history: { edits, undone }
+export default function ClusterEditor({ clusterStats, features, names, history, onEdit, onUndo, onRedo }) {
+  const [expanded, setExpanded] = useState(false);
+  const [mergeSelection, setMergeSelection] = useState([]);
+  const [split, setSplit] = useState({ cluster: null, feature: null, threshold: '' });
+  const [rename, setRename] = useState({ cluster: null, name: '' });
+
+  const clusters = clusterStats.map(stats => stats.cluster);
+  const hasCluster = (cluster) => cluster !== null && clusters.some(c => String(c) === String(cluster));
+
+  // Clusters can disappear under an edit (merge, undo of a split); fall back to the first one
+  const merging = mergeSelection.filter(hasCluster);
+  const splitCluster = hasCluster(split.cluster) ? split.cluster : clusters[0];
+  const splitFeature = features.includes(split.feature) ? split.feature : features[0];
+  const splitStats = clusterStats.find(stats => String(stats.cluster) === String(splitCluster));
+  const median = splitStats?.metrics[splitFeature]?.median;
+  const threshold = split.threshold === '' ? median : Number(split.threshold);
+  // Counting walks the cluster's rows, so only while the editor is open
+  const movedBySplit = useMemo(() => (expanded && splitStats && isFiniteNumber(threshold)
+    ? splitStats.videos.filter(row => isFiniteNumber(row[splitFeature]) && row[splitFeature] > threshold).length
+    : 0), [expanded, splitStats, splitFeature, threshold]);
+  const newCluster = nextClusterId(clusters);
+  const renameCluster = hasCluster(rename.cluster) ? rename.cluster : clusters[0];
+
+  const toggleMerge = (cluster) => {
+    setMergeSelection(prev => (prev.some(c => String(c) === String(cluster))
+      ? prev.filter(c => String(c) !== String(cluster))
+      : [...prev.filter(hasCluster), cluster]));
+  };
+
+  const merge = () => {
+    onEdit({ type: 'merge', clusters: merging, into: merging[0] });
+    setMergeSelection([]);
+  };
+
+  const applySplit = () => {
+    onEdit({ type: 'split', cluster: splitCluster, feature: splitFeature, threshold, into: newCluster });
+    setSplit({ ...split, threshold: '' });
+  };
+
+  const applyRename = () => {
+    onEdit({ type: 'rename', cluster: renameCluster, name: rename.name.trim() });
+    setRename({ cluster: renameCluster, name: '' });
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <div className="flex items-center justify-between gap-3">
+        <button onClick={() => setExpanded(!expanded)} className="flex-1 flex items-center gap-2 text-left">
+          {expanded ? <ChevronDown className="w-5 h-5" /> : <ChevronRight className="w-5 h-5" />}
+          <h2 className="text-2xl font-semibold flex items-center gap-2">
+            <Scissors className="w-6 h-6 text-orange-400" />
+            Edit Clusters
+            {history.edits.length > 0 && (
+              <span className="text-sm font-normal text-slate-400">· {history.edits.length} edit{history.edits.length === 1 ? '' : 's'} applied</span>
+            )}
+          </h2>
+        </button>
+        <div className="flex gap-2">
+          <button onClick={onUndo} disabled={history.edits.length === 0} className={buttonClass} title="Undo last edit">
+            <Undo2 className="w-4 h-4" />
+          </button>
+          <button onClick={onRedo} disabled={history.undone.length === 0} className={buttonClass} title="Redo">
+            <Redo2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-5">
+            <div>
+              <h3 className="text-sm font-semibold mb-2">Merge</h3>
+              <div className="flex flex-wrap gap-2 mb-2">
+                {clusters.map(cluster => (
+                  <button
+                    key={cluster}
+                    onClick={() => toggleMerge(cluster)}
+                    className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                      merging.some(c => String(c) === String(cluster)) ? 'bg-orange-700/40 border-orange-500' : 'bg-slate-900 border-slate-700 text-slate-400'
+                    }`}
+                  >
+                    {cluster}{names[cluster] ? ` · ${names[cluster]}` : ''}
+                  </button>
+                ))}
+              </div>
+              <button onClick={merge} disabled={merging.length < 2} className={buttonClass}>
+                {merging.length < 2 ? 'Pick two or more clusters' : `Merge ${merging.join(', ')} into ${merging[0]}`}
+              </button>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold mb-2">Split by threshold</h3>
+              <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-slate-300">
+                Cluster
+                <select
+                  value={String(splitCluster)}
+                  onChange={(e) => setSplit({ ...split, cluster: findCluster(clusters, e.target.value), threshold: '' })}
+                  className={inputClass}
+                >
+                  {clusters.map(cluster => <option key={cluster} value={String(cluster)}>{cluster}</option>)}
+                </select>
+                where
+                <select
+                  value={splitFeature || ''}
+                  onChange={(e) => setSplit({ ...split, feature: e.target.value, threshold: '' })}
+                  className={inputClass}
+                >
+                  {features.map(key => <option key={key} value={key}>{getFeatureLabel(key)}</option>)}
+                </select>
+                &gt;
+                <input
+                  type="number"
+                  step="any"
+                  value={split.threshold}
+                  placeholder={isFiniteNumber(median) ? `median ${formatFeatureValue(splitFeature, median)}` : ''}
+                  onChange={(e) => setSplit({ ...split, cluster: splitCluster, feature: splitFeature, threshold: e.target.value })}
+                  className={`${inputClass} w-32`}
+                />
+              </div>
+              <button
+                onClick={applySplit}
+                disabled={!splitStats || !isFiniteNumber(threshold) || movedBySplit === 0 || movedBySplit === splitStats.count}
+                className={buttonClass}
+              >
+                {splitStats ? `Move ${movedBySplit} of ${splitStats.count} videos to new cluster ${newCluster}` : 'Split'}
+              </button>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-semibold mb-2">Rename</h3>
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  value={String(renameCluster)}
+                  onChange={(e) => setRename({ cluster: findCluster(clusters, e.target.value), name: '' })}
+                  className={inputClass}
+                >
+                  {clusters.map(cluster => <option key={cluster} value={String(cluster)}>{cluster}</option>)}
+                </select>
+                <input
+                  type="text"
+                  value={rename.name}
+                  placeholder={names[renameCluster] || 'e.g. Fast-cut gaming'}
+                  onChange={(e) => setRename({ cluster: renameCluster, name: e.target.value })}
+                  onKeyDown={(e) => { if (e.key === 'Enter') applyRename(); }}
+                  className={`${inputClass} flex-1 min-w-40`}
+                />
+                <button onClick={applyRename} disabled={!rename.name.trim() && !names[renameCluster]} className={buttonClass}>
+                  {rename.name.trim() ? 'Rename' : 'Clear name'}
+                </button>
+              </div>
+            </div>
+
+            <p className="text-xs text-slate-500">
+              Move single videos from the Videos table of a cluster card. Stats, radar charts and new specs use the edited clusters.
+            </p>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold mb-2">History</h3>
+            {history.edits.length === 0 && history.undone.length === 0 ? (
+              <p className="text-xs text-slate-400">No edits yet; clusters are as loaded.</p>
+            ) : (
+              <ol className="text-xs space-y-1 max-h-72 overflow-y-auto list-decimal list-inside">
+                {history.edits.map((edit, i) => (
+                  <li key={`done-${i}`} className="text-slate-300">{describeEdit(edit)}</li>
+                ))}
+                {history.undone.map((edit, i) => (
+                  <li key={`undone-${i}`} className="text-slate-600 line-through" title="Undone; redo to apply again">{describeEdit(edit)}</li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { WEAK_SILHOUETTE } from '../lib/quality';
+
+const format = (value, digits = 2) => (value === null || value === undefined ? '—' : Number.isFinite(value) ? value.toFixed(digits) : '∞');
+
+const silhouetteColor = (value) => {
+  if (value === null) return 'text-slate-400';
+  if (value >= 0.5) return 'text-green-400';
+  if (value >= WEAK_SILHOUETTE) return 'text-blue-400';
+  return 'text-amber-400';
+};
+
+// Per-cluster quality row for a cluster card
+export default function ClusterQuality({ quality, count }) {
+  if (!quality) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="grid grid-cols-3 gap-2">
+        <div className="bg-slate-900 rounded-lg p-2 border border-slate-700" title="-1 to 1: how much closer videos are to their own cluster than to the nearest other one">
+          <p className="text-xs text-slate-400">Silhouette</p>
+          <p className={`text-sm font-semibold ${silhouetteColor(quality.silhouette)}`}>{format(quality.silhouette)}</p>
+        </div>
+        <div className="bg-slate-900 rounded-lg p-2 border border-slate-700" title="Spread relative to separation from the most similar cluster; lower is better">
+          <p className="text-xs text-slate-400">Davies-Bouldin</p>
+          <p className="text-sm font-semibold">{format(quality.daviesBouldin)}</p>
+        </div>
+        <div className="bg-slate-900 rounded-lg p-2 border border-slate-700" title="Mean squared distance to the centroid, in standardized units">
+          <p className="text-xs text-slate-400">Within variance</p>
+          <p className="text-sm font-semibold">{format(quality.withinVariance)}</p>
+        </div>
+      </div>
+      {quality.weak && (
+        <p className="mt-2 text-xs text-amber-400 flex items-center gap-1">
+          <AlertTriangle className="w-3 h-3 shrink-0" />
+          {count < 2
+            ? 'Weak cluster: a single video can\'t show a stable pattern.'
+            : `Weak cluster: silhouette below ${WEAK_SILHOUETTE}; videos sit nearly as close to cluster ${quality.nearestCluster}.`}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { ChevronDown, ChevronRight, Boxes } from 'lucide-react';
+import Papa from 'papaparse';
+import {
+  CLUSTERING_METHODS, MAX_AGGLOMERATIVE_POINTS, buildPoints, runClustering, scoreClustering
+} from '../lib/clustering';
+import { runClusteringSweep } from '../lib/clusteringSweep';
+import { ID_COLUMN_CANDIDATES, ROW_KEY_COLUMN } from '../lib/reconcile';
+import { getVideoId } from '../lib/distance';
+import { getFeatureLabel } from '../lib/features';
+import { downloadFile } from '../lib/download';
+
+const MIN_K = 2;
+const MAX_K = 15;
+
+const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-700 rounded text-xs text-white focus:outline-none focus:border-blue-500';
+const buttonClass = 'px-3 py-1.5 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-xs disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Column that identifies videos, so computed labels can be joined like cluster_results.csv;
+// without one they are keyed by row key in ROW_KEY_COLUMN
+const findIdColumn = (rows, preferred) =>
+  [preferred, ...ID_COLUMN_CANDIDATES].find(col => col && rows.some(row => row[col] !== undefined && row[col] !== null && row[col] !== '')) || null;
+
+export default function ClusteringPanel({ rows, numericColumns, defaultFeatures, idColumn, onApply, onCompare }) {
+  const [expanded, setExpanded] = useState(false);
+  const [method, setMethod] = useState('kmeans');
+  const [features, setFeatures] = useState(defaultFeatures);
+  const [standardizeFeatures, setStandardizeFeatures] = useState(true);
+  const [k, setK] = useState(4);
+  const [seed, setSeed] = useState(42);
+  const [sweep, setSweep] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const sweepJobRef = useRef(null);
+
+  useEffect(() => () => sweepJobRef.current?.cancel(), []);
+
+  const maxK = Math.max(MIN_K, Math.min(MAX_K, rows.length - 1));
+  const wardAvailable = rows.length <= MAX_AGGLOMERATIVE_POINTS;
+  const activeMethod = method === 'ward' && !wardAvailable ? 'kmeans' : method;
+  const idKey = findIdColumn(rows, idColumn) || ROW_KEY_COLUMN;
+  const settingsKey = `${activeMethod}|${features.join(',')}|${standardizeFeatures}|${seed}`;
+  const chosenK = Math.min(k, maxK);
+  // Results belong to the rows they were computed on; a new upload clears them
+  const currentSweep = sweep?.settingsKey === settingsKey && sweep.rows === rows ? sweep.points : null;
+  const current = result?.rows === rows ? result : null;
+
+  const toggleFeature = (key) => {
+    setFeatures(prev => (prev.includes(key) ? prev.filter(f => f !== key) : [...prev, key]));
+  };
+
+  const runSweep = async () => {
+    if (features.length === 0) return;
+    setError(null);
+    const points = buildPoints(rows, features, standardizeFeatures);
+    const ks = Array.from({ length: maxK - MIN_K + 1 }, (_, i) => MIN_K + i);
+    setProgress({ current: MIN_K, total: maxK });
+    const job = runClusteringSweep(points, ks, activeMethod, { seed }, (candidate) => setProgress({ current: candidate, total: maxK }));
+    sweepJobRef.current = job;
+    try {
+      const results = await job.promise;
+      if (results) setSweep({ settingsKey, rows, points: results });
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      if (sweepJobRef.current === job) {
+        sweepJobRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const runOnce = () => {
+    if (features.length === 0) return;
+    setError(null);
+    try {
+      const points = buildPoints(rows, features, standardizeFeatures);
+      const { labels } = runClustering(points, chosenK, activeMethod, { seed });
+      const sizes = new Array(chosenK).fill(0);
+      labels.forEach(label => { sizes[label]++; });
+      setResult({
+        rows,
+        labels,
+        sizes,
+        score: scoreClustering(points, labels),
+        name: `${CLUSTERING_METHODS[activeMethod].label} k=${chosenK}`,
+        settings: { method: activeMethod, k: chosenK, features, standardize: standardizeFeatures, seed }
+      });
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const assignmentRows = () => rows.map((row, i) => ({ [idKey]: getVideoId(row, idKey), cluster: current.labels[i] }));
+
+  const apply = (handler) => handler({
+    name: current.name,
+    idColumn: idKey,
+    rows: assignmentRows(),
+    settings: current.settings
+  });
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <button onClick={() => setExpanded(!expanded)} className="w-full flex items-center justify-between">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          <Boxes className="w-6 h-6 text-pink-400" />
+          Re-cluster
+          <span className="text-sm font-normal text-slate-400">· {rows.length} videos</span>
+        </h2>
+        {expanded ? <ChevronDown className="w-5 h-5" /> : <ChevronRight className="w-5 h-5" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-4">
+          <div className="flex flex-wrap items-center gap-3 mb-3">
+            <select value={activeMethod} onChange={(e) => setMethod(e.target.value)} className={inputClass}>
+              {Object.entries(CLUSTERING_METHODS).map(([key, { label }]) => (
+                <option key={key} value={key} disabled={key === 'ward' && !wardAvailable}>
+                  {label}{key === 'ward' && !wardAvailable ? ` (≤ ${MAX_AGGLOMERATIVE_POINTS} videos)` : ''}
+                </option>
+              ))}
+            </select>
+            <label className="text-xs text-slate-300 flex items-center gap-1">
+              <input type="checkbox" checked={standardizeFeatures} onChange={(e) => setStandardizeFeatures(e.target.checked)} />
+              Standardize (z-score)
+            </label>
+            {activeMethod === 'kmeans' && (
+              <label className="text-xs text-slate-400 flex items-center gap-1">
+                Seed
+                <input
+                  type="number"
+                  value={seed}
+                  onChange={(e) => setSeed(Math.floor(Number(e.target.value) || 0))}
+                  className={`${inputClass} w-20`}
+                />
+              </label>
+            )}
+          </div>
+
+          <div className="flex flex-wrap gap-2 mb-4">
+            {numericColumns.map(key => (
+              <button
+                key={key}
+                onClick={() => toggleFeature(key)}
+                className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                  features.includes(key) ? 'bg-pink-700/40 border-pink-500' : 'bg-slate-900 border-slate-700 text-slate-400'
+                }`}
+              >
+                {getFeatureLabel(key)}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <button onClick={runSweep} disabled={features.length === 0 || progress !== null} className={buttonClass}>
+              Sweep k = {MIN_K}–{maxK}
+            </button>
+            {progress && (
+              <>
+                <div className="w-40 h-2 bg-slate-900 rounded">
+                  <div className="h-2 bg-pink-500 rounded" style={{ width: `${((progress.current - MIN_K) / (progress.total - MIN_K + 1)) * 100}%` }} />
+                </div>
+                <span className="text-xs text-slate-400">k = {progress.current}</span>
+                <button onClick={() => sweepJobRef.current?.cancel()} className="text-xs text-slate-400 hover:text-white">Cancel</button>
+              </>
+            )}
+          </div>
+
+          {currentSweep && currentSweep.length > 0 && (
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={currentSweep}>
+                <XAxis dataKey="k" stroke="#94a3b8" />
+                <YAxis yAxisId="inertia" stroke="#f472b6" />
+                <YAxis yAxisId="silhouette" orientation="right" stroke="#2dd4bf" domain={[-0.1, 1]} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569' }}
+                  labelStyle={{ color: '#f1f5f9' }}
+                  labelFormatter={(value) => `k = ${value}`}
+                  formatter={(value) => (typeof value === 'number' ? value.toFixed(3) : value)}
+                />
+                <Legend />
+                <ReferenceLine yAxisId="inertia" x={chosenK} stroke="#64748b" strokeDasharray="4 4" />
+                <Line yAxisId="inertia" type="monotone" dataKey="inertia" name="Inertia (elbow)" stroke="#f472b6" dot />
+                <Line yAxisId="silhouette" type="monotone" dataKey="silhouette" name="Silhouette" stroke="#2dd4bf" dot />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3 mt-4">
+            <label className="text-sm text-slate-300 flex items-center gap-2">
+              k = <strong className="w-6 text-center">{chosenK}</strong>
+              <input
+                type="range"
+                min={MIN_K}
+                max={maxK}
+                value={chosenK}
+                onChange={(e) => setK(Number(e.target.value))}
+                className="w-48"
+              />
+            </label>
+            <button onClick={runOnce} disabled={features.length === 0 || rows.length <= MIN_K} className={`${buttonClass} bg-pink-700 hover:bg-pink-600`}>
+              Run {CLUSTERING_METHODS[activeMethod].label}
+            </button>
+          </div>
+
+          {error && <p className="mt-2 text-sm text-red-400">{error}</p>}
+
+          {current && (
+            <div className="mt-4 bg-slate-900 rounded-lg p-4 border border-slate-700">
+              <p className="text-sm mb-2">
+                <strong>{current.name}</strong> on {current.settings.features.map(getFeatureLabel).join(', ')}
+                {current.settings.standardize ? ' (standardized)' : ' (raw)'}
+                {' · '}silhouette {current.score.silhouette === null ? '—' : current.score.silhouette.toFixed(3)}
+                {' · '}inertia {current.score.inertia.toFixed(2)}
+              </p>
+              <p className="text-xs text-slate-400 mb-3">
+                Sizes: {current.sizes.map((size, label) => `${label}: ${size}`).join(' · ')}
+              </p>
+              {idKey === ROW_KEY_COLUMN && (
+                <p className="text-xs text-amber-400 mb-2">
+                  These rows have no video ID column, so assignments are keyed by row ({ROW_KEY_COLUMN}) and only join back onto this upload.
+                </p>
+              )}
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => apply(onApply)} className={`${buttonClass} bg-blue-600 hover:bg-blue-700`}>
+                  Use as clusters
+                </button>
+                <button onClick={() => apply(onCompare)} className={buttonClass}>
+                  Compare with current clusters
+                </button>
+                <button
+                  onClick={() => downloadFile(`${current.name.replace(/\W+/g, '_')}.csv`, Papa.unparse(assignmentRows()), 'text/csv')}
+                  className={buttonClass}
+                >
+                  Download assignments
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
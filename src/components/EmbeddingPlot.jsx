@@ -0,0 +1,269 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ScatterChart as ScatterIcon, X } from 'lucide-react';
+import { buildMatrix, pca2d, createTsne, pointInPolygon } from '../lib/embedding';
+import { createRandom } from '../lib/random';
+import { getFeatureLabel, formatFeatureValue } from '../lib/features';
+
+const WIDTH = 800;
+const HEIGHT = 480;
+const PADDING = 20;
+const PCA_MAX_POINTS = 5000;
+const TSNE_MAX_POINTS = 1500;
+const TSNE_ITERATIONS = 500;
+const TSNE_SEED = 42;
+const SELECTION_PREVIEW_LIMIT = 200;
+
+// Deterministic subsample of indexes so reruns embed and draw the same videos
+const sampleIndexes = (n, limit) => {
+  const indexes = Array.from({ length: n }, (_, i) => i);
+  if (n <= limit) return indexes;
+  const random = createRandom(TSNE_SEED);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  return indexes.slice(0, limit).sort((a, b) => a - b);
+};
+
+// videos: [{ id, cluster, colorIndex, row }]
+export default function EmbeddingPlot({ videos, features, scales, getColor }) {
+  const [mode, setMode] = useState('pca');
+  const [tsne, setTsne] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const [lasso, setLasso] = useState(null);
+  const [selectionState, setSelectionState] = useState({ videos: null, indexes: [] });
+  const cancelRef = useRef(false);
+  const svgRef = useRef(null);
+
+  useEffect(() => () => { cancelRef.current = true; }, []);
+
+  const matrix = useMemo(() => buildMatrix(videos.map(v => v.row), features, scales), [videos, features, scales]);
+  const pca = useMemo(() => pca2d(matrix), [matrix]);
+  // PCA is cheap to fit on every video, but drawing one circle per video is not
+  const pcaIndexes = useMemo(() => sampleIndexes(videos.length, PCA_MAX_POINTS), [videos]);
+  const pcaPoints = useMemo(() => pcaIndexes.map(i => pca.points[i]), [pca, pcaIndexes]);
+  const legend = useMemo(() => [...new Map(videos.map(v => [v.cluster, v.colorIndex])).entries()], [videos]);
+
+  // A t-SNE run only applies to the matrix it was computed from
+  const tsneCurrent = tsne && tsne.matrix === matrix ? tsne : null;
+  // Selections are positional, so they lapse when the video list changes
+  const selection = selectionState.videos === videos ? selectionState.indexes : [];
+  const selectedSet = new Set(selection);
+  const setSelection = (indexes) => setSelectionState({ videos, indexes });
+
+  const showTsne = mode === 'tsne' && tsneCurrent;
+  const coords = showTsne ? tsneCurrent.points : pcaPoints;
+  const indexes = showTsne ? tsneCurrent.indexes : pcaIndexes;
+
+  const screenPoints = useMemo(() => {
+    const extent = (d) => coords.reduce(([lo, hi], p) => [Math.min(lo, p[d]), Math.max(hi, p[d])], [Infinity, -Infinity]);
+    const [minX, maxX] = extent(0);
+    const [minY, maxY] = extent(1);
+    const sx = (x) => (maxX === minX ? WIDTH / 2 : PADDING + ((x - minX) / (maxX - minX)) * (WIDTH - 2 * PADDING));
+    const sy = (y) => (maxY === minY ? HEIGHT / 2 : HEIGHT - PADDING - ((y - minY) / (maxY - minY)) * (HEIGHT - 2 * PADDING));
+    return coords.map(([x, y], i) => ({ index: indexes[i], x: sx(x), y: sy(y) }));
+  }, [coords, indexes]);
+
+  const runTsne = async () => {
+    cancelRef.current = false;
+    const sample = sampleIndexes(videos.length, TSNE_MAX_POINTS);
+    const runMatrix = matrix;
+    const model = createTsne(sample.map(i => runMatrix[i]), { seed: TSNE_SEED });
+    setMode('tsne');
+    setSelection([]);
+    setProgress(0);
+
+    while (model.iteration < TSNE_ITERATIONS) {
+      for (let k = 0; k < 10 && model.iteration < TSNE_ITERATIONS; k++) model.step();
+      if (cancelRef.current) {
+        setProgress(null);
+        return;
+      }
+      setTsne({ matrix: runMatrix, indexes: sample, points: model.points() });
+      setProgress(model.iteration / TSNE_ITERATIONS);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    setProgress(null);
+  };
+
+  const toSvgPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [
+      ((e.clientX - rect.left) / rect.width) * WIDTH,
+      ((e.clientY - rect.top) / rect.height) * HEIGHT
+    ];
+  };
+
+  const handlePointerUp = () => {
+    if (lasso && lasso.length > 2) {
+      setSelection(screenPoints.filter(p => pointInPolygon([p.x, p.y], lasso)).map(p => p.index));
+    }
+    setLasso(null);
+  };
+
+  const selectedVideos = selection.map(i => videos[i]);
+  const selectionByCluster = {};
+  selectedVideos.forEach(v => { selectionByCluster[v.cluster] = (selectionByCluster[v.cluster] || 0) + 1; });
+  const hoveredPoint = hovered !== null ? screenPoints.find(p => p.index === hovered) : null;
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          <ScatterIcon className="w-6 h-6 text-purple-400" />
+          Video Embedding
+        </h2>
+        <div className="flex items-center gap-2 text-sm">
+          <button
+            onClick={() => setMode('pca')}
+            className={`px-3 py-1.5 rounded-lg transition-all ${mode === 'pca' ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+          >
+            PCA
+          </button>
+          <button
+            onClick={() => (tsneCurrent ? setMode('tsne') : runTsne())}
+            disabled={progress !== null || features.length < 2}
+            className={`px-3 py-1.5 rounded-lg transition-all disabled:opacity-50 ${mode === 'tsne' ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+          >
+            t-SNE
+          </button>
+          {tsneCurrent && progress === null && (
+            <button onClick={runTsne} className="px-3 py-1.5 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600">
+              Rerun
+            </button>
+          )}
+          {progress !== null && (
+            <button
+              onClick={() => { cancelRef.current = true; }}
+              className="px-3 py-1.5 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      <p className="text-xs text-slate-400 mb-3">
+        {mode === 'pca'
+          ? `PCA of ${features.length} standardized metrics · PC1 ${(pca.explained[0] * 100).toFixed(1)}% · PC2 ${(pca.explained[1] * 100).toFixed(1)}% of variance${videos.length > PCA_MAX_POINTS ? ` · showing a sample of ${PCA_MAX_POINTS} of ${videos.length} videos` : ''}`
+          : `t-SNE (perplexity 30, seed ${TSNE_SEED})${videos.length > TSNE_MAX_POINTS ? ` on a sample of ${TSNE_MAX_POINTS} of ${videos.length} videos` : ''}`}
+        {progress !== null && ` · running ${Math.round(progress * 100)}%`}
+        {' · drag to lasso-select videos'}
+      </p>
+
+      {progress !== null && (
+        <div className="w-full h-1.5 bg-slate-700 rounded mb-3">
+          <div className="h-1.5 bg-purple-500 rounded" style={{ width: `${progress * 100}%` }} />
+        </div>
+      )}
+
+      <div className="relative">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full bg-slate-900 rounded cursor-crosshair select-none"
+          onPointerDown={(e) => setLasso([toSvgPoint(e)])}
+          onPointerMove={(e) => lasso && setLasso([...lasso, toSvgPoint(e)])}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+        >
+          {screenPoints.map(p => {
+            const video = videos[p.index];
+            const selected = selectedSet.has(p.index);
+            return (
+              <circle
+                key={p.index}
+                cx={p.x}
+                cy={p.y}
+                r={selected ? 4.5 : 3}
+                fill={getColor(video.colorIndex)}
+                fillOpacity={selection.length > 0 && !selected ? 0.2 : 0.8}
+                stroke={selected ? '#f1f5f9' : 'none'}
+                onMouseEnter={() => setHovered(p.index)}
+                onMouseLeave={() => setHovered(null)}
+              />
+            );
+          })}
+          {lasso && (
+            <polygon
+              points={lasso.map(([x, y]) => `${x},${y}`).join(' ')}
+              fill="#a855f7"
+              fillOpacity={0.1}
+              stroke="#a855f7"
+              strokeDasharray="4 3"
+            />
+          )}
+        </svg>
+
+        {hoveredPoint && !lasso && (
+          <div
+            className="absolute pointer-events-none bg-slate-800 border border-slate-600 rounded p-2 text-xs shadow-lg"
+            style={{ left: `${(hoveredPoint.x / WIDTH) * 100}%`, top: `${(hoveredPoint.y / HEIGHT) * 100}%`, transform: 'translate(8px, 8px)' }}
+          >
+            <p className="font-semibold" style={{ color: getColor(videos[hovered].colorIndex) }}>
+              {videos[hovered].id} · Cluster {videos[hovered].cluster}
+            </p>
+            {features.map(key => (
+              <p key={key} className="text-slate-300">
+                {getFeatureLabel(key)}: {formatFeatureValue(key, videos[hovered].row[key])}
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs">
+        {legend.map(([cluster, colorIndex]) => (
+          <span key={cluster} className="flex items-center gap-1 text-slate-300">
+            <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: getColor(colorIndex) }} />
+            Cluster {cluster}
+          </span>
+        ))}
+      </div>
+
+      {selection.length > 0 && (
+        <div className="mt-4 border-t border-slate-700 pt-4">
+          <div className="flex justify-between items-center mb-2">
+            <p className="text-sm font-medium">
+              {selection.length} selected
+              <span className="ml-2 text-xs text-slate-400">
+                {Object.entries(selectionByCluster).map(([cluster, n]) => `cluster ${cluster}: ${n}`).join(' · ')}
+              </span>
+            </p>
+            <button onClick={() => setSelection([])} className="p-1 text-slate-400 hover:text-white">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="overflow-x-auto max-h-64 overflow-y-auto border border-slate-700 rounded">
+            <table className="w-full text-xs">
+              <thead className="bg-slate-900 sticky top-0">
+                <tr>
+                  <th className="px-2 py-1 text-left font-medium text-slate-400">Video</th>
+                  <th className="px-2 py-1 text-left font-medium text-slate-400">Cluster</th>
+                  {features.map(key => (
+                    <th key={key} className="px-2 py-1 text-left font-medium text-slate-400 whitespace-nowrap">{getFeatureLabel(key)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {selectedVideos.slice(0, SELECTION_PREVIEW_LIMIT).map((video, i) => (
+                  <tr key={`${video.id}-${i}`} className="border-t border-slate-800">
+                    <td className="px-2 py-1 text-slate-300 whitespace-nowrap">{video.id}</td>
+                    <td className="px-2 py-1 whitespace-nowrap" style={{ color: getColor(video.colorIndex) }}>{video.cluster}</td>
+                    {features.map(key => (
+                      <td key={key} className="px-2 py-1 text-slate-300">{formatFeatureValue(key, video.row[key])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {selection.length > SELECTION_PREVIEW_LIMIT && (
+            <p className="mt-1 text-xs text-slate-500">Showing first {SELECTION_PREVIEW_LIMIT}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
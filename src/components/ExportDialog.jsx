@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import SpecErrorList from './SpecErrorList';
+import { EXPORT_FORMATS, applyFilenameTemplate, filenameValues } from '../lib/exporters';
+
+// Formats built from generation specs; the CSV summary works from cluster stats alone
+const SPEC_FORMATS = ['json', 'yaml', 'prompts', 'variants'];
+
+// File name suffix when a single format is exported on its own
+const SINGLE_FILE_SUFFIX = { json: '.json', yaml: '.yaml', csv: '_summary.csv', variants: '_prompt_variants.json', edits: '_cluster_edits.json' };
+
+export default function ExportDialog({ clusters, specErrors, projectName, editCount, initialOptions, onExport, onCancel }) {
+  const [formats, setFormats] = useState(initialOptions.formats);
+  const [selected, setSelected] = useState(() => clusters.map(c => c.id));
+  const [template, setTemplate] = useState(initialOptions.template);
+  const [promptTemplate, setPromptTemplate] = useState(initialOptions.promptTemplate);
+
+  const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+  const usesSpecs = formats.some(format => SPEC_FORMATS.includes(format));
+  const withSpecs = clusters.filter(c => c.hasSpec && selected.includes(c.id));
+  const invalid = usesSpecs
+    ? Object.fromEntries(Object.entries(specErrors).filter(([cluster]) => selected.includes(cluster)))
+    : {};
+
+  const values = filenameValues(projectName);
+  const baseName = applyFilenameTemplate(template, values, 'generation_specs');
+  const promptName = applyFilenameTemplate(promptTemplate, { ...values, cluster: selected[0] ?? '0' }, 'cluster');
+  const bundled = formats.includes('prompts') || formats.length > 1;
+
+  let problem = null;
+  if (formats.length === 0) problem = 'Pick at least one format';
+  else if (selected.length === 0) problem = 'Pick at least one cluster';
+  else if (usesSpecs && withSpecs.length === 0 && !formats.includes('csv')) problem = 'None of the selected clusters has a generated spec';
+  else if (Object.keys(invalid).length > 0) problem = `${Object.keys(invalid).length} selected spec(s) don't match the schema`;
+
+  const inputClass = 'w-full px-3 py-1.5 bg-slate-900 border border-slate-700 rounded-lg text-sm text-white font-mono focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-50">
+      <div className="bg-slate-800 rounded-lg border border-slate-700 w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-2xl font-semibold">Export</h2>
+            <p className="text-sm text-slate-400">{withSpecs.length} of {selected.length} selected clusters have a spec</p>
+          </div>
+          <button onClick={onCancel} className="p-1 hover:bg-slate-700 rounded">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-xs font-semibold text-slate-400 mb-2">FORMATS</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-5">
+          {Object.entries(EXPORT_FORMATS).map(([key, { label, description }]) => (
+            <label
+              key={key}
+              className={`flex items-start gap-2 p-3 rounded-lg border cursor-pointer ${
+                formats.includes(key) ? 'bg-blue-900/30 border-blue-600' : 'bg-slate-900 border-slate-700'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={formats.includes(key)}
+                onChange={() => setFormats(prev => toggle(prev, key))}
+                className="mt-1"
+              />
+              <span>
+                <span className="block text-sm font-medium">
+                  {label}
+                  {key === 'edits' && <span className="text-xs font-normal text-slate-400"> · {editCount} applied</span>}
+                </span>
+                <span className="block text-xs text-slate-400">{description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-between items-center mb-2">
+          <p className="text-xs font-semibold text-slate-400">CLUSTERS</p>
+          <div className="flex gap-3 text-xs">
+            <button onClick={() => setSelected(clusters.map(c => c.id))} className="text-blue-400 hover:text-blue-300">All</button>
+            <button onClick={() => setSelected(clusters.filter(c => c.hasSpec).map(c => c.id))} className="text-blue-400 hover:text-blue-300">With specs</button>
+            <button onClick={() => setSelected([])} className="text-blue-400 hover:text-blue-300">None</button>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2 mb-5">
+          {clusters.map(({ id, hasSpec }) => (
+            <button
+              key={id}
+              onClick={() => setSelected(prev => toggle(prev, id))}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                selected.includes(id) ? 'bg-blue-600 border-blue-500' : 'bg-slate-900 border-slate-700 text-slate-400'
+              } ${specErrors[id] ? 'ring-1 ring-red-500' : ''}`}
+              title={hasSpec ? undefined : 'No spec generated yet'}
+            >
+              Cluster {id}{hasSpec ? '' : ' (no spec)'}
+            </button>
+          ))}
+        </div>
+
+        <p className="text-xs font-semibold text-slate-400 mb-2">FILE NAMES</p>
+        <div className="space-y-3 mb-2">
+          <div>
+            <input type="text" value={template} onChange={(e) => setTemplate(e.target.value)} className={inputClass} />
+            <p className="text-xs text-slate-500 mt-1">
+              {bundled || formats.length === 0 ? `${baseName}.zip` : `${baseName}${SINGLE_FILE_SUFFIX[formats[0]]}`}
+            </p>
+          </div>
+          {formats.includes('prompts') && (
+            <div>
+              <input type="text" value={promptTemplate} onChange={(e) => setPromptTemplate(e.target.value)} className={inputClass} />
+              <p className="text-xs text-slate-500 mt-1">prompts/{promptName}.txt</p>
+            </div>
+          )}
+        </div>
+        <p className="text-xs text-slate-500 mb-4">
+          Placeholders: <code>{'{project}'}</code> <code>{'{date}'}</code> <code>{'{time}'}</code>
+          {formats.includes('prompts') && <> · prompt files also <code>{'{cluster}'}</code></>}
+        </p>
+
+        {Object.keys(invalid).length > 0 && (
+          <div className="mb-4 p-4 rounded-lg border bg-red-900/20 border-red-700 text-sm text-red-400">
+            <p className="font-semibold mb-2">Fix or deselect these clusters before exporting:</p>
+            <SpecErrorList errors={invalid} />
+          </div>
+        )}
+
+        {problem && <p className="text-sm text-red-400">{problem}</p>}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onExport({ formats, clusters: selected, template, promptTemplate })}
+            disabled={Boolean(problem)}
+            className="px-4 py-2 bg-green-600 rounded-lg hover:bg-green-700 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
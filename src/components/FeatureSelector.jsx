@@ -0,0 +1,51 @@
+import React from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { getFeatureLabel } from '../lib/features';
+
+export default function FeatureSelector({ numericColumns, selected, onChange }) {
+  const toggle = (key) => {
+    const next = selected.includes(key)
+      ? selected.filter(k => k !== key)
+      : numericColumns.filter(col => selected.includes(col) || col === key);
+    if (next.length === 0) return; // At least one metric
+    onChange(next);
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          <SlidersHorizontal className="w-6 h-6 text-blue-400" />
+          Metrics
+        </h2>
+        <div className="flex gap-2 text-xs">
+          <button
+            onClick={() => onChange(numericColumns)}
+            className="px-3 py-1 bg-slate-700 rounded hover:bg-slate-600 transition-colors"
+          >
+            Select all
+          </button>
+        </div>
+      </div>
+      <p className="text-xs text-slate-400 mb-3">
+        {numericColumns.length} numeric columns detected. Selected columns drive the stats, radar charts and specs.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {numericColumns.map(key => (
+          <button
+            key={key}
+            onClick={() => toggle(key)}
+            title={key}
+            className={`px-3 py-1 rounded-full text-xs font-medium transition-all ${
+              selected.includes(key)
+                ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white'
+                : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+            }`}
+          >
+            {getFeatureLabel(key)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useState, useMemo } from 'react';
+import { Flame } from 'lucide-react';
+import { CORRELATION_METHODS, MIN_CORRELATION_PAIRS, rankClusters, correlationMatrix } from '../lib/outcomes';
+import { getFeatureLabel, formatFeatureValue, isFiniteNumber } from '../lib/features';
+
+const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-700 rounded text-xs text-white focus:outline-none focus:border-blue-500';
+
+// Green for positive, red for negative, opacity by strength
+const correlationColor = (r) => {
+  if (r === null) return 'transparent';
+  return r >= 0 ? `rgba(16, 185, 129, ${Math.abs(r) * 0.85})` : `rgba(239, 68, 68, ${Math.abs(r) * 0.85})`;
+};
+
+// outcomeStats: groupClusterStats() over the outcome columns, one entry per cluster
+export default function OutcomePanel({ numericColumns, features, outcomes, onOutcomesChange, outcomeStats, rows, names, getColor }) {
+  const [rankBy, setRankBy] = useState(null);
+  const [scope, setScope] = useState('all');
+  const [method, setMethod] = useState('spearman');
+
+  const rankOutcome = outcomes.includes(rankBy) ? rankBy : outcomes[0];
+  const ranked = useMemo(
+    () => (outcomeStats && rankOutcome ? rankClusters(outcomeStats, rankOutcome) : []),
+    [outcomeStats, rankOutcome]
+  );
+  const colorIndex = new Map((outcomeStats || []).map((stats, idx) => [String(stats.cluster), idx]));
+
+  const scopeStats = outcomeStats?.find(stats => String(stats.cluster) === scope);
+  const activeScope = scopeStats ? scope : 'all';
+  const scopeRows = scopeStats ? scopeStats.videos : rows;
+  const correlations = useMemo(
+    () => (outcomes.length > 0 ? correlationMatrix(scopeRows, features, outcomes, method) : null),
+    [scopeRows, features, outcomes, method]
+  );
+
+  const toggle = (key) => {
+    onOutcomesChange(outcomes.includes(key) ? outcomes.filter(k => k !== key) : numericColumns.filter(col => outcomes.includes(col) || col === key));
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <h2 className="text-2xl font-semibold flex items-center gap-2 mb-2">
+        <Flame className="w-6 h-6 text-rose-400" />
+        Outcomes
+      </h2>
+      <p className="text-xs text-slate-400 mb-3">
+        Mark the columns that measure performance (views, likes, shares, watch time). Outcome columns are kept out of the metrics used for stats and specs.
+      </p>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {numericColumns.map(key => (
+          <button
+            key={key}
+            onClick={() => toggle(key)}
+            title={key}
+            className={`px-3 py-1 rounded-full text-xs font-medium transition-all ${
+              outcomes.includes(key) ? 'bg-gradient-to-r from-rose-600 to-orange-500 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+            }`}
+          >
+            {getFeatureLabel(key)}
+          </button>
+        ))}
+      </div>
+
+      {outcomes.length === 0 && (
+        <p className="text-sm text-slate-500">No outcome columns marked yet.</p>
+      )}
+
+      {outcomes.length > 0 && outcomeStats && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div>
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <h3 className="text-lg font-semibold">Ranking by median</h3>
+              <select value={rankOutcome} onChange={(e) => setRankBy(e.target.value)} className={inputClass}>
+                {outcomes.map(key => <option key={key} value={key}>{getFeatureLabel(key)}</option>)}
+              </select>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="text-xs w-full">
+                <thead>
+                  <tr className="text-slate-400 text-left">
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Cluster</th>
+                    <th className="px-2 py-1">Videos</th>
+                    <th className="px-2 py-1">Median</th>
+                    <th className="px-2 py-1">p25 – p75</th>
+                    {outcomes.filter(key => key !== rankOutcome).map(key => (
+                      <th key={key} className="px-2 py-1 text-slate-500">{getFeatureLabel(key)}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {ranked.map((stats, i) => {
+                    const metric = stats.metrics[rankOutcome];
+                    return (
+                      <tr key={stats.cluster} className="border-t border-slate-700">
+                        <td className="px-2 py-1 text-slate-400">{isFiniteNumber(metric.median) ? i + 1 : '—'}</td>
+                        <td className="px-2 py-1 font-semibold" style={{ color: getColor(colorIndex.get(String(stats.cluster))) }}>
+                          {stats.cluster}{names[stats.cluster] && <span className="font-normal text-slate-300"> · {names[stats.cluster]}</span>}
+                        </td>
+                        <td className="px-2 py-1">{stats.count}</td>
+                        <td className="px-2 py-1 font-mono">{formatFeatureValue(rankOutcome, metric.median)}</td>
+                        <td className="px-2 py-1 font-mono text-slate-400">
+                          {formatFeatureValue(rankOutcome, metric.p25)} – {formatFeatureValue(rankOutcome, metric.p75)}
+                        </td>
+                        {outcomes.filter(key => key !== rankOutcome).map(key => (
+                          <td key={key} className="px-2 py-1 font-mono text-slate-500">{formatFeatureValue(key, stats.metrics[key].median)}</td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h3 className="text-lg font-semibold">Metric × outcome correlation</h3>
+              <div className="flex gap-2">
+                <select value={activeScope} onChange={(e) => setScope(e.target.value)} className={inputClass}>
+                  <option value="all">All videos</option>
+                  {outcomeStats.map(stats => (
+                    <option key={stats.cluster} value={String(stats.cluster)}>
+                      Within cluster {stats.cluster}{names[stats.cluster] ? ` · ${names[stats.cluster]}` : ''}
+                    </option>
+                  ))}
+                </select>
+                <select value={method} onChange={(e) => setMethod(e.target.value)} className={inputClass}>
+                  {Object.entries(CORRELATION_METHODS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="text-xs">
+                <thead>
+                  <tr>
+                    <th className="px-2 py-1" />
+                    {outcomes.map(key => <th key={key} className="px-2 py-1 text-slate-300">{getFeatureLabel(key)}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {features.map(feature => (
+                    <tr key={feature}>
+                      <th className="px-2 py-1 text-left text-slate-300 whitespace-nowrap">{getFeatureLabel(feature)}</th>
+                      {outcomes.map(outcome => {
+                        const { r, n } = correlations[feature][outcome];
+                        return (
+                          <td
+                            key={outcome}
+                            className="px-3 py-1 text-center font-mono min-w-16"
+                            style={{ backgroundColor: correlationColor(r) }}
+                            title={r === null ? `${n} videos with both values; at least ${MIN_CORRELATION_PAIRS} needed` : `r = ${r.toFixed(3)} over ${n} videos`}
+                          >
+                            {r === null ? '—' : r.toFixed(2)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="mt-2 text-xs text-slate-500">
+              Spearman is the safer default for heavy-tailed outcomes like views. Correlation within a cluster shows what still drives performance among similar videos.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Send, X } from 'lucide-react';
+import { SEND_MODES, PIPELINE_STATUSES } from '../lib/pipeline';
+
+const inputClass = 'px-3 py-1.5 bg-slate-900 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-blue-500';
+
+// jobs: { [cluster]: { status } } for the status counts
+export default function PipelinePanel({ settings, onSettingsChange, sendable, jobs, error, onSend, onClose }) {
+  const counts = Object.values(jobs).reduce((acc, job) => ({ ...acc, [job.status]: (acc[job.status] || 0) + 1 }), {});
+
+  return (
+    <div className="mb-4 p-4 rounded-lg border bg-slate-900 border-slate-700 text-sm">
+      <div className="flex justify-between items-start mb-3">
+        <p className="font-semibold text-slate-200 flex items-center gap-2">
+          <Send className="w-4 h-4 text-emerald-400" />
+          Send to pipeline
+        </p>
+        <button onClick={onClose} className="text-slate-500 hover:text-slate-300">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+        <label className="text-xs text-slate-400">
+          Endpoint
+          <input
+            type="url"
+            value={settings.endpoint}
+            onChange={(e) => onSettingsChange({ endpoint: e.target.value })}
+            placeholder="http://localhost:8787"
+            className={`${inputClass} w-full mt-1`}
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          Auth header
+          <input
+            type="password"
+            value={settings.authHeader}
+            onChange={(e) => onSettingsChange({ authHeader: e.target.value })}
+            placeholder="Bearer … or X-Api-Key: …"
+            autoComplete="off"
+            className={`${inputClass} w-full mt-1`}
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          Send as
+          <select value={settings.mode} onChange={(e) => onSettingsChange({ mode: e.target.value })} className={`${inputClass} w-full mt-1`}>
+            {Object.entries(SEND_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        Specs are POSTed to {'{endpoint}'}/jobs and their status polled at {'{endpoint}'}/jobs/:id. These settings stay in this browser and are never
+        saved into project files.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={onSend}
+          disabled={sendable.length === 0 || !settings.endpoint.trim()}
+          className="px-4 py-2 bg-emerald-700 rounded-lg hover:bg-emerald-600 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Send {sendable.length} valid spec{sendable.length === 1 ? '' : 's'}
+        </button>
+        {Object.entries(PIPELINE_STATUSES).filter(([status]) => counts[status]).map(([status, { label, className }]) => (
+          <span key={status} className={`text-xs px-2 py-0.5 rounded border ${className}`}>
+            {counts[status]} {label}
+          </span>
+        ))}
+      </div>
+      {error && <p className="mt-2 text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import React from 'react';
+import { PIPELINE_STATUSES } from '../lib/pipeline';
+
+// Status badge for one cluster's pipeline job; job: { status, jobId, error }
+export default function PipelineStatus({ job }) {
+  if (!job) return null;
+  // Statuses are checked as they arrive (unknown ones fail the job); this only guards stale state
+  const { label, className } = PIPELINE_STATUSES[job.status] || PIPELINE_STATUSES.failed;
+
+  return (
+    <span
+      className={`text-xs px-2 py-0.5 rounded border ${className}`}
+      title={[job.jobId && `Job ${job.jobId}`, job.error].filter(Boolean).join('\n') || undefined}
+    >
+      pipeline: {label}
+    </span>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useState, useRef } from 'react';
+import { Save, FolderOpen, Download, Upload, Trash2 } from 'lucide-react';
+import { listProjects, deleteProject } from '../lib/projectStore';
+
+export default function ProjectBar({ projectName, onProjectNameChange, canSave, onSave, onOpen, onExport, onImport, onStatus, status }) {
+  const [projects, setProjects] = useState(null);
+  const importInput = useRef(null);
+
+  const toggleProjects = async () => {
+    if (projects) {
+      setProjects(null);
+      return;
+    }
+    try {
+      setProjects(await listProjects());
+    } catch (error) {
+      onStatus(`Could not list projects: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (name) => {
+    try {
+      await deleteProject(name);
+      setProjects(await listProjects());
+    } catch (error) {
+      onStatus(`Could not delete "${name}": ${error.message}`);
+    }
+  };
+
+  const buttonClass = 'flex items-center gap-1 px-3 py-1.5 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-4 border border-slate-700 mb-8">
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="text"
+          value={projectName}
+          onChange={(e) => onProjectNameChange(e.target.value)}
+          placeholder="Project name"
+          className="flex-1 min-w-48 px-3 py-1.5 bg-slate-900 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
+        />
+        <button onClick={onSave} disabled={!canSave || !projectName.trim()} className={buttonClass}>
+          <Save className="w-4 h-4" /> Save
+        </button>
+        <button onClick={toggleProjects} className={buttonClass}>
+          <FolderOpen className="w-4 h-4" /> Projects
+        </button>
+        <button onClick={onExport} disabled={!canSave} className={buttonClass}>
+          <Download className="w-4 h-4" /> Export project
+        </button>
+        <button onClick={() => importInput.current.click()} className={buttonClass}>
+          <Upload className="w-4 h-4" /> Import project
+        </button>
+        <input
+          ref={importInput}
+          type="file"
+          accept=".json"
+          className="hidden"
+          onChange={(e) => {
+            onImport(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        {status && <span className="text-xs text-slate-400">{status}</span>}
+      </div>
+
+      {projects && (
+        <div className="mt-3 border-t border-slate-700 pt-3">
+          {projects.length === 0 && <p className="text-sm text-slate-400">No saved projects yet</p>}
+          <div className="space-y-1">
+            {projects.map(project => (
+              <div key={project.name} className="flex items-center justify-between bg-slate-900 rounded px-3 py-2 text-sm">
+                <button
+                  onClick={() => {
+                    onOpen(project.name);
+                    setProjects(null);
+                  }}
+                  className="text-left hover:text-blue-400"
+                >
+                  <span className="font-medium">{project.name}</span>
+                  <span className="ml-2 text-xs text-slate-500">
+                    {project.videoCount} videos · saved {new Date(project.savedAt).toLocaleString()}
+                  </span>
+                </button>
+                <button onClick={() => handleDelete(project.name)} className="p-1 text-slate-500 hover:text-red-400">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, MessageSquareText, RotateCcw } from 'lucide-react';
+import { APPROACHES } from '../lib/rules';
+import {
+  PLACEHOLDERS, DEFAULT_TEMPLATES, MAX_VARIANTS, templateFor, renderSpecPrompt, samplePromptVariants
+} from '../lib/promptTemplates';
+
+const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-700 rounded text-xs text-white focus:outline-none focus:border-blue-500';
+
+export default function PromptTemplateEditor({ templates, onTemplatesChange, sampling, onSamplingChange, specs }) {
+  const [expanded, setExpanded] = useState(false);
+  const [activeApproach, setActiveApproach] = useState(APPROACHES[0]);
+  const [previewCluster, setPreviewCluster] = useState(null);
+
+  const clusterIds = Object.keys(specs);
+  const previewId = clusterIds.includes(previewCluster) ? previewCluster : clusterIds[0];
+  const previewSpec = previewId !== undefined ? specs[previewId] : null;
+  const rendered = previewSpec ? renderSpecPrompt(previewSpec, templates) : null;
+  const variants = previewSpec ? samplePromptVariants(previewSpec, templates, sampling) : [];
+
+  const choosePreview = (id) => {
+    setPreviewCluster(id);
+    setActiveApproach(specs[id].generation_approach);
+  };
+
+  const template = templateFor(templates, activeApproach);
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <button onClick={() => setExpanded(!expanded)} className="w-full flex items-center justify-between">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          <MessageSquareText className="w-6 h-6 text-purple-400" />
+          Prompt Templates
+          <span className="text-sm font-normal text-slate-400">· {sampling.count} variants · seed {sampling.seed}</span>
+        </h2>
+        {expanded ? <ChevronDown className="w-5 h-5" /> : <ChevronRight className="w-5 h-5" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <div className="flex gap-2 mb-2">
+              {APPROACHES.map(approach => (
+                <button
+                  key={approach}
+                  onClick={() => setActiveApproach(approach)}
+                  className={`px-3 py-1.5 rounded-lg text-xs transition-colors ${
+                    activeApproach === approach ? 'bg-blue-600' : 'bg-slate-700 hover:bg-slate-600'
+                  }`}
+                >
+                  {approach}{templates[approach] !== DEFAULT_TEMPLATES[approach] ? ' •' : ''}
+                </button>
+              ))}
+            </div>
+            <textarea
+              value={template}
+              onChange={(e) => onTemplatesChange({ ...templates, [activeApproach]: e.target.value })}
+              rows={6}
+              className="w-full px-3 py-2 bg-slate-900 border border-slate-700 rounded-lg text-sm text-white font-mono focus:outline-none focus:border-blue-500"
+            />
+            <div className="flex justify-between items-center mt-1 mb-3">
+              <p className="text-xs text-slate-500">
+                <code>{'{name}'}</code> inserts a spec field; <code>[…]</code> is dropped when a field inside it is empty.
+              </p>
+              <button
+                onClick={() => onTemplatesChange({ ...templates, [activeApproach]: DEFAULT_TEMPLATES[activeApproach] })}
+                disabled={template === DEFAULT_TEMPLATES[activeApproach]}
+                className="flex items-center gap-1 text-xs text-slate-400 hover:text-white disabled:opacity-30"
+              >
+                <RotateCcw className="w-3 h-3" /> Reset
+              </button>
+            </div>
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+              {Object.entries(PLACEHOLDERS).map(([name, description]) => (
+                <p key={name} className="text-xs">
+                  <code className="text-purple-300">{`{${name}}`}</code>{' '}
+                  <span className="text-slate-500">{description}</span>
+                </p>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+              <label className="text-xs text-slate-400 flex items-center gap-1">
+                Variants
+                <input
+                  type="number"
+                  min={0}
+                  max={MAX_VARIANTS}
+                  value={sampling.count}
+                  onChange={(e) => onSamplingChange({ ...sampling, count: Math.max(0, Math.min(MAX_VARIANTS, Number(e.target.value) || 0)) })}
+                  className={`${inputClass} w-16`}
+                />
+              </label>
+              <label className="text-xs text-slate-400 flex items-center gap-1">
+                Seed
+                <input
+                  type="number"
+                  value={sampling.seed}
+                  onChange={(e) => onSamplingChange({ ...sampling, seed: Math.floor(Number(e.target.value) || 0) })}
+                  className={`${inputClass} w-24`}
+                />
+              </label>
+              {clusterIds.length > 0 && (
+                <label className="text-xs text-slate-400 flex items-center gap-1">
+                  Preview
+                  <select value={previewId} onChange={(e) => choosePreview(e.target.value)} className={inputClass}>
+                    {clusterIds.map(id => (
+                      <option key={id} value={id}>Cluster {id} · {specs[id].generation_approach}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+
+            {!previewSpec && (
+              <p className="text-sm text-slate-500">Generate or import a spec to preview its prompts.</p>
+            )}
+
+            {rendered && (
+              <>
+                <p className="text-xs font-semibold text-slate-400 mb-1">BASE PROMPT · {previewSpec.generation_approach} template</p>
+                <p className="text-sm bg-slate-900 rounded-lg p-3 border border-slate-700 mb-2">{rendered.text}</p>
+                {rendered.unknown.length > 0 && (
+                  <p className="text-xs text-red-400 mb-1">Unknown placeholders: {rendered.unknown.join(', ')}</p>
+                )}
+                {rendered.missing.length > 0 && (
+                  <p className="text-xs text-amber-400 mb-1">
+                    No value in this spec for: {rendered.missing.join(', ')} — wrap them in […] to drop the phrase
+                  </p>
+                )}
+                <p className="text-xs font-semibold text-slate-400 mt-3 mb-1">
+                  VARIANTS · {previewSpec.trend_tokens.enabled ? previewSpec.trend_tokens.application_strategy : 'no trend tokens on this spec'}
+                </p>
+                <ol className="space-y-1">
+                  {variants.map(variant => (
+                    <li key={variant.index} className="text-sm text-slate-300">
+                      <span className="text-slate-500">{variant.index}.</span> {variant.prompt}
+                      {variant.tokens.length > 0 && (
+                        <span className="ml-2 text-xs text-purple-300">[{variant.tokens.join(', ')}]</span>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import { hasReconciliationIssues } from '../lib/reconcile';
+
+const PREVIEW_LIMIT = 20;
+
+function IssueList({ title, items, renderItem }) {
+  const [expanded, setExpanded] = useState(false);
+  if (items.length === 0) return null;
+
+  const visible = expanded ? items : items.slice(0, PREVIEW_LIMIT);
+  return (
+    <div className="bg-slate-900 rounded p-3">
+      <p className="text-xs font-semibold text-amber-400 mb-2">{title} ({items.length})</p>
+      <div className="flex flex-wrap gap-1">
+        {visible.map((item, idx) => (
+          <span key={idx} className="text-xs px-2 py-0.5 bg-slate-800 border border-slate-700 rounded font-mono">
+            {renderItem ? renderItem(item) : item}
+          </span>
+        ))}
+      </div>
+      {items.length > PREVIEW_LIMIT && (
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="mt-2 text-xs text-blue-400 hover:text-blue-300"
+        >
+          {expanded ? 'Show less' : `Show all ${items.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default function ReconciliationReport({ report, sharedColumns, idColumn, onIdColumnChange }) {
+  const issues = report.idColumn && report.clusterColumn && hasReconciliationIssues(report);
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          {issues || !report.idColumn || !report.clusterColumn
+            ? <AlertTriangle className="w-6 h-6 text-amber-400" />
+            : <CheckCircle className="w-6 h-6 text-green-400" />}
+          Reconciliation
+        </h2>
+        <label className="text-sm text-slate-300 flex items-center gap-2">
+          Video ID column
+          <select
+            value={idColumn || ''}
+            onChange={(e) => onIdColumnChange(e.target.value)}
+            className="px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+          >
+            {!idColumn && <option value="">Select column...</option>}
+            {sharedColumns.map(col => (
+              <option key={col} value={col}>{col}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!report.idColumn && (
+        <p className="text-sm text-amber-400">
+          {sharedColumns.length === 0
+            ? 'The two files share no column to join on. Cluster assignments fall back to the cluster column in interpretation.csv.'
+            : 'Choose the video ID column shared by both files. Until then, cluster assignments fall back to interpretation.csv.'}
+        </p>
+      )}
+
+      {report.idColumn && !report.clusterColumn && (
+        <p className="text-sm text-amber-400">
+          cluster_results.csv has no cluster column (expected one of cluster, cluster_id, label). Cluster assignments fall back to interpretation.csv.
+        </p>
+      )}
+
+      {report.idColumn && report.clusterColumn && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-xs mb-4">
+            <div className="bg-slate-900 rounded p-3">
+              <p className="text-slate-400 mb-1">Matched</p>
+              <p className="text-xl font-semibold text-green-400">{report.matched}</p>
+            </div>
+            <div className="bg-slate-900 rounded p-3">
+              <p className="text-slate-400 mb-1">Missing from cluster_results</p>
+              <p className="text-xl font-semibold">{report.missingFromClusterResults.length}</p>
+            </div>
+            <div className="bg-slate-900 rounded p-3">
+              <p className="text-slate-400 mb-1">Missing from interpretation</p>
+              <p className="text-xl font-semibold">{report.missingFromInterpretation.length}</p>
+            </div>
+            <div className="bg-slate-900 rounded p-3">
+              <p className="text-slate-400 mb-1">Conflicting labels</p>
+              <p className="text-xl font-semibold">{report.conflicts.length}</p>
+            </div>
+            <div className="bg-slate-900 rounded p-3">
+              <p className="text-slate-400 mb-1">Duplicate IDs</p>
+              <p className="text-xl font-semibold">
+                {report.duplicateIds.interpretation.length + report.duplicateIds.clusterResults.length}
+              </p>
+            </div>
+          </div>
+
+          {!issues && (
+            <p className="text-sm text-green-400">✓ Every video matched with a consistent cluster label</p>
+          )}
+
+          {issues && (
+            <div className="space-y-3">
+              {report.rowsWithoutId > 0 && (
+                <p className="text-xs text-amber-400">{report.rowsWithoutId} rows have no value in "{report.idColumn}" and were skipped</p>
+              )}
+              <IssueList title="In interpretation.csv but not in cluster_results.csv (excluded)" items={report.missingFromClusterResults} />
+              <IssueList title="In cluster_results.csv but not in interpretation.csv" items={report.missingFromInterpretation} />
+              <IssueList
+                title="Conflicting cluster labels (cluster_results.csv wins)"
+                items={report.conflicts}
+                renderItem={(c) => `${c.id}: ${c.interpretation} → ${c.clusterResults}`}
+              />
+              <IssueList title="Duplicate IDs in interpretation.csv (first row kept)" items={report.duplicateIds.interpretation} />
+              <IssueList title="Duplicate IDs in cluster_results.csv (first row kept)" items={report.duplicateIds.clusterResults} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
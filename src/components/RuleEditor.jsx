@@ -0,0 +1,300 @@
+import React, { useState, useRef } from 'react';
+import { ChevronDown, ChevronRight, ListChecks, Plus, Trash2, ArrowUp, ArrowDown, X } from 'lucide-react';
+import {
+  APPROACHES, CONFIDENCES, OPERATORS, SCALES, DEFAULT_PRESET, clonePreset, ruleId, ruleMatches, suggestFromRules,
+  serializePreset, parsePresetFile, loadSavedPresets, storeSavedPresets
+} from '../lib/rules';
+import { getFeatureLabel } from '../lib/features';
+import { downloadFile, readFileAsText } from '../lib/download';
+
+const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-700 rounded text-xs text-white focus:outline-none focus:border-blue-500';
+const iconButtonClass = 'p-1 text-slate-400 hover:text-white disabled:opacity-30';
+
+function ConditionsEditor({ conditions, metrics, onChange }) {
+  const update = (index, changes) => onChange(conditions.map((c, i) => (i === index ? { ...c, ...changes } : c)));
+  const options = [...new Set([...metrics, ...conditions.map(c => c.metric)])];
+
+  return (
+    <div className="space-y-1">
+      {conditions.length === 0 && <p className="text-xs text-slate-500">No conditions — always fires</p>}
+      {conditions.map((condition, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-1">
+          <select value={condition.metric} onChange={(e) => update(index, { metric: e.target.value })} className={inputClass}>
+            {options.map(key => (
+              <option key={key} value={key}>{getFeatureLabel(key)}{metrics.includes(key) ? '' : ' (not selected)'}</option>
+            ))}
+          </select>
+          <select value={condition.scale} onChange={(e) => update(index, { scale: e.target.value })} className={inputClass}>
+            {SCALES.map(scale => <option key={scale} value={scale}>{scale === 'normalized' ? 'normalized 0-100' : 'raw average'}</option>)}
+          </select>
+          <select value={condition.op} onChange={(e) => update(index, { op: e.target.value })} className={inputClass}>
+            {OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+          </select>
+          <input
+            type="number"
+            step="any"
+            value={condition.value}
+            onChange={(e) => update(index, { value: Number.isFinite(parseFloat(e.target.value)) ? parseFloat(e.target.value) : 0 })}
+            className={`${inputClass} w-24`}
+          />
+          <button onClick={() => onChange(conditions.filter((_, i) => i !== index))} className={iconButtonClass}>
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...conditions, { metric: metrics[0] || 'motion_mean', op: '>', value: 50, scale: 'normalized' }])}
+        className="text-xs text-blue-400 hover:text-blue-300"
+      >
+        + condition
+      </button>
+    </div>
+  );
+}
+
+function RuleControls({ index, count, onMove, onDelete }) {
+  return (
+    <div className="flex items-center">
+      <button onClick={() => onMove(-1)} disabled={index === 0} className={iconButtonClass}><ArrowUp className="w-3 h-3" /></button>
+      <button onClick={() => onMove(1)} disabled={index === count - 1} className={iconButtonClass}><ArrowDown className="w-3 h-3" /></button>
+      <button onClick={onDelete} className={iconButtonClass}><Trash2 className="w-3 h-3" /></button>
+    </div>
+  );
+}
+
+const clusterList = (clusters) => (clusters.length > 0 ? clusters.join(', ') : 'none');
+
+// clusters: [{ cluster, stats, normalized }] for the live preview
+export default function RuleEditor({ preset, onChange, metrics, clusters }) {
+  const [expanded, setExpanded] = useState(false);
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+  const [message, setMessage] = useState(null);
+  const importInput = useRef(null);
+
+  const updateRules = (kind, rules) => onChange({ ...preset, [kind]: rules });
+  const updateRule = (kind, index, changes) =>
+    updateRules(kind, preset[kind].map((r, i) => (i === index ? { ...r, ...changes } : r)));
+  const moveRule = (kind, index, delta) => {
+    const rules = [...preset[kind]];
+    const [rule] = rules.splice(index, 1);
+    rules.splice(index + delta, 0, rule);
+    updateRules(kind, rules);
+  };
+
+  const savePreset = () => {
+    const name = preset.name.trim();
+    if (!name || name === DEFAULT_PRESET.name) {
+      setMessage('Give the preset its own name before saving');
+      return;
+    }
+    const next = [...savedPresets.filter(p => p.name !== name), clonePreset({ ...preset, name })];
+    try {
+      storeSavedPresets(next);
+    } catch (error) {
+      setMessage(`Could not save preset "${name}": ${error.message}`);
+      return;
+    }
+    setSavedPresets(next);
+    setMessage(`Saved preset "${name}"`);
+  };
+
+  const deletePreset = () => {
+    const next = savedPresets.filter(p => p.name !== preset.name);
+    try {
+      storeSavedPresets(next);
+    } catch (error) {
+      setMessage(`Could not delete preset "${preset.name}": ${error.message}`);
+      return;
+    }
+    setSavedPresets(next);
+    onChange(clonePreset(DEFAULT_PRESET));
+    setMessage(`Deleted preset "${preset.name}"`);
+  };
+
+  const choosePreset = (name) => {
+    const chosen = name === DEFAULT_PRESET.name ? DEFAULT_PRESET : savedPresets.find(p => p.name === name);
+    if (chosen) onChange(clonePreset(chosen));
+    setMessage(null);
+  };
+
+  const importPreset = async (file) => {
+    if (!file) return;
+    try {
+      const result = parsePresetFile(await readFileAsText(file));
+      if (result.error) {
+        setMessage(`Could not import ${file.name}: ${result.error}`);
+        return;
+      }
+      onChange(result.preset);
+      setMessage(`Imported "${result.preset.name}" — save it to keep it as a preset`);
+    } catch (error) {
+      setMessage(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  // Which clusters each approach rule matches, and which it actually decides
+  const decidedBy = {};
+  clusters.forEach(c => {
+    const { ruleId: id } = suggestFromRules(preset.approachRules, c.stats, c.normalized);
+    decidedBy[id] = [...(decidedBy[id] || []), c.cluster];
+  });
+  const matching = (rule) => clusters.filter(c => ruleMatches(rule, c.stats, c.normalized)).map(c => c.cluster);
+
+  const presetNames = [DEFAULT_PRESET.name, ...savedPresets.map(p => p.name)];
+  const buttonClass = 'px-3 py-1.5 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-xs';
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <button onClick={() => setExpanded(!expanded)} className="w-full flex items-center justify-between">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          <ListChecks className="w-6 h-6 text-amber-400" />
+          Rules
+          <span className="text-sm font-normal text-slate-400">· {preset.name}</span>
+        </h2>
+        {expanded ? <ChevronDown className="w-5 h-5" /> : <ChevronRight className="w-5 h-5" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-4">
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <select
+              value={presetNames.includes(preset.name) ? preset.name : ''}
+              onChange={(e) => choosePreset(e.target.value)}
+              className={inputClass}
+            >
+              {!presetNames.includes(preset.name) && <option value="">Unsaved</option>}
+              {presetNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <input
+              type="text"
+              value={preset.name}
+              onChange={(e) => onChange({ ...preset, name: e.target.value })}
+              placeholder="Preset name"
+              className={`${inputClass} w-48`}
+            />
+            <button onClick={savePreset} className={buttonClass}>Save preset</button>
+            {savedPresets.some(p => p.name === preset.name) && (
+              <button onClick={deletePreset} className={buttonClass}>Delete preset</button>
+            )}
+            <button onClick={() => downloadFile(`${preset.name || 'rules'}.rules.json`, serializePreset(preset))} className={buttonClass}>
+              Export JSON
+            </button>
+            <button onClick={() => importInput.current.click()} className={buttonClass}>Import JSON</button>
+            <input
+              ref={importInput}
+              type="file"
+              accept=".json"
+              className="hidden"
+              onChange={(e) => {
+                importPreset(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </div>
+          {message && <p className="text-xs text-slate-400 mb-2">{message}</p>}
+
+          <h3 className="text-lg font-semibold mt-4 mb-1">Approach rules</h3>
+          <p className="text-xs text-slate-400 mb-3">Checked top to bottom; the first rule that matches sets the suggested approach.</p>
+          <div className="space-y-3">
+            {preset.approachRules.map((rule, index) => (
+              <div key={rule.id} className="bg-slate-900 rounded-lg p-3 border border-slate-700">
+                <div className="flex flex-wrap items-center gap-2 mb-2">
+                  <span className="text-xs font-semibold text-slate-400">#{index + 1}</span>
+                  <select value={rule.match} onChange={(e) => updateRule('approachRules', index, { match: e.target.value })} className={inputClass}>
+                    <option value="all">all conditions</option>
+                    <option value="any">any condition</option>
+                  </select>
+                  <span className="text-xs text-slate-400">→</span>
+                  <select value={rule.approach} onChange={(e) => updateRule('approachRules', index, { approach: e.target.value })} className={inputClass}>
+                    {APPROACHES.map(a => <option key={a} value={a}>{a}</option>)}
+                  </select>
+                  <select value={rule.confidence} onChange={(e) => updateRule('approachRules', index, { confidence: e.target.value })} className={inputClass}>
+                    {CONFIDENCES.map(c => <option key={c} value={c}>{c} confidence</option>)}
+                  </select>
+                  <div className="ml-auto">
+                    <RuleControls
+                      index={index}
+                      count={preset.approachRules.length}
+                      onMove={(delta) => moveRule('approachRules', index, delta)}
+                      onDelete={() => updateRules('approachRules', preset.approachRules.filter((_, i) => i !== index))}
+                    />
+                  </div>
+                </div>
+                <input
+                  type="text"
+                  value={rule.reason}
+                  onChange={(e) => updateRule('approachRules', index, { reason: e.target.value })}
+                  placeholder="Reason shown with the suggestion"
+                  className={`${inputClass} w-full mb-2`}
+                />
+                <ConditionsEditor
+                  conditions={rule.conditions}
+                  metrics={metrics}
+                  onChange={(conditions) => updateRule('approachRules', index, { conditions })}
+                />
+                <p className="mt-2 text-xs text-slate-500">
+                  Matches clusters: <span className="text-slate-300">{clusterList(matching(rule))}</span>
+                  {' · '}decides: <span className="text-green-400">{clusterList(decidedBy[rule.id] || [])}</span>
+                </p>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={() => updateRules('approachRules', [...preset.approachRules, {
+              id: ruleId(), match: 'all', conditions: [], approach: 'text-driven', confidence: 'medium', reason: ''
+            }])}
+            className="mt-2 flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300"
+          >
+            <Plus className="w-3 h-3" /> Add approach rule
+          </button>
+
+          <h3 className="text-lg font-semibold mt-6 mb-1">Characteristic labels</h3>
+          <p className="text-xs text-slate-400 mb-3">Every rule that matches adds its label to the cluster description.</p>
+          <div className="space-y-3">
+            {preset.characteristicRules.map((rule, index) => (
+              <div key={rule.id} className="bg-slate-900 rounded-lg p-3 border border-slate-700">
+                <div className="flex flex-wrap items-center gap-2 mb-2">
+                  <input
+                    type="text"
+                    value={rule.label}
+                    onChange={(e) => updateRule('characteristicRules', index, { label: e.target.value })}
+                    placeholder="Label"
+                    className={`${inputClass} w-40`}
+                  />
+                  <select value={rule.match} onChange={(e) => updateRule('characteristicRules', index, { match: e.target.value })} className={inputClass}>
+                    <option value="all">all conditions</option>
+                    <option value="any">any condition</option>
+                  </select>
+                  <div className="ml-auto">
+                    <RuleControls
+                      index={index}
+                      count={preset.characteristicRules.length}
+                      onMove={(delta) => moveRule('characteristicRules', index, delta)}
+                      onDelete={() => updateRules('characteristicRules', preset.characteristicRules.filter((_, i) => i !== index))}
+                    />
+                  </div>
+                </div>
+                <ConditionsEditor
+                  conditions={rule.conditions}
+                  metrics={metrics}
+                  onChange={(conditions) => updateRule('characteristicRules', index, { conditions })}
+                />
+                <p className="mt-2 text-xs text-slate-500">
+                  Fires on clusters: <span className="text-slate-300">{clusterList(matching(rule))}</span>
+                </p>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={() => updateRules('characteristicRules', [...preset.characteristicRules, {
+              id: ruleId(), label: '', match: 'all', conditions: []
+            }])}
+            className="mt-2 flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300"
+          >
+            <Plus className="w-3 h-3" /> Add characteristic rule
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
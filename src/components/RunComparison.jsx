@@ -0,0 +1,240 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { GitCompare, X } from 'lucide-react';
+import { compareRuns } from '../lib/compare';
+import { getFeatureLabel, formatFeatureValue } from '../lib/features';
+
+const MOVED_PREVIEW_LIMIT = 50;
+
+const describeAgreement = (ari) => {
+  if (ari === null) return 'not enough videos';
+  if (ari >= 0.9) return 'very stable';
+  if (ari >= 0.7) return 'mostly stable';
+  if (ari >= 0.4) return 'partly reshuffled';
+  return 'substantially different';
+};
+
+const formatScore = (value) => (value === null ? '—' : value.toFixed(3));
+
+function StatsCells({ stats, features }) {
+  if (!stats) {
+    return <td colSpan={features.length + 2} className="px-2 py-1 text-slate-600">no counterpart</td>;
+  }
+  return (
+    <>
+      <td className="px-2 py-1 text-blue-400 font-semibold">{stats.cluster}</td>
+      <td className="px-2 py-1">{stats.count}</td>
+      {features.map(key => (
+        <td key={key} className="px-2 py-1 font-mono">{formatFeatureValue(key, stats.metrics[key]?.avg)}</td>
+      ))}
+    </>
+  );
+}
+
+export default function RunComparison({ baseStats, idColumn, features, run, onUpload, onClear }) {
+  const [showAllMoved, setShowAllMoved] = useState(false);
+  const fileInput = useRef(null);
+
+  const baseRows = useMemo(() => baseStats.flatMap(s => s.videos), [baseStats]);
+  const comparison = useMemo(
+    () => (run ? compareRuns(baseRows, run.rows, idColumn, features) : null),
+    [baseRows, run, idColumn, features]
+  );
+
+  const byCluster = (list) => new Map(list.map(s => [String(s.cluster), s]));
+  const otherByCluster = comparison?.otherStats ? byCluster(comparison.otherStats) : new Map();
+  const matchedOther = comparison?.match ? new Set(Object.values(comparison.match)) : new Set();
+  const moved = comparison?.moved || [];
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          <GitCompare className="w-6 h-6 text-teal-400" />
+          Compare Runs
+          {run && <span className="text-sm font-normal text-slate-400">· current vs {run.fileName}</span>}
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={() => fileInput.current.click()}
+            className="px-3 py-1.5 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm"
+          >
+            {run ? 'Load another run' : 'Load second run'}
+          </button>
+          {run && (
+            <button onClick={onClear} className="p-1.5 text-slate-400 hover:text-white" title="Remove second run">
+              <X className="w-4 h-4" />
+            </button>
+          )}
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,text/csv"
+            className="hidden"
+            onChange={(e) => {
+              onUpload(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+
+      {!run && (
+        <p className="text-sm text-slate-400">
+          Load another cluster_results.csv (or an interpretation.csv with a cluster column) from a different clustering
+          run to see how the assignments of the current videos changed.
+        </p>
+      )}
+
+      {comparison?.error && <p className="text-sm text-red-400">{comparison.error}</p>}
+
+      {comparison && !comparison.error && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            <div className="bg-slate-900 rounded-lg p-3 border border-slate-700">
+              <p className="text-xs text-slate-400">Adjusted Rand index</p>
+              <p className="text-2xl font-semibold">{formatScore(comparison.ari)}</p>
+              <p className="text-xs text-slate-500">{describeAgreement(comparison.ari)}</p>
+            </div>
+            <div className="bg-slate-900 rounded-lg p-3 border border-slate-700">
+              <p className="text-xs text-slate-400">Normalized mutual info</p>
+              <p className="text-2xl font-semibold">{formatScore(comparison.nmi)}</p>
+              <p className="text-xs text-slate-500">1 = same partition</p>
+            </div>
+            <div className="bg-slate-900 rounded-lg p-3 border border-slate-700">
+              <p className="text-xs text-slate-400">Videos in both runs</p>
+              <p className="text-2xl font-semibold">{comparison.contingency.n}</p>
+              <p className="text-xs text-slate-500">
+                joined on {comparison.idColumn}
+                {comparison.report.missingFromClusterResults.length > 0 && ` · ${comparison.report.missingFromClusterResults.length} only in current`}
+              </p>
+            </div>
+            <div className="bg-slate-900 rounded-lg p-3 border border-slate-700">
+              <p className="text-xs text-slate-400">Changed cluster</p>
+              <p className="text-2xl font-semibold">{moved.length}</p>
+              <p className="text-xs text-slate-500">
+                {((moved.length / comparison.contingency.n) * 100).toFixed(1)}% · {comparison.contingency.rowLabels.length} → {comparison.contingency.colLabels.length} clusters
+              </p>
+            </div>
+          </div>
+
+          <h3 className="text-lg font-semibold mb-1">Overlap</h3>
+          <p className="text-xs text-slate-400 mb-2">
+            Rows are current clusters, columns the second run; shading is the share of each current cluster. Outlined cells are the matched pairs.
+          </p>
+          <div className="overflow-x-auto mb-6">
+            <table className="text-xs">
+              <thead>
+                <tr>
+                  <th className="px-2 py-1 text-left text-slate-400">current \ new</th>
+                  {comparison.contingency.colLabels.map(label => (
+                    <th key={label} className="px-2 py-1 text-slate-300">{label}</th>
+                  ))}
+                  <th className="px-2 py-1 text-slate-500">total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.contingency.rowLabels.map((rowLabel, i) => (
+                  <tr key={rowLabel}>
+                    <th className="px-2 py-1 text-left text-slate-300">{rowLabel}</th>
+                    {comparison.contingency.table[i].map((count, j) => {
+                      const share = comparison.contingency.rowTotals[i] > 0 ? count / comparison.contingency.rowTotals[i] : 0;
+                      const matched = comparison.match[rowLabel] === comparison.contingency.colLabels[j];
+                      return (
+                        <td
+                          key={j}
+                          className={`px-2 py-1 text-center min-w-10 ${matched ? 'outline outline-1 outline-teal-400' : ''}`}
+                          style={{ backgroundColor: `rgba(45, 212, 191, ${share * 0.8})` }}
+                          title={`${count} of ${comparison.contingency.rowTotals[i]} (${(share * 100).toFixed(0)}%)`}
+                        >
+                          {count || ''}
+                        </td>
+                      );
+                    })}
+                    <td className="px-2 py-1 text-center text-slate-500">{comparison.contingency.rowTotals[i]}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <th className="px-2 py-1 text-left text-slate-500">total</th>
+                  {comparison.contingency.colTotals.map((total, j) => (
+                    <td key={j} className="px-2 py-1 text-center text-slate-500">{total}</td>
+                  ))}
+                  <td className="px-2 py-1 text-center text-slate-500">{comparison.contingency.n}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className="text-lg font-semibold mb-2">Stats side by side</h3>
+          <div className="overflow-x-auto mb-6">
+            <table className="text-xs w-full">
+              <thead>
+                <tr className="text-slate-400 text-left">
+                  <th className="px-2 py-1">Current</th>
+                  <th className="px-2 py-1">Videos</th>
+                  {features.map(key => <th key={key} className="px-2 py-1">{getFeatureLabel(key)}</th>)}
+                  <th className="px-2 py-1 border-l border-slate-700">New</th>
+                  <th className="px-2 py-1">Videos</th>
+                  {features.map(key => <th key={key} className="px-2 py-1">{getFeatureLabel(key)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {baseStats.map(stats => {
+                  const counterpart = comparison.match[String(stats.cluster)];
+                  return (
+                    <tr key={stats.cluster} className="border-t border-slate-700">
+                      <StatsCells stats={stats} features={features} />
+                      <td className="border-l border-slate-700 p-0" />
+                      <StatsCells stats={counterpart === undefined ? null : otherByCluster.get(counterpart)} features={features} />
+                    </tr>
+                  );
+                })}
+                {comparison.otherStats.filter(s => !matchedOther.has(String(s.cluster))).map(stats => (
+                  <tr key={`new-${stats.cluster}`} className="border-t border-slate-700">
+                    <StatsCells stats={null} features={features} />
+                    <td className="border-l border-slate-700 p-0" />
+                    <StatsCells stats={stats} features={features} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className="text-lg font-semibold mb-2">Videos that changed cluster ({moved.length})</h3>
+          {moved.length === 0 ? (
+            <p className="text-sm text-slate-400">Every video landed in the matching cluster.</p>
+          ) : (
+            <>
+              <div className="max-h-72 overflow-y-auto">
+                <table className="text-xs w-full">
+                  <thead className="sticky top-0 bg-slate-800">
+                    <tr className="text-slate-400 text-left">
+                      <th className="px-2 py-1">Video</th>
+                      <th className="px-2 py-1">Current cluster</th>
+                      <th className="px-2 py-1">Matched new cluster</th>
+                      <th className="px-2 py-1">Now in</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(showAllMoved ? moved : moved.slice(0, MOVED_PREVIEW_LIMIT)).map(video => (
+                      <tr key={video.id} className="border-t border-slate-700">
+                        <td className="px-2 py-1 font-mono">{video.id}</td>
+                        <td className="px-2 py-1">{video.from}</td>
+                        <td className="px-2 py-1 text-slate-500">{video.expected ?? '—'}</td>
+                        <td className="px-2 py-1 text-teal-300">{video.to}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {moved.length > MOVED_PREVIEW_LIMIT && (
+                <button onClick={() => setShowAllMoved(!showAllMoved)} className="mt-2 text-xs text-blue-400 hover:text-blue-300">
+                  {showAllMoved ? 'Show fewer' : `Show all ${moved.length}`}
+                </button>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
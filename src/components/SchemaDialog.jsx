@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle, X } from 'lucide-react';
+import { EXPECTED_COLUMNS, POLICIES, IMPUTE_STRATEGIES, findInvalidRows, applySchema } from '../lib/schema';
+
+const ROW_PREVIEW_LIMIT = 10;
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? 'empty' : JSON.stringify(value));
+
+export default function SchemaDialog({ upload, initialMapping, initialPolicies, onApply, onCancel }) {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [policies, setPolicies] = useState(initialPolicies);
+  const [expanded, setExpanded] = useState({});
+  const [error, setError] = useState(null);
+
+  const invalid = findInvalidRows(upload.rows, mapping);
+
+  const updatePolicy = (key, changes) => {
+    setPolicies(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+    setError(null);
+  };
+
+  const handleApply = () => {
+    const result = applySchema(upload.rows, mapping, policies);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    onApply(result, mapping, policies);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-50">
+      <div className="bg-slate-800 rounded-lg border border-slate-700 w-full max-w-4xl max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-2xl font-semibold">Validate {upload.fileName}</h2>
+            <p className="text-sm text-slate-400">{upload.rows.length} rows · {upload.columns.length} columns</p>
+          </div>
+          <button onClick={onCancel} className="p-1 hover:bg-slate-700 rounded">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {upload.parseErrors.length > 0 && (
+          <div className="mb-4 p-3 rounded-lg border bg-amber-900/20 border-amber-700">
+            <p className="text-xs font-semibold text-amber-400 mb-1">CSV PARSE ERRORS ({upload.parseErrors.length})</p>
+            {upload.parseErrors.slice(0, ROW_PREVIEW_LIMIT).map((e, idx) => (
+              <p key={idx} className="text-xs text-slate-300">
+                {e.row !== undefined ? `Row ${e.row + 1}: ` : ''}{e.message}
+              </p>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-3">
+          {EXPECTED_COLUMNS.map(({ key, label, numeric }) => {
+            const source = mapping[key];
+            const rows = invalid[key];
+            const policy = policies[key];
+            const showAll = expanded[key];
+
+            return (
+              <div key={key} className="bg-slate-900 rounded-lg p-4 border border-slate-700">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-center">
+                  <div className="flex items-center gap-2">
+                    {source && rows.length === 0
+                      ? <CheckCircle className="w-4 h-4 text-green-400" />
+                      : <AlertTriangle className="w-4 h-4 text-amber-400" />}
+                    <div>
+                      <p className="text-sm font-semibold">{label}</p>
+                      <p className="text-xs text-slate-500 font-mono">{key}</p>
+                    </div>
+                  </div>
+
+                  <select
+                    value={source || ''}
+                    onChange={(e) => {
+                      setMapping(prev => ({ ...prev, [key]: e.target.value || null }));
+                      setError(null);
+                    }}
+                    className="px-2 py-1 bg-slate-800 border border-slate-700 rounded text-sm text-white focus:outline-none focus:border-blue-500"
+                  >
+                    <option value="">— not found —</option>
+                    {upload.columns.map(col => (
+                      <option key={col} value={col}>{col}</option>
+                    ))}
+                  </select>
+
+                  {numeric && !source && (
+                    <p className="text-xs text-slate-500">Not in this file — feature unavailable</p>
+                  )}
+                  {numeric && source && (
+                    <div className="flex gap-2">
+                      <select
+                        value={policy.action}
+                        onChange={(e) => updatePolicy(key, { action: e.target.value })}
+                        disabled={rows.length === 0}
+                        className="flex-1 px-2 py-1 bg-slate-800 border border-slate-700 rounded text-sm text-white focus:outline-none focus:border-blue-500 disabled:opacity-50"
+                      >
+                        {POLICIES.map(p => (
+                          <option key={p} value={p}>{p === 'exclude' ? 'exclude rows' : p === 'impute' ? 'impute value' : 'fail upload'}</option>
+                        ))}
+                      </select>
+                      {policy.action === 'impute' && (
+                        <select
+                          value={policy.impute}
+                          onChange={(e) => updatePolicy(key, { impute: e.target.value })}
+                          disabled={rows.length === 0}
+                          className="px-2 py-1 bg-slate-800 border border-slate-700 rounded text-sm text-white focus:outline-none focus:border-blue-500 disabled:opacity-50"
+                        >
+                          {IMPUTE_STRATEGIES.map(s => (
+                            <option key={s} value={s}>{s}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  )}
+                  {!numeric && (
+                    <p className="text-xs text-slate-500">
+                      {source ? 'Used when cluster_results.csv is not loaded' : 'Required unless cluster_results.csv is loaded'}
+                    </p>
+                  )}
+                </div>
+
+                {source && rows.length > 0 && (
+                  <div className="mt-3">
+                    <p className="text-xs text-amber-400 mb-1">
+                      {rows.length} rows with {numeric ? 'empty or non-numeric' : 'empty'} values
+                    </p>
+                    <div className="flex flex-wrap gap-1">
+                      {(showAll ? rows : rows.slice(0, ROW_PREVIEW_LIMIT)).map(({ index, value }) => (
+                        <span key={index} className="text-xs px-2 py-0.5 bg-slate-800 border border-slate-700 rounded font-mono">
+                          row {index + 1}: {formatValue(value)}
+                        </span>
+                      ))}
+                    </div>
+                    {rows.length > ROW_PREVIEW_LIMIT && (
+                      <button
+                        onClick={() => setExpanded(prev => ({ ...prev, [key]: !showAll }))}
+                        className="mt-2 text-xs text-blue-400 hover:text-blue-300"
+                      >
+                        {showAll ? 'Show less' : `Show all ${rows.length}`}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {error && (
+          <p className="mt-4 text-sm text-red-400">{error}</p>
+        )}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors text-sm"
+          >
+            Cancel upload
+          </button>
+          <button
+            onClick={handleApply}
+            className="px-4 py-2 bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+          >
+            Apply mapping
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
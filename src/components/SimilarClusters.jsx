@@ -0,0 +1,29 @@
+import React from 'react';
+import { Combine } from 'lucide-react';
+
+// Closest clusters for a cluster card: similar: [{ cluster, distance, nearDuplicate }]
+export default function SimilarClusters({ similar, names, specs, onMerge }) {
+  if (similar.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <p className="text-xs font-semibold text-slate-400 mb-1" title="Centroid distance in standard deviations per metric">MOST SIMILAR CLUSTERS</p>
+      <ul className="space-y-1">
+        {similar.map(({ cluster, distance, nearDuplicate }) => (
+          <li key={cluster} className="flex items-center gap-2 text-xs">
+            <span className="text-slate-200">
+              Cluster {cluster}{names[cluster] && <span className="text-slate-400"> · {names[cluster]}</span>}
+            </span>
+            <span className="font-mono text-slate-400">{distance.toFixed(2)}</span>
+            {nearDuplicate && <span className="px-1.5 rounded bg-amber-900/40 border border-amber-700 text-amber-300">near-duplicate</span>}
+            {specs[cluster] && <span className="text-slate-500" title="A spec for a near-identical cluster may be redundant">has spec</span>}
+            <button onClick={() => onMerge(cluster)} className="ml-auto flex items-center gap-1 text-blue-400 hover:text-blue-300" title={`Merge cluster ${cluster} into this one`}>
+              <Combine className="w-3 h-3" />
+              Merge
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, Legend, Tooltip, ResponsiveContainer } from 'recharts';
+import { Grid3x3 } from 'lucide-react';
+import { NEAR_DUPLICATE_DISTANCE } from '../lib/similarity';
+import { getFeatureLabel } from '../lib/features';
+
+// Chart data key of a cluster's radar series; a bare 0 would read as "no key"
+const radarKey = (cluster) => `cluster_${cluster}`;
+
+// Closer clusters get a stronger blue
+const distanceColor = (distance, max) => `rgba(59, 130, 246, ${max > 0 ? (1 - distance / max) * 0.85 : 0.85})`;
+
+// The two clusters with the closest centroids, the first pair worth overlaying
+const closestPair = ({ clusters, distances }) => {
+  let best = null;
+  clusters.forEach((a, i) => clusters.forEach((b, j) => {
+    if (j <= i) return;
+    if (!best || distances[i][j] < best.distance) best = { pair: [String(a), String(b)], distance: distances[i][j] };
+  }));
+  return best ? best.pair : clusters.map(String);
+};
+
+// matrix: clusterDistanceMatrix(); radarData: { [cluster]: [{ value }] } in features order
+export default function SimilarityPanel({ matrix, radarData, features, names, getColor }) {
+  const [selected, setSelected] = useState(null);
+
+  const { clusters, distances } = matrix;
+  const labelOf = (cluster) => (names[cluster] ? `${cluster} · ${names[cluster]}` : `Cluster ${cluster}`);
+  const colorIndex = new Map(clusters.map((cluster, idx) => [String(cluster), idx]));
+  const maxDistance = distances.reduce((max, row) => row.reduce((m, d) => Math.max(m, d), max), 0);
+
+  // Until something is picked, overlay the most similar pair
+  const overlay = (selected || closestPair(matrix)).filter(key => colorIndex.has(key));
+  const overlayData = features.map((key, i) => ({
+    metric: getFeatureLabel(key),
+    ...Object.fromEntries(overlay.map(cluster => [radarKey(cluster), radarData[cluster]?.[i]?.value ?? 0]))
+  }));
+
+  const toggle = (cluster) => {
+    const key = String(cluster);
+    setSelected(overlay.includes(key) ? overlay.filter(c => c !== key) : [...overlay, key]);
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <h2 className="text-2xl font-semibold flex items-center gap-2 mb-2">
+        <Grid3x3 className="w-6 h-6 text-sky-400" />
+        Cluster Similarity
+      </h2>
+      <p className="text-xs text-slate-400 mb-4">
+        Distance between cluster centroids in standard deviations per metric. Pairs under {NEAR_DUPLICATE_DISTANCE} are outlined as near-duplicates:
+        candidates for merging, or for sharing one spec. Click a cell to overlay that pair.
+      </p>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        <div className="overflow-x-auto">
+          <table className="text-xs">
+            <thead>
+              <tr>
+                <th className="px-2 py-1" />
+                {clusters.map(cluster => (
+                  <th key={cluster} className="px-2 py-1 font-semibold" style={{ color: getColor(colorIndex.get(String(cluster))) }} title={labelOf(cluster)}>
+                    {cluster}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {clusters.map((a, i) => (
+                <tr key={a}>
+                  <th className="px-2 py-1 text-left whitespace-nowrap font-semibold" style={{ color: getColor(i) }}>{labelOf(a)}</th>
+                  {clusters.map((b, j) => {
+                    const distance = distances[i][j];
+                    const nearDuplicate = i !== j && distance < NEAR_DUPLICATE_DISTANCE;
+                    return (
+                      <td
+                        key={b}
+                        onClick={() => i !== j && setSelected([String(a), String(b)])}
+                        className={`px-3 py-1 text-center font-mono min-w-14 ${i === j ? 'text-slate-600' : 'cursor-pointer hover:ring-1 hover:ring-slate-300'} ${
+                          nearDuplicate ? 'ring-2 ring-amber-400' : ''
+                        }`}
+                        style={{ backgroundColor: i === j ? 'transparent' : distanceColor(distance, maxDistance) }}
+                        title={i === j ? labelOf(a) : `${labelOf(a)} ↔ ${labelOf(b)}: ${distance.toFixed(3)}`}
+                      >
+                        {i === j ? '—' : distance.toFixed(2)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div>
+          <div className="flex flex-wrap gap-2 mb-2">
+            {clusters.map(cluster => (
+              <button
+                key={cluster}
+                onClick={() => toggle(cluster)}
+                className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                  overlay.includes(String(cluster)) ? 'bg-slate-700 border-slate-400 text-white' : 'bg-slate-900 border-slate-700 text-slate-400'
+                }`}
+                style={overlay.includes(String(cluster)) ? { borderColor: getColor(colorIndex.get(String(cluster))) } : undefined}
+              >
+                {labelOf(cluster)}
+              </button>
+            ))}
+          </div>
+          {overlay.length === 0 ? (
+            <p className="text-sm text-slate-500">Pick clusters to overlay their radar profiles.</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={320}>
+              <RadarChart data={overlayData}>
+                <PolarGrid stroke="#475569" />
+                <PolarAngleAxis dataKey="metric" tick={{ fill: '#cbd5e1', fontSize: 12 }} />
+                <PolarRadiusAxis angle={90} domain={[0, 100]} tick={{ fill: '#94a3b8' }} />
+                {overlay.map(cluster => (
+                  <Radar
+                    key={cluster}
+                    name={labelOf(cluster)}
+                    dataKey={radarKey(cluster)}
+                    stroke={getColor(colorIndex.get(cluster))}
+                    fill={getColor(colorIndex.get(cluster))}
+                    fillOpacity={0.15}
+                  />
+                ))}
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569' }}
+                  formatter={(value) => Math.round(value)}
+                />
+                <Legend />
+              </RadarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
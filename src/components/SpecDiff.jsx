@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+
+const PREVIEW_LIMIT = 30;
+
+const formatValue = (value) => {
+  if (value === undefined) return '—';
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value);
+};
+
+// "base_prompt_components.motion_profile.cuts_per_minute" → "cuts_per_minute"
+const leafName = (path) => path.split('.').pop().replace(/\[\d+\]$/, '') || path;
+
+const sectionOf = (path) => path.split(/[.[]/)[0];
+
+const describe = ({ path, before, after }) => {
+  if (path === 'generation_approach') return `approach changed: ${before} → ${after}`;
+  if (before === undefined) return `${leafName(path)} added: ${formatValue(after)}`;
+  if (after === undefined) return `${leafName(path)} removed (was ${formatValue(before)})`;
+  return `${leafName(path)} ${formatValue(before)} → ${formatValue(after)}`;
+};
+
+// differences: diffSpecs(current, regenerated); onAccept replaces the spec with the regenerated one
+export default function SpecDiff({ differences, onAccept }) {
+  const [expanded, setExpanded] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+
+  const visible = showAll ? differences : differences.slice(0, PREVIEW_LIMIT);
+
+  return (
+    <div className="mb-2">
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center gap-1 text-xs text-amber-300 hover:text-amber-200"
+        >
+          {expanded ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+          Review {differences.length} change{differences.length === 1 ? '' : 's'} against a fresh regeneration
+        </button>
+        <button onClick={onAccept} className="text-xs px-2 py-0.5 rounded bg-amber-700 hover:bg-amber-600 text-white">
+          Use regenerated
+        </button>
+      </div>
+      {expanded && (
+        <div className="mt-2 bg-slate-950 rounded p-3 border border-slate-800">
+          <p className="text-xs text-slate-500 mb-2">Current spec → what the loaded data and settings generate now</p>
+          <ul className="text-xs font-mono space-y-0.5">
+            {visible.map(difference => (
+              <li key={difference.path} title={difference.path} className="text-slate-300">
+                {sectionOf(difference.path) !== difference.path && <span className="text-slate-500">{sectionOf(difference.path)} </span>}
+                {describe(difference)}
+              </li>
+            ))}
+          </ul>
+          {differences.length > PREVIEW_LIMIT && (
+            <button onClick={() => setShowAll(!showAll)} className="mt-2 text-xs text-blue-400 hover:text-blue-300">
+              {showAll ? 'Show fewer' : `Show all ${differences.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+
+// errors: { [cluster]: [{ path, message }] }
+export default function SpecErrorList({ errors }) {
+  return (
+    <ul className="space-y-1 font-mono text-xs">
+      {Object.entries(errors).flatMap(([cluster, problems]) => problems.map((problem, i) => (
+        <li key={`${cluster}-${i}`}>
+          Cluster {cluster}: <span className="text-red-300">{problem.path}</span> {problem.message}
+        </li>
+      )))}
+    </ul>
+  );
+}
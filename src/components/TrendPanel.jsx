@@ -0,0 +1,136 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { CalendarRange } from 'lucide-react';
+import { weeklyTimeline, timelineKey } from '../lib/trends';
+import { getFeatureLabel, formatFeatureValue } from '../lib/features';
+
+const inputClass = 'px-2 py-1 bg-slate-900 border border-slate-700 rounded text-xs text-white focus:outline-none focus:border-blue-500';
+
+// settings: { dateColumn, textColumns, recentWeeks } as resolved by the parent
+export default function TrendPanel({
+  clusterStats, metrics, dateColumns, textOptions, settings, onSettingsChange, names, getColor
+}) {
+  const [metric, setMetric] = useState('share');
+
+  const activeMetric = metric === 'share' || metrics.includes(metric) ? metric : 'share';
+  const timeline = useMemo(
+    () => (settings.dateColumn ? weeklyTimeline(clusterStats, settings.dateColumn, activeMetric) : []),
+    [clusterStats, settings.dateColumn, activeMetric]
+  );
+  const dated = timeline.reduce((sum, point) => sum + point.total, 0);
+  const total = clusterStats.reduce((sum, stats) => sum + stats.count, 0);
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    return activeMetric === 'share' ? `${(value * 100).toFixed(1)}%` : formatFeatureValue(activeMetric, value);
+  };
+
+  const toggleText = (col) => {
+    const next = settings.textColumns.includes(col)
+      ? settings.textColumns.filter(c => c !== col)
+      : textOptions.filter(c => settings.textColumns.includes(c) || c === col);
+    onSettingsChange({ textColumns: next });
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg p-6 border border-slate-700 mb-8">
+      <h2 className="text-2xl font-semibold flex items-center gap-2 mb-2">
+        <CalendarRange className="w-6 h-6 text-cyan-400" />
+        Trends Over Time
+      </h2>
+
+      {dateColumns.length === 0 ? (
+        <p className="text-sm text-slate-400">
+          No publish-date column found. Add a column like publish_date (ISO dates or Unix timestamps) to see weekly trends and get trend token suggestions.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-3 mb-3 text-xs text-slate-300">
+            <label className="flex items-center gap-1">
+              Date
+              <select value={settings.dateColumn} onChange={(e) => onSettingsChange({ dateColumn: e.target.value })} className={inputClass}>
+                {dateColumns.map(col => <option key={col} value={col}>{col}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              Show
+              <select value={activeMetric} onChange={(e) => setMetric(e.target.value)} className={inputClass}>
+                <option value="share">Share of videos per week</option>
+                {metrics.map(key => <option key={key} value={key}>{getFeatureLabel(key)} (weekly mean)</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              Recent window
+              <input
+                type="number"
+                min={1}
+                max={52}
+                value={settings.recentWeeks}
+                onChange={(e) => onSettingsChange({ recentWeeks: Math.min(52, Math.max(1, Math.floor(Number(e.target.value) || 1))) })}
+                className={`${inputClass} w-16`}
+              />
+              weeks
+            </label>
+            <span className="text-slate-500">
+              {timeline.length} weeks · {dated} of {total} videos dated
+            </span>
+          </div>
+
+          {timeline.length > 0 && (
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={timeline}>
+                <XAxis dataKey="week" stroke="#94a3b8" tick={{ fontSize: 11 }} />
+                <YAxis
+                  stroke="#94a3b8"
+                  tickFormatter={(value) => (activeMetric === 'share' ? `${Math.round(value * 100)}%` : formatFeatureValue(activeMetric, value))}
+                />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569' }}
+                  labelStyle={{ color: '#f1f5f9' }}
+                  labelFormatter={(week) => `Week of ${week}`}
+                  formatter={formatValue}
+                />
+                <Legend />
+                {clusterStats.map((stats, idx) => (
+                  <Line
+                    key={stats.cluster}
+                    type="monotone"
+                    dataKey={timelineKey(stats.cluster)}
+                    name={names[stats.cluster] ? `${stats.cluster} · ${names[stats.cluster]}` : `Cluster ${stats.cluster}`}
+                    stroke={getColor(idx)}
+                    dot={false}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+
+          <div className="mt-4">
+            <p className="text-xs text-slate-400 mb-2">
+              Trend token suggestions come from terms in these columns that appear in a larger share of a cluster&apos;s videos in the
+              last {settings.recentWeeks} weeks than before. Accept them on the cluster cards.
+            </p>
+            {textOptions.length === 0 ? (
+              <p className="text-xs text-slate-500">No title, tag or hashtag columns found.</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {textOptions.map(col => (
+                  <button
+                    key={col}
+                    onClick={() => toggleText(col)}
+                    className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                      settings.textColumns.includes(col) ? 'bg-cyan-700/40 border-cyan-500' : 'bg-slate-900 border-slate-700 text-slate-400'
+                    }`}
+                  >
+                    {col}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
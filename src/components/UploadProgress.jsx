@@ -0,0 +1,25 @@
+import React from 'react';
+import { Loader2, X } from 'lucide-react';
+
+// parsing: { fileName, loaded, total, rows } while a CSV streams in
+export default function UploadProgress({ parsing, onCancel }) {
+  const percent = parsing.total > 0 ? Math.round((parsing.loaded / parsing.total) * 100) : 0;
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between gap-2 text-xs text-slate-300 mb-1">
+        <span className="flex items-center gap-1 truncate">
+          <Loader2 className="w-3 h-3 animate-spin" />
+          Parsing {parsing.fileName} · {parsing.rows.toLocaleString()} rows · {percent}%
+        </span>
+        <button onClick={onCancel} className="flex items-center gap-1 text-slate-400 hover:text-red-400">
+          <X className="w-3 h-3" />
+          Cancel
+        </button>
+      </div>
+      <div className="h-1.5 bg-slate-900 rounded-full overflow-hidden">
+        <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+}
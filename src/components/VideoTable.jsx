@@ -0,0 +1,179 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronDown, ChevronRight, Pin, ArrowUp, ArrowDown } from 'lucide-react';
+
+const PAGE_SIZE = 50;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(3);
+  return String(value);
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+function SortHeader({ sortKey, sort, onSort, children }) {
+  return (
+    <th
+      onClick={() => onSort(sortKey)}
+      className="px-2 py-1 text-left font-medium text-slate-400 cursor-pointer hover:text-white whitespace-nowrap select-none"
+    >
+      <span className="inline-flex items-center gap-1">
+        {children}
+        {sort.key === sortKey && (sort.dir === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+      </span>
+    </th>
+  );
+}
+
+// videos: [{ id, row, distance, outlier }]; moveTargets: other clusters a video can be moved to
+export default function VideoTable({ videos, columns, pinnedIds, onTogglePin, moveTargets = [], onMove }) {
+  const [expanded, setExpanded] = useState(false);
+  const [sort, setSort] = useState({ key: '__distance', dir: 'desc' });
+  const [filter, setFilter] = useState('');
+  const [outliersOnly, setOutliersOnly] = useState(false);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+
+  const outlierCount = videos.filter(v => v.outlier).length;
+
+  const toggleSort = (key) => {
+    setSort(prev => (prev.key === key ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'asc' }));
+  };
+
+  // Filtering and sorting every video is wasted work while the table is collapsed
+  const rows = useMemo(() => {
+    if (!expanded) return [];
+    const valueOf = (video, key) => {
+      if (key === '__distance') return video.distance;
+      if (key === '__pinned') return pinnedIds.includes(video.id) ? 0 : 1;
+      return video.row[key];
+    };
+    const needle = filter.trim().toLowerCase();
+    return videos
+      .filter(v => !outliersOnly || v.outlier)
+      .filter(v => !needle || columns.some(col => String(v.row[col] ?? '').toLowerCase().includes(needle)))
+      .sort((a, b) => {
+        const result = compare(valueOf(a, sort.key), valueOf(b, sort.key));
+        return sort.dir === 'asc' ? result : -result;
+      });
+  }, [expanded, videos, columns, pinnedIds, filter, outliersOnly, sort]);
+
+  const maxDistance = videos.reduce((max, v) => Math.max(max, v.distance || 0), 1e-9);
+
+  return (
+    <div className="mt-6 border-t border-slate-700 pt-4">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="flex items-center gap-2 text-sm font-medium text-slate-300 hover:text-white"
+      >
+        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        Videos ({videos.length})
+        {outlierCount > 0 && <span className="text-xs text-amber-400">· {outlierCount} far from centroid</span>}
+        {pinnedIds.length > 0 && <span className="text-xs text-purple-400">· {pinnedIds.length} pinned</span>}
+      </button>
+
+      {expanded && (
+        <div className="mt-3">
+          <div className="flex flex-wrap gap-3 items-center mb-2">
+            <input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Filter videos..."
+              className="flex-1 min-w-48 px-3 py-1.5 bg-slate-900 border border-slate-700 rounded-lg text-sm text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
+            />
+            <label className="flex items-center gap-2 text-xs text-slate-300">
+              <input type="checkbox" checked={outliersOnly} onChange={(e) => setOutliersOnly(e.target.checked)} />
+              Outliers only
+            </label>
+            <span className="text-xs text-slate-500">{rows.length} shown</span>
+          </div>
+
+          <div className="overflow-x-auto max-h-96 overflow-y-auto border border-slate-700 rounded">
+            <table className="w-full text-xs">
+              <thead className="bg-slate-900 sticky top-0">
+                <tr>
+                  <SortHeader sortKey="__pinned" sort={sort} onSort={toggleSort}>Pin</SortHeader>
+                  {onMove && <th className="px-2 py-1 text-left font-medium text-slate-400">Move</th>}
+                  <SortHeader sortKey="__distance" sort={sort} onSort={toggleSort}>Distance</SortHeader>
+                  {columns.map(col => (
+                    <SortHeader key={col} sortKey={col} sort={sort} onSort={toggleSort}>{col}</SortHeader>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, limit).map(video => {
+                  const pinned = pinnedIds.includes(video.id);
+                  return (
+                    <tr
+                      key={video.id}
+                      className={`border-t border-slate-800 ${video.outlier ? 'bg-amber-900/20' : 'hover:bg-slate-900/60'}`}
+                    >
+                      <td className="px-2 py-1">
+                        <button
+                          onClick={() => onTogglePin(video.id)}
+                          title={pinned ? 'Unpin representative example' : 'Pin as representative example'}
+                          className={`p-1 rounded ${pinned ? 'text-purple-400' : 'text-slate-600 hover:text-slate-300'}`}
+                        >
+                          <Pin className="w-3 h-3" />
+                        </button>
+                      </td>
+                      {onMove && (
+                        <td className="px-2 py-1">
+                          <select
+                            value=""
+                            onChange={(e) => onMove(video, moveTargets.find(t => String(t.cluster) === e.target.value).cluster)}
+                            title="Move this video to another cluster"
+                            className="px-1 py-0.5 bg-slate-900 border border-slate-700 rounded text-xs text-slate-300"
+                          >
+                            <option value="">→</option>
+                            {moveTargets.map(target => (
+                              <option key={target.cluster} value={String(target.cluster)}>{target.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                      )}
+                      <td className="px-2 py-1 whitespace-nowrap">
+                        <div className="flex items-center gap-2">
+                          <div className="w-12 h-1.5 bg-slate-700 rounded">
+                            <div
+                              className={`h-1.5 rounded ${video.outlier ? 'bg-amber-400' : 'bg-blue-500'}`}
+                              style={{ width: `${((video.distance || 0) / maxDistance) * 100}%` }}
+                            />
+                          </div>
+                          <span className={video.outlier ? 'text-amber-400' : 'text-slate-300'}>
+                            {video.distance === null ? '—' : video.distance.toFixed(2)}
+                          </span>
+                        </div>
+                      </td>
+                      {columns.map(col => (
+                        <td key={col} className="px-2 py-1 text-slate-300 whitespace-nowrap">{formatCell(video.row[col])}</td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {rows.length > limit && (
+            <button
+              onClick={() => setLimit(limit + PAGE_SIZE)}
+              className="mt-2 text-xs text-blue-400 hover:text-blue-300"
+            >
+              Show {Math.min(PAGE_SIZE, rows.length - limit)} more
+            </button>
+          )}
+          <p className="mt-2 text-xs text-slate-500">
+            Distance is measured to the cluster centroid in standardized metric space; highlighted rows lie beyond p75 + 1.5×IQR.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
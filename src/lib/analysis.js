@@ -0,0 +1,177 @@
+// The analysis behind the cluster cards and generation specs, as pure functions
+// of the cluster stats (groupClusterStats() in ./stats) and the current settings:
+// radar normalization, characteristic labels, the suggested approach and the spec.
+
+import { getFeatureLabel, isFiniteNumber } from './features';
+import { extent, getRange } from './stats';
+import { suggestFromRules, characteristicsFromRules } from './rules';
+import { adjustConfidence } from './quality';
+import { SPEC_SCHEMA_VERSION } from './specSchema';
+
+// Average of a metric for a cluster, or undefined when it isn't selected or has no values
+export const metricAvg = (stats, key) => stats.metrics[key]?.avg ?? undefined;
+
+// Position of value between min and max on 0-100; a metric where every cluster
+// has the same average can't rank them, so it sits in the middle
+export const normalize = (value, min, max) => (max === min ? 50 : ((value - min) / (max - min)) * 100);
+
+// Radar values per cluster: { [cluster]: [{ key, metric, value, missing }] } in features
+// order, each value the cluster's average normalized across all clusters. A cluster
+// without values for a metric is drawn at 0 and flagged missing.
+export const radarProfiles = (clusterStats, features) => {
+  const ranges = Object.fromEntries(features.map(key => [key, extent(clusterStats.map(s => metricAvg(s, key)))]));
+  return Object.fromEntries(clusterStats.map(stats => [stats.cluster, features.map(key => {
+    const value = metricAvg(stats, key);
+    return {
+      key,
+      metric: getFeatureLabel(key),
+      value: isFiniteNumber(value) ? normalize(value, ...ranges[key]) : 0,
+      missing: !isFiniteNumber(value)
+    };
+  })]));
+};
+
+// Radar values keyed by metric, the "normalized" scale rules are written against.
+// Missing metrics are left out so rules on them don't match, as for raw values.
+export const normalizedMetrics = (profile) => Object.fromEntries(profile.filter(d => !d.missing).map(d => [d.key, d.value]));
+
+export const clusterCharacteristics = (stats, normalized, rules) =>
+  characteristicsFromRules(rules, stats, normalized).join(' • ');
+
+// quality: the cluster's computeClusterQuality() entry; with adjustForQuality a weak
+// cluster's confidence drops one step
+export const suggestApproach = (stats, normalized, { rules, quality, adjustForQuality = false }) => {
+  const suggestion = suggestFromRules(rules, stats, normalized);
+  const confidence = adjustForQuality ? adjustConfidence(suggestion.confidence, quality) : suggestion.confidence;
+  if (confidence === suggestion.confidence) return suggestion;
+  return { ...suggestion, confidence, reason: `${suggestion.reason} (lowered: weak cluster)` };
+};
+
+const VARIATION_STRATEGIES = {
+  'image-conditioned': 'vary_seed_image',
+  'motion-focused': 'vary_motion_parameters'
+};
+
+const GENERATION_NOTES = {
+  'image-conditioned': 'Use representative frames from cluster as seed images. Apply trend tokens to text conditioning.',
+  'motion-focused': 'Emphasize camera movement and subject motion. Trend tokens can guide motion style variations.'
+};
+
+const round4 = (value) => Number(value.toFixed(4));
+const finiteOrNull = (value) => (Number.isFinite(value) ? round4(value) : null);
+
+// Generation spec for one cluster. examples: pinned videos as { id, distance, row };
+// quality (with the suggestion's confidence) is only written when given.
+export const buildSpec = (stats, approach, {
+  features, rangeBasis, tokens = [], examples = [], name, quality = null, confidence
+}) => {
+  const motion = stats.metrics.motion_mean;
+  const cutRate = stats.metrics.cut_rate_per_min;
+  const visualDensity = metricAvg(stats, 'visual_density');
+  const audioVolume = metricAvg(stats, 'audio_rms_mean');
+  const audioVariance = metricAvg(stats, 'audio_rms_std');
+
+  // Each profile only carries the fields whose metrics are selected
+  const baseComponents = {};
+  if (visualDensity !== undefined) {
+    baseComponents.visual_style = {
+      visual_complexity: visualDensity > 0.6 ? 'high' : visualDensity > 0.3 ? 'medium' : 'low',
+      detail_level: visualDensity > 0.5 ? 'detailed' : 'simplified',
+      consistency: 'within_cluster_variance'
+    };
+  }
+
+  const motionProfile = {};
+  if (isFiniteNumber(motion?.avg)) {
+    motionProfile.camera_movement = motion.avg > 0.6 ? 'dynamic' : motion.avg > 0.3 ? 'moderate' : 'static';
+    motionProfile.motion_intensity = Math.round(motion.avg * 10);
+    const [lo, hi] = getRange(motion, rangeBasis);
+    motionProfile.motion_range = `${lo.toFixed(2)} - ${hi.toFixed(2)}`;
+  }
+  if (isFiniteNumber(cutRate?.avg)) {
+    motionProfile.pacing = cutRate.avg > 120 ? 'fast' : cutRate.avg > 60 ? 'medium' : 'slow';
+    motionProfile.cuts_per_minute = Math.round(cutRate.avg);
+    const [lo, hi] = getRange(cutRate, rangeBasis);
+    motionProfile.cut_rate_range = `${Math.round(lo)} - ${Math.round(hi)}`;
+  }
+  if (Object.keys(motionProfile).length > 0) {
+    motionProfile.range_basis = rangeBasis;
+    baseComponents.motion_profile = motionProfile;
+  }
+
+  const audioProfile = {};
+  if (audioVolume !== undefined) {
+    audioProfile.volume_level = audioVolume > 0.5 ? 'high' : audioVolume > 0.25 ? 'medium' : 'low';
+  }
+  if (audioVariance !== undefined) {
+    audioProfile.dynamic_range = audioVariance > 0.3 ? 'high' : audioVariance > 0.15 ? 'medium' : 'low';
+  }
+  if (audioVolume !== undefined) audioProfile.audio_rms_mean = audioVolume.toFixed(3);
+  if (audioVariance !== undefined) audioProfile.audio_rms_std = audioVariance.toFixed(3);
+  if (Object.keys(audioProfile).length > 0) baseComponents.audio_profile = audioProfile;
+
+  const featureProfile = {};
+  features.forEach(key => {
+    const metric = stats.metrics[key];
+    if (!metric || metric.count === 0) return;
+    featureProfile[key] = {
+      label: getFeatureLabel(key),
+      mean: round4(metric.avg),
+      median: round4(metric.median),
+      std: round4(metric.std),
+      min: round4(metric.min),
+      p10: round4(metric.p10),
+      p25: round4(metric.p25),
+      p75: round4(metric.p75),
+      p90: round4(metric.p90),
+      max: round4(metric.max),
+      range: getRange(metric, rangeBasis).map(round4)
+    };
+  });
+
+  const spec = {
+    schema_version: SPEC_SCHEMA_VERSION,
+    cluster_id: stats.cluster,
+    generation_approach: approach,
+
+    base_prompt_components: baseComponents,
+
+    feature_profile: featureProfile,
+
+    representative_examples: examples.map(video => ({
+      video_id: video.id,
+      distance_to_centroid: video.distance === null ? null : round4(video.distance),
+      attributes: video.row
+    })),
+
+    trend_tokens: {
+      enabled: tokens.length > 0,
+      tokens,
+      usage_note: 'Optional 1-3 word modifiers appended to base prompt to reflect current trends within cluster',
+      application_strategy: 'Randomly select 0-2 tokens per generation for variance'
+    },
+
+    constraints: {
+      sample_count: stats.count,
+      variation_strategy: VARIATION_STRATEGIES[approach] || 'vary_text_prompt'
+    },
+
+    generation_hints: {
+      note: GENERATION_NOTES[approach] || 'Focus on thematic and conceptual elements. Trend tokens add current flavor to base themes.'
+    }
+  };
+
+  if (name) spec.cluster_name = name;
+
+  if (quality) {
+    spec.cluster_quality = {
+      silhouette: finiteOrNull(quality.silhouette),
+      davies_bouldin: finiteOrNull(quality.daviesBouldin),
+      within_variance: finiteOrNull(quality.withinVariance),
+      weak: quality.weak,
+      suggestion_confidence: confidence
+    };
+  }
+
+  return spec;
+};
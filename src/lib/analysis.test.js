@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalize, radarProfiles, normalizedMetrics, clusterCharacteristics, suggestApproach, buildSpec, metricAvg
+} from './analysis';
+import { groupClusterStats } from './stats';
+import { DEFAULT_PRESET } from './rules';
+import { validateSpec } from './specSchema';
+import { loadFixture } from '../test/fixtures';
+
+const FEATURES = ['motion_mean', 'cut_rate_per_min', 'visual_density', 'audio_rms_mean', 'audio_rms_std'];
+const EDGE_FEATURES = ['motion_mean', 'cut_rate_per_min', 'visual_density'];
+
+const fixtureStats = (name, features) => {
+  const stats = groupClusterStats(loadFixture(name), features);
+  const profiles = radarProfiles(stats, features);
+  return stats.map(s => ({ stats: s, normalized: normalizedMetrics(profiles[s.cluster]) }));
+};
+
+const suggest = ({ stats, normalized }, options = {}) =>
+  suggestApproach(stats, normalized, { rules: DEFAULT_PRESET.approachRules, ...options });
+
+describe('normalize', () => {
+  it('maps min..max onto 0..100', () => {
+    expect(normalize(5, 0, 10)).toBe(50);
+    expect(normalize(0, 0, 10)).toBe(0);
+    expect(normalize(10, 0, 10)).toBe(100);
+  });
+
+  it('puts identical values in the middle', () => {
+    expect(normalize(0.5, 0.5, 0.5)).toBe(50);
+  });
+});
+
+describe('radarProfiles', () => {
+  it('normalizes each metric across the cluster averages', () => {
+    const [motion, density] = fixtureStats('interpretation.csv', FEATURES).map(({ normalized }) => normalized)
+      .reduce(([m, d], n) => [[...m, n.motion_mean], [...d, n.visual_density]], [[], []]);
+    expect(motion.map(v => Math.round(v))).toEqual([100, 18, 0, 27]);
+    expect(density.map(v => Math.round(v))).toEqual([0, 100, 0, 25]);
+  });
+
+  it('returns 50 for a metric every cluster shares', () => {
+    fixtureStats('edge-cases.csv', EDGE_FEATURES).forEach(({ normalized }) => {
+      expect(normalized.motion_mean).toBe(50);
+    });
+  });
+
+  it('gives 0 to a cluster without values for a metric', () => {
+    const stats = groupClusterStats([
+      { cluster: 0, motion_mean: 0.2 },
+      { cluster: 1, motion_mean: 'n/a' },
+      { cluster: 2, motion_mean: 0.8 }
+    ], ['motion_mean']);
+    const profiles = radarProfiles(stats, ['motion_mean']);
+    expect(profiles[1]).toEqual([{ key: 'motion_mean', metric: expect.any(String), value: 0, missing: true }]);
+    expect(profiles[2][0]).toMatchObject({ value: 100, missing: false });
+    expect(normalizedMetrics(profiles[1])).toEqual({});
+  });
+
+  it('handles a single cluster', () => {
+    const stats = groupClusterStats([{ cluster: 4, motion_mean: 0.3 }], ['motion_mean']);
+    expect(radarProfiles(stats, ['motion_mean'])[4][0].value).toBe(50);
+  });
+});
+
+describe('suggestApproach with the default rules', () => {
+  // Guards the default thresholds: a change here flips real clusters' approaches
+  it('keeps the fixture clusters on their expected approaches', () => {
+    const suggestions = fixtureStats('interpretation.csv', FEATURES).map(entry => {
+      const { approach, confidence } = suggest(entry);
+      return [entry.stats.cluster, approach, confidence];
+    });
+    expect(suggestions).toEqual([
+      [0, 'motion-focused', 'high'],
+      [1, 'image-conditioned', 'high'],
+      [2, 'text-driven', 'medium'],
+      [3, 'text-driven', 'low']
+    ]);
+  });
+
+  it('lowers confidence for a weak cluster only when asked to', () => {
+    const [motion] = fixtureStats('interpretation.csv', FEATURES);
+    const weak = { weak: true };
+    expect(suggest(motion, { quality: weak }).confidence).toBe('high');
+    const lowered = suggest(motion, { quality: weak, adjustForQuality: true });
+    expect(lowered.confidence).toBe('medium');
+    expect(lowered.reason).toMatch(/lowered: weak cluster/);
+  });
+
+  it('falls back to text-driven when metrics are missing', () => {
+    const stats = groupClusterStats([{ cluster: 0, motion_mean: NaN }], ['motion_mean']);
+    const normalized = normalizedMetrics(radarProfiles(stats, ['motion_mean'])[0]);
+    expect(suggest({ stats: stats[0], normalized })).toMatchObject({ approach: 'text-driven', confidence: 'low' });
+  });
+});
+
+describe('clusterCharacteristics', () => {
+  it('joins every matching label', () => {
+    const labels = fixtureStats('interpretation.csv', FEATURES)
+      .map(({ stats, normalized }) => clusterCharacteristics(stats, normalized, DEFAULT_PRESET.characteristicRules));
+    expect(labels[0]).toBe('High Motion • Fast Cuts');
+    expect(labels[1]).toBe('Medium Motion • Medium Pacing • Visually Dense');
+    expect(labels[2]).toBe('Medium Motion • Medium Pacing • Loud Audio');
+  });
+
+  it('is empty when no metric has values', () => {
+    const stats = groupClusterStats([{ cluster: 0, motion_mean: 'n/a' }], ['motion_mean']);
+    expect(clusterCharacteristics(stats[0], {}, DEFAULT_PRESET.characteristicRules)).toBe('');
+  });
+});
+
+describe('buildSpec', () => {
+  const context = { features: FEATURES, rangeBasis: 'minmax' };
+
+  it('builds a schema-valid spec for each fixture cluster', () => {
+    fixtureStats('interpretation.csv', FEATURES).forEach(entry => {
+      const spec = buildSpec(entry.stats, suggest(entry).approach, context);
+      expect(validateSpec(spec)).toEqual([]);
+      expect(spec.cluster_id).toBe(entry.stats.cluster);
+      expect(spec.constraints.sample_count).toBe(3);
+    });
+  });
+
+  it('describes a motion-focused cluster', () => {
+    const [motion] = fixtureStats('interpretation.csv', FEATURES);
+    const spec = buildSpec(motion.stats, 'motion-focused', { ...context, tokens: ['neon'], name: 'Action' });
+    expect(spec.base_prompt_components.motion_profile).toMatchObject({
+      camera_movement: 'dynamic', motion_intensity: 9, pacing: 'fast', cuts_per_minute: 160, cut_rate_range: '150 - 170', range_basis: 'minmax'
+    });
+    expect(spec.constraints.variation_strategy).toBe('vary_motion_parameters');
+    expect(spec.trend_tokens).toMatchObject({ enabled: true, tokens: ['neon'] });
+    expect(spec.cluster_name).toBe('Action');
+    expect(spec.feature_profile.motion_mean).toMatchObject({ mean: 0.85, min: 0.8, max: 0.9, range: [0.8, 0.9] });
+  });
+
+  it('writes a single-video cluster with zero spread and a collapsed range', () => {
+    const solo = fixtureStats('edge-cases.csv', EDGE_FEATURES).find(({ stats }) => stats.count === 1);
+    const spec = buildSpec(solo.stats, 'text-driven', { ...context, features: EDGE_FEATURES });
+    expect(validateSpec(spec)).toEqual([]);
+    expect(spec.feature_profile.cut_rate_per_min).toMatchObject({ mean: 30, std: 0, range: [30, 30] });
+    expect(spec.base_prompt_components.motion_profile.cut_rate_range).toBe('30 - 30');
+  });
+
+  it('leaves out metrics without values instead of writing NaN', () => {
+    const stats = groupClusterStats([{ cluster: 0, motion_mean: NaN, visual_density: 0.7 }], ['motion_mean', 'visual_density']);
+    const spec = buildSpec(stats[0], 'image-conditioned', { features: ['motion_mean', 'visual_density'], rangeBasis: 'minmax' });
+    expect(metricAvg(stats[0], 'motion_mean')).toBeUndefined();
+    expect(spec.feature_profile.motion_mean).toBeUndefined();
+    expect(spec.base_prompt_components.motion_profile).toBeUndefined();
+    expect(spec.base_prompt_components.visual_style.visual_complexity).toBe('high');
+    expect(JSON.stringify(spec)).not.toMatch(/NaN|null/);
+    expect(validateSpec(spec)).toEqual([]);
+  });
+
+  it('adds cluster quality only when given', () => {
+    const [motion] = fixtureStats('interpretation.csv', FEATURES);
+    expect(buildSpec(motion.stats, 'motion-focused', context).cluster_quality).toBeUndefined();
+    const spec = buildSpec(motion.stats, 'motion-focused', {
+      ...context, quality: { silhouette: 0.81234567, daviesBouldin: Infinity, withinVariance: 0.1, weak: false }, confidence: 'high'
+    });
+    expect(spec.cluster_quality).toEqual({
+      silhouette: 0.8123, davies_bouldin: null, within_variance: 0.1, weak: false, suggestion_confidence: 'high'
+    });
+  });
+
+  it('turns pinned videos into representative examples', () => {
+    const [motion] = fixtureStats('interpretation.csv', FEATURES);
+    const row = motion.stats.videos[0];
+    const spec = buildSpec(motion.stats, 'motion-focused', { ...context, examples: [{ id: 'm1', distance: 0.123456, row }] });
+    expect(spec.representative_examples).toEqual([{ video_id: 'm1', distance_to_centroid: 0.1235, attributes: row }]);
+  });
+});
@@ -0,0 +1,90 @@
+// Manual edits on top of the loaded cluster assignments: merge clusters, split
+// one by a metric threshold, rename, and move single videos. Edits are kept as
+// an ordered list and replayed on the joined rows, so undo/redo is just moving
+// the last edit between `edits` and `undone`.
+
+import { isFiniteNumber, getFeatureLabel } from './features';
+import { getVideoId } from './distance';
+
+export const EMPTY_EDIT_HISTORY = { edits: [], undone: [] };
+
+const sameCluster = (a, b) => String(a) === String(b);
+
+// Next free numeric label, for clusters created by a split
+export const nextClusterId = (clusters) => {
+  const numeric = clusters.map(Number).filter(Number.isFinite);
+  let next = numeric.length > 0 ? Math.floor(numeric.reduce((max, c) => Math.max(max, c), -Infinity)) + 1 : clusters.length;
+  while (clusters.some(c => sameCluster(c, next))) next++;
+  return next;
+};
+
+// rows: joined rows with a `cluster` column. Returns { rows, ids, names } where
+// ids[i] is the video ID of rows[i] and names maps cluster → analyst-given name.
+// Rows an edit touches are copied; the rest are passed through unchanged.
+export const applyClusterEdits = (rows, edits, idColumn) => {
+  const ids = rows.map(row => getVideoId(row, idColumn));
+  let current = rows;
+  const names = {};
+
+  edits.forEach(edit => {
+    if (edit.type === 'rename') {
+      if (edit.name) names[edit.cluster] = edit.name;
+      else delete names[edit.cluster];
+      return;
+    }
+
+    let relabel = () => null;
+    if (edit.type === 'merge') {
+      relabel = (row) => (edit.clusters.some(c => sameCluster(c, row.cluster)) ? edit.into : null);
+      edit.clusters.filter(c => !sameCluster(c, edit.into)).forEach(c => { delete names[c]; });
+    } else if (edit.type === 'split') {
+      relabel = (row) => (
+        sameCluster(row.cluster, edit.cluster) && isFiniteNumber(row[edit.feature]) && row[edit.feature] > edit.threshold
+          ? edit.into
+          : null
+      );
+    } else if (edit.type === 'move') {
+      const moved = new Set(edit.videos);
+      relabel = (row, i) => (moved.has(ids[i]) ? edit.to : null);
+    }
+
+    current = current.map((row, i) => {
+      const cluster = relabel(row, i);
+      return cluster === null || sameCluster(cluster, row.cluster) ? row : { ...row, cluster };
+    });
+  });
+
+  return { rows: current, ids, names };
+};
+
+export const describeEdit = (edit) => {
+  switch (edit.type) {
+    case 'merge':
+      return `Merged clusters ${edit.clusters.join(', ')} into ${edit.into}`;
+    case 'split':
+      return `Split cluster ${edit.cluster}: ${getFeatureLabel(edit.feature)} > ${edit.threshold} → cluster ${edit.into}`;
+    case 'rename':
+      return edit.name ? `Named cluster ${edit.cluster} "${edit.name}"` : `Cleared the name of cluster ${edit.cluster}`;
+    case 'move':
+      return edit.videos.length === 1
+        ? `Moved ${edit.videos[0]} from cluster ${edit.from} to ${edit.to}`
+        : `Moved ${edit.videos.length} videos to cluster ${edit.to}`;
+    default:
+      return `Unknown edit ${edit.type}`;
+  }
+};
+
+export const pushEdit = (history, edit) => ({
+  edits: [...history.edits, { ...edit, at: new Date().toISOString() }],
+  undone: []
+});
+
+export const undoEdit = (history) => (history.edits.length === 0 ? history : {
+  edits: history.edits.slice(0, -1),
+  undone: [history.edits[history.edits.length - 1], ...history.undone]
+});
+
+export const redoEdit = (history) => (history.undone.length === 0 ? history : {
+  edits: [...history.edits, history.undone[0]],
+  undone: history.undone.slice(1)
+});
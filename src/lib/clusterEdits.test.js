@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { applyClusterEdits } from './clusterEdits';
+import { applySchema, suggestMapping, defaultPolicies } from './schema';
+import { getVideoId } from './distance';
+import { groupClusterStats } from './stats';
+
+// No ID column: videos are known by the row key they got at upload
+const upload = () => {
+  const rows = [
+    { cluster: 0, motion_mean: 0.1, title: 'a' },
+    { cluster: 0, motion_mean: 0.2, title: 'b' },
+    { cluster: 1, motion_mean: 0.3, title: 'c' },
+    { cluster: 1, motion_mean: 0.4, title: 'd' }
+  ];
+  return applySchema(rows, suggestMapping(Object.keys(rows[0])), defaultPolicies()).rows;
+};
+
+const idsByCluster = (rows) => Object.fromEntries(groupClusterStats(rows, ['motion_mean'])
+  .map(stats => [stats.cluster, stats.videos.map(row => `${getVideoId(row, null)}:${row.title}`)]));
+
+describe('applyClusterEdits without an ID column', () => {
+  it('keys rows by their place in the upload, not in their cluster', () => {
+    expect(idsByCluster(upload())).toEqual({ 0: ['row-1:a', 'row-2:b'], 1: ['row-3:c', 'row-4:d'] });
+  });
+
+  it('keeps every video on its ID through moves and merges', () => {
+    const { rows } = applyClusterEdits(upload(), [
+      { type: 'move', videos: ['row-4'], from: 1, to: 0 },
+      { type: 'merge', clusters: [0, 1], into: 1 },
+      { type: 'split', cluster: 1, feature: 'motion_mean', threshold: 0.25, into: 2 }
+    ], null);
+    expect(idsByCluster(rows)).toEqual({ 1: ['row-1:a', 'row-2:b'], 2: ['row-3:c', 'row-4:d'] });
+  });
+
+  it('moves the video a pin refers to after earlier moves', () => {
+    const { rows } = applyClusterEdits(upload(), [
+      { type: 'move', videos: ['row-1'], from: 0, to: 1 },
+      { type: 'move', videos: ['row-3'], from: 1, to: 0 }
+    ], null);
+    expect(idsByCluster(rows)).toEqual({ 0: ['row-2:b', 'row-3:c'], 1: ['row-1:a', 'row-4:d'] });
+  });
+
+  it('does not add the key as a column', () => {
+    expect(Object.keys(upload()[0])).toEqual(['cluster', 'motion_mean', 'title']);
+    expect(JSON.stringify(upload()[0])).not.toMatch(/row-/);
+  });
+});
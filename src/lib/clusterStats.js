@@ -0,0 +1,48 @@
+// Per-cluster stats and cluster quality for large uploads, computed off the main
+// thread in a Web Worker wherever workers exist. Only the cluster codes and
+// feature values travel to the worker; the rows stay here and are put back on
+// the result.
+
+import { toClusterColumns, summarizeClusters, attachVideos } from './stats';
+
+// groupClusterStats() over features, plus computeClusterQuality() over the
+// qualityFeatures among them, in a worker, falling back to the main thread
+// without one. Returns { promise, cancel }; promise resolves to { stats, quality },
+// or null when cancelled.
+export const computeClusterStats = (rows, features, qualityFeatures = features) => {
+  const columns = toClusterColumns(rows, features);
+  const qualityIndexes = qualityFeatures.map(key => features.indexOf(key));
+
+  if (typeof Worker === 'undefined') {
+    let cancelled = false;
+    const promise = Promise.resolve().then(() => {
+      if (cancelled) return null;
+      const { stats, quality } = summarizeClusters(columns, features, qualityIndexes);
+      return { stats: attachVideos(stats, rows), quality };
+    });
+    return { promise, cancel: () => { cancelled = true; } };
+  }
+
+  const worker = new Worker(new URL('./clusterStats.worker.js', import.meta.url), { type: 'module' });
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    worker.onmessage = ({ data: message }) => {
+      worker.terminate();
+      if (message.type === 'complete') resolve({ stats: attachVideos(message.stats, rows), quality: message.quality });
+      else reject(new Error(message.message));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Cluster stats worker failed'));
+    };
+  });
+  // The columns are only needed by the worker, so their buffers move rather than copy
+  worker.postMessage({ columns, features, qualityIndexes }, [columns.codes.buffer, ...columns.values.map(column => column.buffer)]);
+
+  const cancel = () => {
+    worker.terminate();
+    settle.resolve(null);
+  };
+  return { promise, cancel };
+};
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { computeClusterStats } from './clusterStats';
+import { groupClusterStats, pickMetrics, toClusterColumns } from './stats';
+import { computeClusterQuality } from './quality';
+import { loadFixture } from '../test/fixtures';
+
+const FEATURES = ['motion_mean', 'cut_rate_per_min', 'visual_density'];
+
+// Node has no Worker, so this covers the main-thread fallback and the shared summary
+describe('computeClusterStats', () => {
+  it('resolves the same stats as groupClusterStats, with the original rows as videos', async () => {
+    const rows = loadFixture('edge-cases.csv');
+    const { stats } = await computeClusterStats(rows, FEATURES).promise;
+    expect(stats).toEqual(groupClusterStats(rows, FEATURES));
+    expect(stats[1].videos[0]).toBe(rows[1]);
+  });
+
+  it('resolves the cluster quality over the quality features only', async () => {
+    const rows = loadFixture('interpretation.csv');
+    const { quality } = await computeClusterStats(rows, FEATURES, ['motion_mean']).promise;
+    expect(quality).toEqual(computeClusterQuality(toClusterColumns(rows, ['motion_mean']), [0, 1, 2, 3]));
+  });
+
+  it('resolves null once cancelled', async () => {
+    const job = computeClusterStats(loadFixture('interpretation.csv'), FEATURES);
+    job.cancel();
+    expect(await job.promise).toBeNull();
+  });
+});
+
+describe('pickMetrics', () => {
+  it('keeps the requested metrics and leaves ones not computed empty', () => {
+    const [stats] = pickMetrics(groupClusterStats(loadFixture('interpretation.csv'), FEATURES), ['visual_density', 'audio_rms_mean']);
+    expect(Object.keys(stats.metrics)).toEqual(['visual_density', 'audio_rms_mean']);
+    expect(stats.metrics.audio_rms_mean).toMatchObject({ count: 0, avg: null });
+    expect(stats.count).toBe(3);
+  });
+});
@@ -0,0 +1,14 @@
+// Summarizes one set of cluster columns per message: { columns, features,
+// qualityIndexes } in, a single complete or error message out. Each cluster's
+// row indexes go back as transferred buffers.
+
+import { summarizeClusters } from './stats';
+
+self.onmessage = ({ data: { columns, features, qualityIndexes } }) => {
+  try {
+    const { stats, quality } = summarizeClusters(columns, features, qualityIndexes);
+    self.postMessage({ type: 'complete', stats, quality }, stats.map(entry => entry.indexes.buffer));
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,216 @@
+// In-browser clustering of the interpretation rows: k-means (k-means++ seeding,
+// several restarts) and Ward agglomerative clustering, plus the k sweep behind
+// the elbow/silhouette chart.
+
+import { isFiniteNumber } from './features';
+import { createRandom } from './random';
+import { meanSilhouette } from './quality';
+
+// Ward keeps an n×n distance matrix, so it's limited to smaller datasets
+export const MAX_AGGLOMERATIVE_POINTS = 1000;
+
+export const CLUSTERING_METHODS = {
+  kmeans: { label: 'k-means' },
+  ward: { label: 'Agglomerative (Ward)' }
+};
+
+const squaredDistance = (p, q) => {
+  let sum = 0;
+  for (let i = 0; i < p.length; i++) sum += (p[i] - q[i]) ** 2;
+  return sum;
+};
+
+// Rows → points; missing values take the feature mean. standardize=true uses z-scores.
+export const buildPoints = (rows, features, standardize) => {
+  const stats = features.map(key => {
+    const values = rows.map(row => row[key]).filter(isFiniteNumber);
+    const mean = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    const variance = values.length > 1 ? values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (values.length - 1) : 0;
+    return { mean, std: Math.sqrt(variance) || 1 };
+  });
+  return rows.map(row => features.map((key, i) => {
+    const value = isFiniteNumber(row[key]) ? row[key] : stats[i].mean;
+    return standardize ? (value - stats[i].mean) / stats[i].std : value;
+  }));
+};
+
+// Labels renumbered 0..k-1 by descending cluster size, so reruns read the same way
+const relabelBySize = (labels) => {
+  const counts = new Map();
+  labels.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+  const order = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a - b);
+  const rename = new Map(order.map((label, i) => [label, i]));
+  return labels.map(label => rename.get(label));
+};
+
+const kmeansPlusPlus = (points, k, random) => {
+  const centroids = [points[Math.floor(random() * points.length)]];
+  const nearest = points.map(p => squaredDistance(p, centroids[0]));
+  while (centroids.length < k) {
+    const total = nearest.reduce((a, b) => a + b, 0);
+    let target = random() * total;
+    let index = 0;
+    while (index < points.length - 1 && target >= nearest[index]) {
+      target -= nearest[index];
+      index++;
+    }
+    // All remaining points coincide with a centroid: fall back to a random one
+    const next = total > 0 ? points[index] : points[Math.floor(random() * points.length)];
+    centroids.push(next);
+    points.forEach((p, i) => { nearest[i] = Math.min(nearest[i], squaredDistance(p, next)); });
+  }
+  return centroids.map(c => [...c]);
+};
+
+const lloyd = (points, initial, maxIterations) => {
+  const k = initial.length;
+  const dims = points[0].length;
+  let centroids = initial;
+  const labels = new Array(points.length).fill(0);
+  let iterations = 0;
+
+  for (; iterations < maxIterations; iterations++) {
+    let changed = iterations === 0;
+    points.forEach((p, i) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let c = 0; c < k; c++) {
+        const d = squaredDistance(p, centroids[c]);
+        if (d < bestDistance) {
+          bestDistance = d;
+          best = c;
+        }
+      }
+      if (labels[i] !== best) changed = true;
+      labels[i] = best;
+    });
+    if (!changed) break;
+
+    const sums = Array.from({ length: k }, () => new Array(dims).fill(0));
+    const counts = new Array(k).fill(0);
+    points.forEach((p, i) => {
+      counts[labels[i]]++;
+      p.forEach((v, d) => { sums[labels[i]][d] += v; });
+    });
+    // An emptied cluster keeps its previous centroid
+    centroids = sums.map((sum, c) => (counts[c] > 0 ? sum.map(v => v / counts[c]) : centroids[c]));
+  }
+
+  const inertia = points.reduce((sum, p, i) => sum + squaredDistance(p, centroids[labels[i]]), 0);
+  return { labels, centroids, inertia, iterations };
+};
+
+// Best of `restarts` runs by inertia
+export const kmeans = (points, k, { seed = 42, restarts = 4, maxIterations = 100 } = {}) => {
+  const random = createRandom(seed);
+  let best = null;
+  for (let r = 0; r < restarts; r++) {
+    const result = lloyd(points, kmeansPlusPlus(points, k, random), maxIterations);
+    if (!best || result.inertia < best.inertia) best = result;
+  }
+  return { ...best, labels: relabelBySize(best.labels) };
+};
+
+// Ward linkage via Lance-Williams updates on squared Euclidean distances
+export const agglomerative = (points, k) => {
+  const n = points.length;
+  if (n > MAX_AGGLOMERATIVE_POINTS) throw new Error(`Agglomerative clustering is limited to ${MAX_AGGLOMERATIVE_POINTS} videos`);
+  const dist = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const d = squaredDistance(points[i], points[j]);
+      dist[i * n + j] = d;
+      dist[j * n + i] = d;
+    }
+  }
+
+  const size = new Array(n).fill(1);
+  const active = new Array(n).fill(true);
+  const members = Array.from({ length: n }, (_, i) => [i]);
+  // Cached nearest active neighbour of each cluster
+  const nearest = new Int32Array(n);
+  const nearestDistance = new Float64Array(n);
+  const refresh = (i) => {
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let j = 0; j < n; j++) {
+      if (j !== i && active[j] && dist[i * n + j] < bestDistance) {
+        bestDistance = dist[i * n + j];
+        best = j;
+      }
+    }
+    nearest[i] = best;
+    nearestDistance[i] = bestDistance;
+  };
+  for (let i = 0; i < n; i++) refresh(i);
+
+  for (let clusters = n; clusters > k; clusters--) {
+    let a = -1;
+    for (let i = 0; i < n; i++) {
+      if (active[i] && (a === -1 || nearestDistance[i] < nearestDistance[a])) a = i;
+    }
+    const b = nearest[a];
+
+    for (let j = 0; j < n; j++) {
+      if (!active[j] || j === a || j === b) continue;
+      const total = size[a] + size[b] + size[j];
+      const d = ((size[a] + size[j]) * dist[a * n + j] + (size[b] + size[j]) * dist[b * n + j] - size[j] * dist[a * n + b]) / total;
+      dist[a * n + j] = d;
+      dist[j * n + a] = d;
+    }
+    active[b] = false;
+    size[a] += size[b];
+    members[a] = members[a].concat(members[b]);
+    members[b] = [];
+
+    for (let i = 0; i < n; i++) {
+      if (!active[i]) continue;
+      if (i === a || nearest[i] === a || nearest[i] === b) refresh(i);
+      else if (dist[i * n + a] < nearestDistance[i]) {
+        nearest[i] = a;
+        nearestDistance[i] = dist[i * n + a];
+      }
+    }
+  }
+
+  const labels = new Array(n).fill(0);
+  let next = 0;
+  members.forEach(group => {
+    if (group.length === 0) return;
+    group.forEach(i => { labels[i] = next; });
+    next++;
+  });
+  return { labels: relabelBySize(labels) };
+};
+
+export const runClustering = (points, k, method, options) =>
+  (method === 'ward' ? agglomerative(points, k) : kmeans(points, k, options));
+
+// Inertia (within-cluster sum of squares) and mean silhouette for one k
+export const scoreClustering = (points, labels) => {
+  const k = labels.reduce((max, label) => Math.max(max, label), 0) + 1;
+  const centroids = Array.from({ length: k }, () => new Array(points[0].length).fill(0));
+  const counts = new Array(k).fill(0);
+  points.forEach((p, i) => {
+    counts[labels[i]]++;
+    p.forEach((v, d) => { centroids[labels[i]][d] += v; });
+  });
+  centroids.forEach((c, j) => c.forEach((_, d) => { c[d] /= counts[j] || 1; }));
+  const inertia = points.reduce((sum, p, i) => sum + squaredDistance(p, centroids[labels[i]]), 0);
+  return { inertia, silhouette: meanSilhouette(points, labels) };
+};
+
+// Runs and scores one clustering per k in ks, yielding between them so progress
+// can paint when this runs on the main thread. Resolves to [{ k, inertia,
+// silhouette }], or null once signal.cancelled is set.
+export const sweepClustering = async (points, ks, method, options, onProgress = () => {}, signal = {}) => {
+  const results = [];
+  for (const k of ks) {
+    if (signal.cancelled) return null;
+    onProgress(k);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const { labels } = runClustering(points, k, method, options);
+    results.push({ k, ...scoreClustering(points, labels) });
+  }
+  return results;
+};
@@ -0,0 +1,39 @@
+// The k sweep behind the elbow/silhouette chart, run off the main thread in a
+// Web Worker wherever workers exist; a run per k freezes the page on large uploads.
+
+import { sweepClustering } from './clustering';
+
+// sweepClustering() in a worker, falling back to the main thread without one.
+// Returns { promise, cancel }; promise resolves to null when cancelled.
+export const runClusteringSweep = (points, ks, method, options, onProgress = () => {}) => {
+  if (typeof Worker === 'undefined') {
+    const signal = { cancelled: false };
+    return { promise: sweepClustering(points, ks, method, options, onProgress, signal), cancel: () => { signal.cancelled = true; } };
+  }
+
+  const worker = new Worker(new URL('./clusteringSweep.worker.js', import.meta.url), { type: 'module' });
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === 'progress') {
+        onProgress(message.k);
+        return;
+      }
+      worker.terminate();
+      if (message.type === 'complete') resolve(message.results);
+      else reject(new Error(message.message));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Clustering worker failed'));
+    };
+  });
+  worker.postMessage({ points, ks, method, options });
+
+  const cancel = () => {
+    worker.terminate();
+    settle.resolve(null);
+  };
+  return { promise, cancel };
+};
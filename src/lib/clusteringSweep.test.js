@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { runClusteringSweep } from './clusteringSweep';
+
+const points = [[0, 0], [0, 0.1], [0.1, 0], [5, 5], [5, 5.1], [5.1, 5], [9, 0], [9, 0.1]];
+
+// Node has no Worker, so this covers the main-thread fallback
+describe('runClusteringSweep', () => {
+  it('scores each k in turn and reports progress', async () => {
+    const seen = [];
+    const results = await runClusteringSweep(points, [2, 3], 'kmeans', { seed: 1 }, k => seen.push(k)).promise;
+    expect(seen).toEqual([2, 3]);
+    expect(results.map(r => r.k)).toEqual([2, 3]);
+    expect(results[1].inertia).toBeLessThan(results[0].inertia);
+    expect(results[1].silhouette).toBeGreaterThan(0.8);
+  });
+
+  it('resolves null once cancelled', async () => {
+    const job = runClusteringSweep(points, [2, 3, 4], 'kmeans', { seed: 1 });
+    job.cancel();
+    expect(await job.promise).toBeNull();
+  });
+});
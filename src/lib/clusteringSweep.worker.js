@@ -0,0 +1,10 @@
+// Runs one k sweep per message: { points, ks, method, options } in, progress
+// messages and then a single complete or error message out.
+
+import { sweepClustering } from './clustering';
+
+self.onmessage = ({ data: { points, ks, method, options } }) => {
+  sweepClustering(points, ks, method, options, (k) => self.postMessage({ type: 'progress', k }))
+    .then(results => self.postMessage({ type: 'complete', results }))
+    .catch(error => self.postMessage({ type: 'error', message: error.message }));
+};
@@ -0,0 +1,100 @@
+// Compares two cluster assignments of the same videos: contingency table,
+// adjusted Rand index, normalized mutual information and which videos moved.
+// Cluster labels are arbitrary between runs, so "moved" is judged against a
+// one-to-one matching of clusters by overlap rather than by equal labels.
+
+import { joinClusterResults, detectIdColumn, getSharedColumns, idValue } from './reconcile';
+import { groupClusterStats, byLabel } from './stats';
+
+const choose2 = (n) => (n * (n - 1)) / 2;
+
+// pairs: [{ a, b }] → { rowLabels, colLabels, table, rowTotals, colTotals, n }
+export const contingencyTable = (pairs) => {
+  const rowLabels = [...new Set(pairs.map(p => String(p.a)))].sort(byLabel);
+  const colLabels = [...new Set(pairs.map(p => String(p.b)))].sort(byLabel);
+  const rowIndex = new Map(rowLabels.map((label, i) => [label, i]));
+  const colIndex = new Map(colLabels.map((label, i) => [label, i]));
+  const table = rowLabels.map(() => colLabels.map(() => 0));
+  pairs.forEach(({ a, b }) => { table[rowIndex.get(String(a))][colIndex.get(String(b))]++; });
+
+  const rowTotals = table.map(row => row.reduce((sum, v) => sum + v, 0));
+  const colTotals = colLabels.map((_, j) => table.reduce((sum, row) => sum + row[j], 0));
+  return { rowLabels, colLabels, table, rowTotals, colTotals, n: pairs.length };
+};
+
+export const adjustedRandIndex = ({ table, rowTotals, colTotals, n }) => {
+  if (n < 2) return null;
+  const index = table.reduce((sum, row) => sum + row.reduce((s, v) => s + choose2(v), 0), 0);
+  const sumRows = rowTotals.reduce((sum, v) => sum + choose2(v), 0);
+  const sumCols = colTotals.reduce((sum, v) => sum + choose2(v), 0);
+  const expected = (sumRows * sumCols) / choose2(n);
+  const max = (sumRows + sumCols) / 2;
+  // Both runs put everything in one cluster (or every video alone): identical partitions
+  if (max === expected) return 1;
+  return (index - expected) / (max - expected);
+};
+
+const entropy = (totals, n) => totals.reduce((h, v) => (v > 0 ? h - (v / n) * Math.log(v / n) : h), 0);
+
+// Normalized by the arithmetic mean of the two entropies
+export const normalizedMutualInfo = ({ table, rowTotals, colTotals, n }) => {
+  if (n === 0) return null;
+  let mutual = 0;
+  table.forEach((row, i) => row.forEach((v, j) => {
+    if (v > 0) mutual += (v / n) * Math.log((n * v) / (rowTotals[i] * colTotals[j]));
+  }));
+  const mean = (entropy(rowTotals, n) + entropy(colTotals, n)) / 2;
+  if (mean === 0) return 1;
+  return Math.max(0, Math.min(1, mutual / mean));
+};
+
+// Greedy one-to-one pairing by largest overlap; clusters left over have no counterpart
+export const matchClusters = ({ rowLabels, colLabels, table }) => {
+  const cells = [];
+  table.forEach((row, i) => row.forEach((v, j) => { if (v > 0) cells.push({ i, j, v }); }));
+  cells.sort((x, y) => y.v - x.v || x.i - y.i || x.j - y.j);
+
+  const match = {};
+  const usedCols = new Set();
+  cells.forEach(({ i, j }) => {
+    if (rowLabels[i] in match || usedCols.has(j)) return;
+    match[rowLabels[i]] = colLabels[j];
+    usedCols.add(j);
+  });
+  return match;
+};
+
+// baseRows: the current run's rows (cluster = current label); otherRows: a second
+// cluster_results/interpretation CSV with its own cluster column
+export const compareRuns = (baseRows, otherRows, preferredIdColumn, features) => {
+  const shared = getSharedColumns(baseRows, otherRows);
+  const idColumn = shared.includes(preferredIdColumn) ? preferredIdColumn : detectIdColumn(baseRows, otherRows);
+  if (!idColumn) return { error: 'No shared video ID column between the two runs' };
+
+  const { rows, report } = joinClusterResults(baseRows, otherRows, idColumn);
+  if (!report.clusterColumn) return { error: 'The second run has no cluster column' };
+  if (rows.length === 0) return { error: 'No videos appear in both runs' };
+
+  const baseCluster = new Map(baseRows.map(row => [String(idValue(row, idColumn)).trim(), row.cluster]));
+  const pairs = rows.map(row => {
+    const id = String(idValue(row, idColumn)).trim();
+    return { id, a: baseCluster.get(id), b: row.cluster, row };
+  });
+
+  const contingency = contingencyTable(pairs);
+  const match = matchClusters(contingency);
+  const moved = pairs
+    .filter(p => match[String(p.a)] !== String(p.b))
+    .map(p => ({ id: p.id, from: p.a, to: p.b, expected: match[String(p.a)] ?? null }));
+
+  return {
+    idColumn,
+    report,
+    contingency,
+    ari: adjustedRandIndex(contingency),
+    nmi: normalizedMutualInfo(contingency),
+    match,
+    moved,
+    otherStats: groupClusterStats(rows, features)
+  };
+};
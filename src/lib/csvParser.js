@@ -0,0 +1,40 @@
+// Parses uploaded CSVs off the main thread in a Web Worker wherever workers
+// exist, streaming in chunks so a progress bar can follow along.
+
+import { streamCsv } from './csvStream';
+
+// Parses a CSV file in a worker, falling back to the main thread without one.
+// Returns { promise, cancel }; promise resolves to null when cancelled.
+export const parseCsvFile = (file, onProgress = () => {}) => {
+  if (typeof Worker === 'undefined') {
+    const signal = { cancelled: false };
+    return { promise: streamCsv(file, onProgress, signal), cancel: () => { signal.cancelled = true; } };
+  }
+
+  const worker = new Worker(new URL('./csvParser.worker.js', import.meta.url), { type: 'module' });
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === 'progress') {
+        onProgress(message.progress);
+        return;
+      }
+      worker.terminate();
+      if (message.type === 'complete') resolve(message.results);
+      else reject(new Error(message.message));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'CSV worker failed'));
+    };
+  });
+  worker.postMessage({ file });
+
+  // Terminating drops whatever the worker had parsed so far
+  const cancel = () => {
+    worker.terminate();
+    settle.resolve(null);
+  };
+  return { promise, cancel };
+};
@@ -0,0 +1,10 @@
+// Parses one CSV file per message: { file } in, progress messages and then a
+// single complete or error message out.
+
+import { streamCsv } from './csvStream';
+
+self.onmessage = ({ data: { file } }) => {
+  streamCsv(file, (progress) => self.postMessage({ type: 'progress', progress }))
+    .then(results => self.postMessage({ type: 'complete', results }))
+    .catch(error => self.postMessage({ type: 'error', message: error.message }));
+};
@@ -0,0 +1,34 @@
+// Chunked CSV parsing with progress, shared by the parser worker and its
+// main-thread fallback.
+
+import Papa from 'papaparse';
+
+export const CHUNK_SIZE = 1024 * 1024;
+
+// Streams a File through Papa with the app's parse settings, calling
+// onProgress({ loaded, total, rows }) after each chunk. Resolves { data, fields, errors }
+// like Papa's complete results, or null once signal.cancelled is set.
+export const streamCsv = (file, onProgress, signal = {}) => new Promise((resolve, reject) => {
+  const data = [];
+  const errors = [];
+  let fields = [];
+  Papa.parse(file, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results, parser) => {
+      if (signal.cancelled) {
+        parser.abort();
+        return;
+      }
+      // A loop rather than push(...rows), which overflows on large chunks
+      results.data.forEach(row => data.push(row));
+      results.errors.forEach(error => errors.push(error));
+      if (results.meta.fields) fields = results.meta.fields;
+      onProgress({ loaded: Math.min(results.meta.cursor, file.size), total: file.size, rows: data.length });
+    },
+    complete: () => resolve(signal.cancelled ? null : { data, fields, errors }),
+    error: (error) => reject(error)
+  });
+});
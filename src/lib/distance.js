@@ -0,0 +1,63 @@
+// Distances between videos and their cluster centroid in standardized
+// (z-score) feature space, so metrics on different scales weigh equally.
+
+import { isFiniteNumber } from './features';
+import { ID_COLUMN_CANDIDATES } from './reconcile';
+import { ROW_KEY } from './schema';
+import { quantile } from './stats';
+
+export const computeFeatureScales = (rows, features) => {
+  const scales = {};
+  features.forEach(key => {
+    const values = rows.map(row => row[key]).filter(isFiniteNumber);
+    const mean = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    const variance = values.length > 1
+      ? values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (values.length - 1)
+      : 0;
+    // A constant feature can't separate videos; scale 1 keeps it neutral
+    scales[key] = { mean, std: Math.sqrt(variance) || 1 };
+  });
+  return scales;
+};
+
+export const standardize = (row, features, scales) =>
+  features.map(key => (isFiniteNumber(row[key]) ? (row[key] - scales[key].mean) / scales[key].std : null));
+
+// Euclidean distance of each video to the mean of its cluster. Missing values
+// are skipped and the sum rescaled to the full feature count.
+export const centroidDistances = (videos, features, scales) => {
+  const points = videos.map(row => standardize(row, features, scales));
+  const centroid = features.map((_, i) => {
+    const values = points.map(p => p[i]).filter(v => v !== null);
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  });
+
+  return points.map(point => {
+    let sum = 0;
+    let used = 0;
+    point.forEach((v, i) => {
+      if (v === null) return;
+      sum += (v - centroid[i]) ** 2;
+      used++;
+    });
+    return used > 0 ? Math.sqrt((sum * features.length) / used) : null;
+  });
+};
+
+// Tukey fence (p75 + 1.5 × IQR) over the distances within one cluster
+export const outlierThreshold = (distances) => {
+  const sorted = distances.filter(isFiniteNumber).sort((a, b) => a - b);
+  if (sorted.length < 4) return Infinity;
+  const p25 = quantile(sorted, 0.25);
+  const p75 = quantile(sorted, 0.75);
+  return p75 + 1.5 * (p75 - p25);
+};
+
+// Stable identifier for a video row: the joined ID column, else a
+// conventional ID column, else the row key it was given at upload.
+export const getVideoId = (row, idColumn) => {
+  const column = idColumn && row[idColumn] !== undefined && row[idColumn] !== null
+    ? idColumn
+    : ID_COLUMN_CANDIDATES.find(col => row[col] !== undefined && row[col] !== null && row[col] !== '');
+  return column ? String(row[column]) : row[ROW_KEY];
+};
@@ -0,0 +1,35 @@
+// Triggers a browser download of in-memory content.
+export const downloadFile = (fileName, content, type = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const linkElement = document.createElement('a');
+  linkElement.href = url;
+  linkElement.download = fileName;
+  document.body.appendChild(linkElement);
+  linkElement.click();
+  document.body.removeChild(linkElement);
+  URL.revokeObjectURL(url);
+};
+
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+// Prints a standalone HTML page from a hidden frame, so the browser's print
+// dialog (and its "Save as PDF") uses the page's own print styles
+export const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+  frame.onload = () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
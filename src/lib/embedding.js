@@ -0,0 +1,171 @@
+// 2D projections of standardized metric vectors: PCA (exact, fast) and an
+// exact t-SNE that runs step by step so the UI can stay responsive.
+
+import { standardize } from './distance';
+import { createRandom, gaussian } from './random';
+
+// Standardized feature matrix; missing values sit at the feature mean (0)
+export const buildMatrix = (rows, features, scales) =>
+  rows.map(row => standardize(row, features, scales).map(v => (v === null ? 0 : v)));
+
+const topEigenvector = (matrix, iterations = 200) => {
+  const d = matrix.length;
+  let v = Array.from({ length: d }, (_, i) => 1 / Math.sqrt(d) + i * 1e-3);
+  let lambda = 0;
+  for (let iter = 0; iter < iterations; iter++) {
+    const next = matrix.map(row => row.reduce((acc, x, j) => acc + x * v[j], 0));
+    const norm = Math.sqrt(next.reduce((acc, x) => acc + x * x, 0));
+    if (norm === 0) return { vector: v, value: 0 };
+    lambda = norm;
+    v = next.map(x => x / norm);
+  }
+  return { vector: v, value: lambda };
+};
+
+export const pca2d = (matrix) => {
+  const n = matrix.length;
+  const d = n > 0 ? matrix[0].length : 0;
+  if (n === 0 || d === 0) return { points: [], explained: [0, 0] };
+
+  const means = Array.from({ length: d }, (_, j) => matrix.reduce((acc, row) => acc + row[j], 0) / n);
+  const centered = matrix.map(row => row.map((x, j) => x - means[j]));
+  const cov = Array.from({ length: d }, (_, a) =>
+    Array.from({ length: d }, (_, b) => centered.reduce((acc, row) => acc + row[a] * row[b], 0) / Math.max(n - 1, 1)));
+  const trace = cov.reduce((acc, row, i) => acc + row[i], 0);
+
+  const first = topEigenvector(cov);
+  // Deflate to find the second component
+  const deflated = cov.map((row, a) => row.map((x, b) => x - first.value * first.vector[a] * first.vector[b]));
+  const second = d > 1 ? topEigenvector(deflated) : { vector: [0], value: 0 };
+
+  const project = (row, vector) => row.reduce((acc, x, j) => acc + x * vector[j], 0);
+  return {
+    points: centered.map(row => [project(row, first.vector), d > 1 ? project(row, second.vector) : 0]),
+    explained: trace > 0 ? [first.value / trace, second.value / trace] : [0, 0]
+  };
+};
+
+const squaredDistances = (matrix) => {
+  const n = matrix.length;
+  const dist = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let sum = 0;
+      for (let k = 0; k < matrix[i].length; k++) sum += (matrix[i][k] - matrix[j][k]) ** 2;
+      dist[i][j] = sum;
+      dist[j][i] = sum;
+    }
+  }
+  return dist;
+};
+
+// Symmetric input affinities with a per-point bandwidth matched to the perplexity
+const affinities = (dist, perplexity) => {
+  const n = dist.length;
+  const target = Math.log(perplexity);
+  const P = Array.from({ length: n }, () => new Float64Array(n));
+
+  for (let i = 0; i < n; i++) {
+    let beta = 1;
+    let lo = -Infinity;
+    let hi = Infinity;
+    for (let tries = 0; tries < 50; tries++) {
+      let sum = 0;
+      for (let j = 0; j < n; j++) {
+        P[i][j] = i === j ? 0 : Math.exp(-dist[i][j] * beta);
+        sum += P[i][j];
+      }
+      let entropy = 0;
+      for (let j = 0; j < n; j++) {
+        P[i][j] = sum > 0 ? P[i][j] / sum : 0;
+        if (P[i][j] > 1e-12) entropy -= P[i][j] * Math.log(P[i][j]);
+      }
+      if (Math.abs(entropy - target) < 1e-5) break;
+      if (entropy > target) {
+        lo = beta;
+        beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+      } else {
+        hi = beta;
+        beta = lo === -Infinity ? beta / 2 : (beta + lo) / 2;
+      }
+    }
+  }
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const p = Math.max((P[i][j] + P[j][i]) / (2 * n), 1e-12);
+      P[i][j] = p;
+      P[j][i] = p;
+    }
+  }
+  return P;
+};
+
+export const createTsne = (matrix, { perplexity = 30, learningRate = 200, seed = 1 } = {}) => {
+  const n = matrix.length;
+  const P = affinities(squaredDistances(matrix), Math.min(perplexity, Math.max((n - 1) / 3, 1)));
+  const random = createRandom(seed);
+  const Y = Array.from({ length: n }, () => [gaussian(random) * 1e-4, gaussian(random) * 1e-4]);
+  const velocity = Array.from({ length: n }, () => [0, 0]);
+  const gains = Array.from({ length: n }, () => [1, 1]);
+  const num = Array.from({ length: n }, () => new Float64Array(n));
+  let iteration = 0;
+
+  const step = () => {
+    const exaggeration = iteration < 100 ? 12 : 1;
+    const momentum = iteration < 250 ? 0.5 : 0.8;
+
+    let sumQ = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = Y[i][0] - Y[j][0];
+        const dy = Y[i][1] - Y[j][1];
+        const q = 1 / (1 + dx * dx + dy * dy);
+        num[i][j] = q;
+        num[j][i] = q;
+        sumQ += 2 * q;
+      }
+    }
+
+    // Gradients first, so every point moves against the same layout
+    const gradients = Y.map((yi, i) => {
+      let gx = 0;
+      let gy = 0;
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue;
+        const mult = (exaggeration * P[i][j] - num[i][j] / sumQ) * num[i][j];
+        gx += 4 * mult * (yi[0] - Y[j][0]);
+        gy += 4 * mult * (yi[1] - Y[j][1]);
+      }
+      return [gx, gy];
+    });
+
+    gradients.forEach((gradient, i) => {
+      gradient.forEach((g, d) => {
+        gains[i][d] = Math.sign(g) !== Math.sign(velocity[i][d]) ? gains[i][d] + 0.2 : Math.max(gains[i][d] * 0.8, 0.01);
+        velocity[i][d] = momentum * velocity[i][d] - learningRate * gains[i][d] * g;
+        Y[i][d] += velocity[i][d];
+      });
+    });
+    iteration++;
+  };
+
+  return {
+    step,
+    get iteration() {
+      return iteration;
+    },
+    points: () => Y.map(([x, y]) => [x, y])
+  };
+};
+
+// Ray casting test against a closed polygon of [x, y] vertices
+export const pointInPolygon = ([x, y], polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
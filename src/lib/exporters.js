@@ -0,0 +1,151 @@
+// Export formats for generation specs: JSON, YAML, a flat CSV of cluster stats,
+// one plain-text prompt per cluster, the sampled prompt variants and the manual
+// cluster edits.
+
+import Papa from 'papaparse';
+import { toYaml } from './yaml';
+import { getFeatureLabel } from './features';
+import { renderSpecPrompt, samplePromptVariants } from './promptTemplates';
+import { describeEdit } from './clusterEdits';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'Specs (JSON)', description: 'generation_specs.json, cluster → spec' },
+  yaml: { label: 'Specs (YAML)', description: 'Same specs as pipeline-ready YAML' },
+  csv: { label: 'Summary (CSV)', description: 'One row per cluster: counts, chosen approach, metric stats' },
+  prompts: { label: 'Prompts (TXT)', description: 'One text prompt file per cluster' },
+  variants: { label: 'Prompt variants (JSON)', description: 'N seeded prompt variants per cluster with their trend tokens' },
+  edits: { label: 'Cluster edits (JSON)', description: 'Merges, splits, renames and moves applied to the loaded clusters, in order' }
+};
+
+export const DEFAULT_FILENAME_TEMPLATE = '{project}_{date}';
+export const DEFAULT_PROMPT_FILENAME_TEMPLATE = 'cluster_{cluster}_prompt';
+
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\s]+/g;
+
+// Replaces {token} placeholders; unknown tokens are left empty
+export const applyFilenameTemplate = (template, values, fallback = 'export') => {
+  const name = template
+    .replace(/\{(\w+)\}/g, (_, token) => (values[token] === undefined || values[token] === null ? '' : String(values[token])))
+    .replace(UNSAFE_FILENAME_CHARS, '_')
+    .replace(/^[_.-]+|[_.-]+$/g, '');
+  return name || fallback;
+};
+
+export const filenameValues = (projectName, now = new Date()) => ({
+  project: projectName || 'cluster-analysis',
+  date: now.toISOString().slice(0, 10),
+  time: now.toTimeString().slice(0, 8).replace(/:/g, '')
+});
+
+const pickSpecs = (specs, clusters) =>
+  Object.fromEntries(clusters.filter(cluster => specs[cluster]).map(cluster => [cluster, specs[cluster]]));
+
+export const buildSpecsJson = (specs, clusters) => JSON.stringify(pickSpecs(specs, clusters), null, 2);
+
+export const buildSpecsYaml = (specs, clusters) => toYaml(pickSpecs(specs, clusters));
+
+// approaches: { [cluster]: { selected, suggested, confidence } }; names: { [cluster]: name }
+export const buildSummaryCsv = (clusterStats, features, clusters, approaches, specs, names = {}) => {
+  const rows = clusterStats
+    .filter(stats => clusters.includes(String(stats.cluster)))
+    .map(stats => {
+      const approach = approaches[stats.cluster] || {};
+      const row = {
+        cluster: stats.cluster,
+        name: names[stats.cluster] || '',
+        videos: stats.count,
+        approach: approach.selected || '',
+        suggested_approach: approach.suggested || '',
+        suggestion_confidence: approach.confidence || '',
+        has_spec: Boolean(specs[stats.cluster]),
+        trend_tokens: (specs[stats.cluster]?.trend_tokens.tokens || []).join('; ')
+      };
+      features.forEach(key => {
+        const metric = stats.metrics[key];
+        ['avg', 'median', 'std', 'min', 'max'].forEach(field => {
+          const value = metric?.[field];
+          row[`${key}_${field}`] = typeof value === 'number' ? Number(value.toFixed(6)) : '';
+        });
+      });
+      return row;
+    });
+  return Papa.unparse(rows);
+};
+
+// prompting: { templates, sampling } from the prompt template editor
+export const buildPromptText = (spec, { templates, sampling }) => {
+  const lines = [
+    `# Cluster ${spec.cluster_id} · ${spec.generation_approach} · schema ${spec.schema_version}`,
+    '',
+    renderSpecPrompt(spec, templates).text,
+    ''
+  ];
+  const variants = samplePromptVariants(spec, templates, sampling);
+  if (variants.length > 0) {
+    lines.push(`## Variants (seed ${sampling.seed}; ${spec.trend_tokens.application_strategy})`);
+    variants.forEach(variant => lines.push(`${variant.index}. ${variant.prompt}`));
+    lines.push('');
+  }
+  lines.push(`Variation: ${spec.constraints.variation_strategy}`);
+  lines.push(`Hint: ${spec.generation_hints.note}`);
+  const profile = Object.entries(spec.feature_profile);
+  if (profile.length > 0) {
+    lines.push('');
+    profile.forEach(([key, summary]) => {
+      lines.push(`${summary.label || getFeatureLabel(key)}: mean ${summary.mean}, range ${summary.range.join(' - ')}`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+export const buildVariantsJson = (specs, clusters, { templates, sampling }) => JSON.stringify({
+  seed: sampling.seed,
+  count: sampling.count,
+  clusters: Object.fromEntries(clusters.filter(cluster => specs[cluster]).map(cluster => {
+    const spec = specs[cluster];
+    return [cluster, {
+      generation_approach: spec.generation_approach,
+      template: templates[spec.generation_approach],
+      prompt: renderSpecPrompt(spec, templates).text,
+      variants: samplePromptVariants(spec, templates, sampling)
+    }];
+  }))
+}, null, 2);
+
+// edits: the applied edits in order, names: the resulting cluster names
+export const buildEditsJson = ({ edits, names, idColumn }) => JSON.stringify({
+  id_column: idColumn,
+  names,
+  edits: edits.map(edit => ({ ...edit, description: describeEdit(edit) }))
+}, null, 2);
+
+// Returns { baseName, files: [{ name, content, type }] } for the chosen formats and clusters
+// values: filename placeholders from filenameValues(); clusterEdits: { edits, names, idColumn }
+export const buildExportFiles = ({
+  formats, clusters, template, promptTemplate, values, specs, clusterStats, features, approaches, prompting, clusterEdits
+}) => {
+  const baseName = applyFilenameTemplate(template, values, 'generation_specs');
+  const files = [];
+  if (formats.includes('json')) {
+    files.push({ name: `${baseName}.json`, content: buildSpecsJson(specs, clusters), type: 'application/json' });
+  }
+  if (formats.includes('yaml')) {
+    files.push({ name: `${baseName}.yaml`, content: buildSpecsYaml(specs, clusters), type: 'application/yaml' });
+  }
+  if (formats.includes('csv') && clusterStats) {
+    files.push({ name: `${baseName}_summary.csv`, content: buildSummaryCsv(clusterStats, features, clusters, approaches, specs, clusterEdits.names), type: 'text/csv' });
+  }
+  if (formats.includes('prompts')) {
+    clusters.filter(cluster => specs[cluster]).forEach(cluster => {
+      const name = applyFilenameTemplate(promptTemplate, { ...values, cluster }, `cluster_${cluster}`);
+      files.push({ name: `prompts/${name}.txt`, content: buildPromptText(specs[cluster], prompting), type: 'text/plain', prompt: true });
+    });
+  }
+  if (formats.includes('variants')) {
+    files.push({ name: `${baseName}_prompt_variants.json`, content: buildVariantsJson(specs, clusters, prompting), type: 'application/json' });
+  }
+  if (formats.includes('edits')) {
+    files.push({ name: `${baseName}_cluster_edits.json`, content: buildEditsJson(clusterEdits), type: 'application/json' });
+  }
+  return { baseName, files };
+};
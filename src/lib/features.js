@@ -0,0 +1,63 @@
+// Feature (metric) columns: detection of numeric columns in an upload and
+// display metadata for the ones the extractor has always produced.
+
+import { ID_COLUMN_CANDIDATES, CLUSTER_COLUMN_CANDIDATES } from './reconcile';
+
+export const KNOWN_FEATURES = {
+  motion_mean: { label: 'Motion', decimals: 2 },
+  cut_rate_per_min: { label: 'Cut Rate', decimals: 1, unit: '/min' },
+  visual_density: { label: 'Visual Density', decimals: 2 },
+  audio_rms_mean: { label: 'Audio Volume', decimals: 3 },
+  audio_rms_std: { label: 'Audio Variance', decimals: 3 }
+};
+
+// Share of non-empty values that must be numbers for a column to count as a feature
+const NUMERIC_THRESHOLD = 0.9;
+
+const NON_FEATURE_COLUMNS = new Set([...ID_COLUMN_CANDIDATES, ...CLUSTER_COLUMN_CANDIDATES]);
+
+export const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export const detectNumericColumns = (rows) => {
+  if (!rows || rows.length === 0) return [];
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(col => columns.add(col)));
+
+  return [...columns].filter(col => {
+    if (NON_FEATURE_COLUMNS.has(col)) return false;
+    let filled = 0;
+    let numeric = 0;
+    rows.forEach(row => {
+      const value = row[col];
+      if (value === null || value === undefined || value === '') return;
+      filled++;
+      if (isFiniteNumber(value)) numeric++;
+    });
+    return filled > 0 && numeric / filled >= NUMERIC_THRESHOLD;
+  });
+};
+
+// The known features when the file has them, otherwise every numeric column
+export const defaultFeatureSelection = (numericColumns) => {
+  const known = Object.keys(KNOWN_FEATURES).filter(key => numericColumns.includes(key));
+  return known.length > 0 ? known : numericColumns;
+};
+
+export const getFeatureLabel = (key) => {
+  if (KNOWN_FEATURES[key]) return KNOWN_FEATURES[key].label;
+  return key
+    .split(/[_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+export const formatFeatureValue = (key, value) => {
+  if (!isFiniteNumber(value)) return '—';
+  const known = KNOWN_FEATURES[key];
+  if (known) return value.toFixed(known.decimals);
+  const abs = Math.abs(value);
+  return value.toFixed(abs >= 100 ? 0 : abs >= 10 ? 1 : abs >= 1 ? 2 : 3);
+};
+
+export const getFeatureUnit = (key) => KNOWN_FEATURES[key]?.unit || '';
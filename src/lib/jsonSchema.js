@@ -0,0 +1,78 @@
+// Minimal JSON Schema validator covering the keywords our published schemas use:
+// type, const, enum, required, properties, additionalProperties, items,
+// minItems, maxItems, minimum, minLength and local $ref (#/$defs/...).
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const resolveRef = (ref, root) => {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+};
+
+const formatPath = (path) => (path.length === 0 ? '(root)' : path.join('.'));
+
+// Returns a list of { path, message }; empty when the value is valid
+export const validateAgainstSchema = (value, schema, root = schema, path = []) => {
+  if (schema.$ref) return validateAgainstSchema(value, resolveRef(schema.$ref, root), root, path);
+
+  const errors = [];
+  const fail = (message) => errors.push({ path: formatPath(path), message });
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return errors;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(`must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, root, [...path, i])));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push({ path: formatPath([...path, key]), message: 'is required' });
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties && key in schema.properties) {
+        errors.push(...validateAgainstSchema(child, schema.properties[key], root, [...path, key]));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: formatPath([...path, key]), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(child, schema.additionalProperties, root, [...path, key]));
+      }
+    });
+  }
+
+  return errors;
+};
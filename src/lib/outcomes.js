@@ -0,0 +1,83 @@
+// Virality outcome columns (views, likes, shares, watch time, ...): which numeric
+// columns look like outcomes, how clusters rank on them, and how each feature
+// metric correlates with each outcome.
+
+import { isFiniteNumber } from './features';
+
+// Column names that read as performance rather than content metrics
+const OUTCOME_PATTERN = /(view|like|share|comment|save|watch|retention|engagement|impression|reach|follow|play|repost|duet|stitch)/i;
+
+export const CORRELATION_METHODS = {
+  spearman: { label: 'Spearman (rank)' },
+  pearson: { label: 'Pearson (linear)' }
+};
+
+// Correlations from fewer pairs than this are reported as missing
+export const MIN_CORRELATION_PAIRS = 5;
+
+export const suggestOutcomeColumns = (numericColumns) => numericColumns.filter(col => OUTCOME_PATTERN.test(col));
+
+// outcomeStats: groupClusterStats() over the outcome columns. Returns clusters
+// ordered by descending median of `outcome`, clusters without values last.
+export const rankClusters = (outcomeStats, outcome) => {
+  const medianOf = (stats) => stats.metrics[outcome]?.median;
+  return [...outcomeStats].sort((a, b) => {
+    const ma = medianOf(a);
+    const mb = medianOf(b);
+    if (!isFiniteNumber(ma)) return isFiniteNumber(mb) ? 1 : 0;
+    if (!isFiniteNumber(mb)) return -1;
+    return mb - ma;
+  });
+};
+
+// Average ranks (1-based), ties sharing the mean of their positions
+const ranks = (values) => {
+  const order = values.map((value, i) => ({ value, i })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) result[order[k].i] = rank;
+    start = end + 1;
+  }
+  return result;
+};
+
+const pearson = (xs, ys) => {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  // A constant column has no defined correlation
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+// Correlation over rows where both values are numbers: { r, n }, r null when undefined
+export const correlate = (rows, x, y, method = 'spearman') => {
+  const xs = [];
+  const ys = [];
+  rows.forEach(row => {
+    if (isFiniteNumber(row[x]) && isFiniteNumber(row[y])) {
+      xs.push(row[x]);
+      ys.push(row[y]);
+    }
+  });
+  if (xs.length < MIN_CORRELATION_PAIRS) return { r: null, n: xs.length };
+  return { r: method === 'spearman' ? pearson(ranks(xs), ranks(ys)) : pearson(xs, ys), n: xs.length };
+};
+
+// { [feature]: { [outcome]: { r, n } } }
+export const correlationMatrix = (rows, features, outcomes, method) =>
+  Object.fromEntries(features.map(feature => [
+    feature,
+    Object.fromEntries(outcomes.map(outcome => [outcome, correlate(rows, feature, outcome, method)]))
+  ]));
@@ -0,0 +1,120 @@
+// Hand-off of generation specs to an external generation service over HTTP.
+//
+//   POST {endpoint}/jobs      { specs: [spec] }  →  { jobs: [{ id, cluster_id, status }] }
+//   GET  {endpoint}/jobs/:id                     →  { id, status, error? }
+//
+// In per-cluster mode every spec goes in its own POST; in batch mode all in one.
+// Settings live in this browser's localStorage, never in project files, since
+// the auth header is a credential.
+
+export const PIPELINE_STATUSES = {
+  sending: { label: 'sending', className: 'bg-slate-700 text-slate-300 border-slate-600' },
+  queued: { label: 'queued', className: 'bg-slate-700 text-slate-200 border-slate-500' },
+  running: { label: 'running', className: 'bg-blue-900/40 text-blue-300 border-blue-700' },
+  done: { label: 'done', className: 'bg-green-900/40 text-green-400 border-green-700' },
+  failed: { label: 'failed', className: 'bg-red-900/40 text-red-400 border-red-700' }
+};
+
+export const SEND_MODES = {
+  batch: 'One request with all specs',
+  cluster: 'One request per cluster'
+};
+
+export const DEFAULT_PIPELINE_SETTINGS = { endpoint: 'http://localhost:8787', authHeader: '', mode: 'batch' };
+
+export const POLL_INTERVAL_MS = 2000;
+// Consecutive failed status checks before a job is given up as failed
+export const MAX_POLL_ERRORS = 5;
+
+const SETTINGS_STORAGE_KEY = 'cluster-analysis:pipeline';
+
+export const isFinished = (status) => status === 'done' || status === 'failed';
+
+// Statuses the service may report; 'sending' is only ever set by this app
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+// Anything else would never finish and be polled forever, so it fails the job
+const checkStatus = ({ status, error }) => {
+  if (JOB_STATUSES.includes(status)) return { status, error };
+  return {
+    status: 'failed',
+    error: status === undefined || status === null || status === ''
+      ? 'Service returned no job status'
+      : `Service returned unknown job status "${String(status).slice(0, 40)}"`
+  };
+};
+
+export const loadPipelineSettings = () => {
+  try {
+    return { ...DEFAULT_PIPELINE_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_PIPELINE_SETTINGS };
+  }
+};
+
+export const storePipelineSettings = (settings) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+// "X-Api-Key: abc" → that header; a bare "Bearer abc" goes in Authorization
+export const parseAuthHeader = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+  const match = trimmed.match(/^([A-Za-z0-9-]+):\s*(.+)$/);
+  return match ? { name: match[1], value: match[2] } : { name: 'Authorization', value: trimmed };
+};
+
+const request = async (settings, path, options = {}) => {
+  const headers = { Accept: 'application/json', ...options.headers };
+  const auth = parseAuthHeader(settings.authHeader);
+  if (auth) headers[auth.name] = auth.value;
+
+  const response = await fetch(`${settings.endpoint.replace(/\/+$/, '')}${path}`, { ...options, headers });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`${response.status} ${response.statusText}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+  return response.json();
+};
+
+const postSpecs = async (settings, specs) => {
+  const body = await request(settings, '/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ specs })
+  });
+  if (!Array.isArray(body?.jobs)) throw new Error('Response has no jobs list');
+  return body.jobs;
+};
+
+// specs: { [cluster]: spec }. Resolves { [cluster]: { jobId, status } | { status: 'failed', error } };
+// in per-cluster mode one rejected request fails only its own cluster.
+export const submitSpecs = async (settings, specs) => {
+  const entries = Object.entries(specs);
+  const toJobs = (jobs, clusters) => Object.fromEntries(clusters.map((cluster, i) => {
+    // Jobs are matched back by cluster_id, falling back to request order
+    const job = jobs.find(j => String(j.cluster_id) === cluster) || jobs[i];
+    // A new job without a status is taken as queued
+    return [cluster, job
+      ? { jobId: job.id, ...checkStatus({ status: job.status ?? 'queued', error: job.error }) }
+      : { status: 'failed', error: 'No job returned' }];
+  }));
+
+  if (settings.mode === 'cluster') {
+    const results = await Promise.all(entries.map(async ([cluster, spec]) => {
+      try {
+        return toJobs(await postSpecs(settings, [spec]), [cluster]);
+      } catch (error) {
+        return { [cluster]: { status: 'failed', error: error.message } };
+      }
+    }));
+    return Object.assign({}, ...results);
+  }
+
+  return toJobs(await postSpecs(settings, entries.map(([, spec]) => spec)), entries.map(([cluster]) => cluster));
+};
+
+export const fetchJobStatus = async (settings, jobId) => {
+  const job = await request(settings, `/jobs/${encodeURIComponent(jobId)}`);
+  return checkStatus({ status: job?.status, error: job?.error });
+};
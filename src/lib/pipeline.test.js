@@ -0,0 +1,46 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { submitSpecs, fetchJobStatus, isFinished, parseAuthHeader, DEFAULT_PIPELINE_SETTINGS } from './pipeline';
+
+const respond = (body) => vi.fn(async () => ({ ok: true, json: async () => body }));
+
+describe('fetchJobStatus', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('passes known statuses through', async () => {
+    vi.stubGlobal('fetch', respond({ id: 'j1', status: 'failed', error: 'Out of credits' }));
+    expect(await fetchJobStatus(DEFAULT_PIPELINE_SETTINGS, 'j1')).toEqual({ status: 'failed', error: 'Out of credits' });
+  });
+
+  it.each(['completed', 'error', 'SUCCESS'])('fails a job reported as %s instead of polling it forever', async (status) => {
+    vi.stubGlobal('fetch', respond({ id: 'j1', status }));
+    const job = await fetchJobStatus(DEFAULT_PIPELINE_SETTINGS, 'j1');
+    expect(job).toEqual({ status: 'failed', error: `Service returned unknown job status "${status}"` });
+    expect(isFinished(job.status)).toBe(true);
+  });
+
+  it('fails a job reported without a status', async () => {
+    vi.stubGlobal('fetch', respond({ id: 'j1' }));
+    expect(await fetchJobStatus(DEFAULT_PIPELINE_SETTINGS, 'j1')).toEqual({ status: 'failed', error: 'Service returned no job status' });
+  });
+});
+
+describe('submitSpecs', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('matches jobs to clusters and checks their statuses', async () => {
+    const fetch = respond({ jobs: [{ id: 'b', cluster_id: 2, status: 'bogus' }, { id: 'a', cluster_id: 1 }] });
+    vi.stubGlobal('fetch', fetch);
+    const jobs = await submitSpecs({ ...DEFAULT_PIPELINE_SETTINGS, authHeader: 'X-Api-Key: k' }, { 1: { cluster_id: 1 }, 2: { cluster_id: 2 } });
+    expect(jobs[1]).toMatchObject({ jobId: 'a', status: 'queued' });
+    expect(jobs[2]).toMatchObject({ jobId: 'b', status: 'failed', error: 'Service returned unknown job status "bogus"' });
+    expect(fetch.mock.calls[0][1].headers['X-Api-Key']).toBe('k');
+  });
+});
+
+describe('parseAuthHeader', () => {
+  it('reads a named header or a bare Authorization value', () => {
+    expect(parseAuthHeader('X-Api-Key: abc')).toEqual({ name: 'X-Api-Key', value: 'abc' });
+    expect(parseAuthHeader('Bearer abc')).toEqual({ name: 'Authorization', value: 'Bearer abc' });
+    expect(parseAuthHeader('  ')).toBeNull();
+  });
+});
@@ -0,0 +1,210 @@
+// Named projects and the autosaved session, kept in IndexedDB (falling back to
+// localStorage where IndexedDB is unavailable).
+
+export const PROJECT_FORMAT = 'cluster-analysis-project';
+export const PROJECT_VERSION = 1;
+
+const DB_NAME = 'cluster-analysis';
+const DB_VERSION = 3;
+const STORE = 'projects';
+// Name, save time and video count per named project, so listing them doesn't
+// read every saved workspace with its raw CSV rows
+const META_STORE = 'projectMeta';
+// The autosaved session lives apart from named projects, split so the uploaded rows
+// are written once per upload and the debounced autosave writes only settings and choices
+const SESSION_STORE = 'session';
+const SESSION_FILES = 'files';
+const SESSION_STATE = 'state';
+// Where the autosave used to live, inside the projects store
+const LEGACY_AUTOSAVE_KEY = '__autosave__';
+const LOCAL_PREFIX = 'cluster-analysis:project:';
+const LOCAL_META_PREFIX = 'cluster-analysis:project-meta:';
+const LOCAL_SESSION_PREFIX = 'cluster-analysis:session:';
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined';
+
+const projectMeta = (project) => ({
+  name: project.name,
+  savedAt: project.savedAt,
+  videoCount: project.files?.interpretation?.rows?.length || 0
+});
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    if (event.oldVersion < 1) db.createObjectStore(STORE, { keyPath: 'name' });
+    if (event.oldVersion < 2) {
+      // Projects saved before the metadata store existed get their entry once, here
+      const meta = db.createObjectStore(META_STORE, { keyPath: 'name' });
+      request.transaction.objectStore(STORE).openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        if (cursor.value.name !== LEGACY_AUTOSAVE_KEY) meta.put(projectMeta(cursor.value));
+        cursor.continue();
+      };
+    }
+    if (event.oldVersion < 3) {
+      const session = db.createObjectStore(SESSION_STORE);
+      if (event.oldVersion >= 1) {
+        const projects = request.transaction.objectStore(STORE);
+        projects.get(LEGACY_AUTOSAVE_KEY).onsuccess = (e) => {
+          if (!e.target.result) return;
+          const { files, ...state } = e.target.result;
+          session.put(files, SESSION_FILES);
+          session.put(state, SESSION_STATE);
+          projects.delete(LEGACY_AUTOSAVE_KEY);
+        };
+      }
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('Project storage is open in another tab with an older version'));
+});
+
+// Runs fn over the named stores in one transaction and resolves with the result of
+// the request it returns
+const withStores = async (names, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const request = fn(...names.map(name => tx.objectStore(name)));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Project storage transaction was aborted'));
+    };
+  });
+};
+
+// Async so a full localStorage rejects like IndexedDB does instead of throwing at the caller
+const put = async (record) => {
+  if (hasIndexedDB()) {
+    return withStores([STORE, META_STORE], 'readwrite', (store, meta) => {
+      meta.put(projectMeta(record));
+      return store.put(record);
+    });
+  }
+  localStorage.setItem(LOCAL_PREFIX + record.name, JSON.stringify(record));
+  localStorage.setItem(LOCAL_META_PREFIX + record.name, JSON.stringify(projectMeta(record)));
+};
+
+const get = async (name) => {
+  if (hasIndexedDB()) return (await withStores([STORE], 'readonly', store => store.get(name))) || null;
+  const raw = localStorage.getItem(LOCAL_PREFIX + name);
+  return raw ? JSON.parse(raw) : null;
+};
+
+export const saveProject = (name, workspace) => put({ ...workspace, name, savedAt: new Date().toISOString() });
+
+export const loadProject = (name) => get(name);
+
+export const deleteProject = async (name) => {
+  if (hasIndexedDB()) {
+    return withStores([STORE, META_STORE], 'readwrite', (store, meta) => {
+      meta.delete(name);
+      return store.delete(name);
+    });
+  }
+  localStorage.removeItem(LOCAL_PREFIX + name);
+  localStorage.removeItem(LOCAL_META_PREFIX + name);
+};
+
+// Moves an autosave left in the projects namespace into the session keys. A named
+// project called __autosave__ always has a metadata entry, so it stays put
+const migrateLocalAutosave = () => {
+  const legacyKey = LOCAL_PREFIX + LEGACY_AUTOSAVE_KEY;
+  const raw = localStorage.getItem(legacyKey);
+  if (!raw || localStorage.getItem(LOCAL_META_PREFIX + LEGACY_AUTOSAVE_KEY)) return;
+  const { files, ...state } = JSON.parse(raw);
+  localStorage.setItem(LOCAL_SESSION_PREFIX + SESSION_FILES, JSON.stringify(files));
+  localStorage.setItem(LOCAL_SESSION_PREFIX + SESSION_STATE, JSON.stringify(state));
+  localStorage.removeItem(legacyKey);
+};
+
+// Projects saved to localStorage before metadata entries existed get theirs on first listing
+const listLocalProjects = () => {
+  migrateLocalAutosave();
+  return Object.keys(localStorage)
+    .filter(key => key.startsWith(LOCAL_PREFIX))
+    .map(key => {
+      const name = key.slice(LOCAL_PREFIX.length);
+      const raw = localStorage.getItem(LOCAL_META_PREFIX + name);
+      if (raw) return JSON.parse(raw);
+      const meta = projectMeta(JSON.parse(localStorage.getItem(key)));
+      localStorage.setItem(LOCAL_META_PREFIX + name, JSON.stringify(meta));
+      return meta;
+    });
+};
+
+export const listProjects = async () => {
+  const projects = hasIndexedDB()
+    ? (await withStores([META_STORE], 'readonly', meta => meta.getAll())) || []
+    : listLocalProjects();
+  return projects.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+};
+
+const putSession = async (key, value) => {
+  if (hasIndexedDB()) return withStores([SESSION_STORE], 'readwrite', session => session.put(value, key));
+  localStorage.setItem(LOCAL_SESSION_PREFIX + key, JSON.stringify(value));
+};
+
+const getSession = async (key) => {
+  if (hasIndexedDB()) return withStores([SESSION_STORE], 'readonly', session => session.get(key));
+  const raw = localStorage.getItem(LOCAL_SESSION_PREFIX + key);
+  return raw ? JSON.parse(raw) : undefined;
+};
+
+// The uploaded and computed rows of the session; written when they change, not on every edit
+export const autosaveFiles = (files) => putSession(SESSION_FILES, files);
+
+// Everything but the rows; the project name travels alongside it
+export const autosave = (workspace) => putSession(SESSION_STATE, {
+  ...workspace,
+  files: undefined,
+  projectName: workspace.name,
+  savedAt: new Date().toISOString()
+});
+
+export const loadAutosave = async () => {
+  if (!hasIndexedDB()) migrateLocalAutosave();
+  const [files, state] = await Promise.all([getSession(SESSION_FILES), getSession(SESSION_STATE)]);
+  return files && state ? { ...state, files } : null;
+};
+
+// Checks an imported project file; returns an error message or null
+export const validateProjectFile = (data) => {
+  if (!data || data.format !== PROJECT_FORMAT) return 'Not a cluster analysis project file';
+  if (data.version > PROJECT_VERSION) return `Project file version ${data.version} is newer than this tool supports (${PROJECT_VERSION})`;
+  if (!data.files?.interpretation?.rows) return 'Project file has no interpretation data';
+  return null;
+};
+
+// The rows part of a workspace: the uploads and any clustering computed in the app
+export const createWorkspaceFiles = ({ interpretationSource, clusterResults, clusterFileName, computedClusters }) => ({
+  interpretation: interpretationSource,
+  clusterResults: clusterResults ? { fileName: clusterFileName, rows: clusterResults } : null,
+  computedClusters
+});
+
+// Serializable snapshot of everything needed to pick the session back up
+export const createWorkspace = ({
+  name, interpretationSource, clusterResults, clusterFileName, computedClusters, clusterSource, idColumn, features, outcomes, trendSettings, rangeBasis,
+  rulePreset, promptTemplates, promptSampling, qualityInSpecs, selectedApproaches, trendTokens, pinnedVideos, clusterEdits, generationSpecs
+}) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  name,
+  files: createWorkspaceFiles({ interpretationSource, clusterResults, clusterFileName, computedClusters }),
+  settings: { idColumn, features, outcomes, trendSettings, rangeBasis, rulePreset, promptTemplates, promptSampling, qualityInSpecs, clusterSource },
+  choices: { selectedApproaches, trendTokens, pinnedVideos, clusterEdits },
+  generationSpecs
+});
@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { saveProject, loadProject, deleteProject, listProjects, autosave, autosaveFiles, loadAutosave } from './projectStore';
+
+// jsdom has no IndexedDB, so these run against the localStorage fallback
+const workspace = (rows) => ({ files: { interpretation: { fileName: 'a.csv', rows } } });
+
+describe('projectStore', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  it('lists saved projects from their metadata, newest first, without the autosave', async () => {
+    await saveProject('first', workspace([{ a: 1 }]));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await saveProject('second', workspace([{ a: 1 }, { a: 2 }]));
+    await autosave({ ...workspace([]), name: 'second' });
+
+    const projects = await listProjects();
+    expect(projects.map(p => [p.name, p.videoCount])).toEqual([['second', 2], ['first', 1]]);
+    expect(Object.keys(projects[0])).toEqual(['name', 'savedAt', 'videoCount']);
+  });
+
+  it('lists projects saved before metadata entries existed', async () => {
+    localStorage.setItem('cluster-analysis:project:old', JSON.stringify({ ...workspace([{ a: 1 }]), name: 'old', savedAt: '2024-01-01T00:00:00.000Z' }));
+    expect(await listProjects()).toEqual([{ name: 'old', savedAt: '2024-01-01T00:00:00.000Z', videoCount: 1 }]);
+  });
+
+  it('removes the metadata entry with the project', async () => {
+    await saveProject('gone', workspace([]));
+    await deleteProject('gone');
+    expect(await listProjects()).toEqual([]);
+    expect(await loadProject('gone')).toBeNull();
+  });
+
+  it('rejects instead of throwing when localStorage is full', async () => {
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('quota exceeded', 'QuotaExceededError');
+    });
+    let pending;
+    expect(() => { pending = autosave(workspace([{ a: 1 }])); }).not.toThrow();
+    await expect(pending).rejects.toThrow('quota exceeded');
+  });
+
+  it('keeps the rows out of the debounced autosave and joins them back on load', async () => {
+    const { files } = workspace([{ a: 1 }]);
+    await autosaveFiles(files);
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+    await autosave({ ...workspace([{ a: 1 }]), name: 'draft', settings: { features: ['a'] } });
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(setItem.mock.calls[0][1]).not.toMatch(/rows/);
+
+    expect(await loadAutosave()).toMatchObject({ files, projectName: 'draft', settings: { features: ['a'] } });
+  });
+
+  it('keeps a project named __autosave__ apart from the autosaved session', async () => {
+    await autosaveFiles(workspace([{ a: 1 }]).files);
+    await autosave({ name: 'draft' });
+    await saveProject('__autosave__', workspace([{ a: 1 }, { a: 2 }]));
+
+    expect((await listProjects()).map(p => p.name)).toEqual(['__autosave__']);
+    expect((await loadProject('__autosave__')).files.interpretation.rows).toHaveLength(2);
+    expect((await loadAutosave()).projectName).toBe('draft');
+  });
+
+  it('moves an autosave from the old project key into the session', async () => {
+    localStorage.setItem('cluster-analysis:project:__autosave__', JSON.stringify({ ...workspace([{ a: 1 }]), name: '__autosave__', projectName: 'old' }));
+    expect(await loadAutosave()).toMatchObject({ projectName: 'old', files: { interpretation: { rows: [{ a: 1 }] } } });
+    expect(await listProjects()).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+// Turns generation specs into natural-language prompts. Each approach has its own
+// template; {placeholders} read spec fields, and a [bracketed section] is dropped
+// when any placeholder inside it has no value (e.g. a metric that isn't selected).
+
+import { APPROACHES } from './rules';
+import { createRandom } from './random';
+
+export const PLACEHOLDERS = {
+  cluster_id: 'Cluster ID',
+  approach: 'Generation approach',
+  visual_complexity: 'high / medium / low',
+  detail_level: 'detailed / simplified',
+  camera_movement: 'dynamic / moderate / static',
+  motion_intensity: 'Motion intensity 0-10',
+  motion_range: 'Motion range in the chosen basis',
+  pacing: 'fast / medium / slow',
+  cuts_per_minute: 'Average cuts per minute',
+  cut_rate_range: 'Cut rate range in the chosen basis',
+  volume_level: 'high / medium / low',
+  dynamic_range: 'Audio dynamic range: high / medium / low',
+  trend_tokens: 'Trend tokens sampled for this variant',
+  reference_videos: 'Pinned representative video IDs',
+  variation_strategy: 'Spec variation strategy',
+  hint: 'Spec generation hint',
+  sample_count: 'Videos in the cluster'
+};
+
+export const DEFAULT_TEMPLATES = {
+  'text-driven':
+    'A short-form video built around the cluster\'s core theme[, {visual_complexity} visual complexity with {detail_level} detail][, {pacing} pacing][, {volume_level} audio][, in a {trend_tokens} style].',
+  'image-conditioned':
+    'Animate the seed frame[ from {reference_videos}][ keeping its {visual_complexity} visual complexity and {detail_level} detail][, with {camera_movement} camera movement][, {pacing} pacing][, with a {trend_tokens} feel].',
+  'motion-focused':
+    'A video driven by movement[: {camera_movement} camera motion at intensity {motion_intensity}/10][, {pacing} pacing at about {cuts_per_minute} cuts per minute][, {visual_complexity} visual complexity][, {volume_level} audio][, with a {trend_tokens} feel].'
+};
+
+export const DEFAULT_SAMPLING = { count: 5, seed: 42 };
+
+// Caps the per-cluster variant count so a typo can't freeze the preview
+export const MAX_VARIANTS = 100;
+
+export const cloneTemplates = (templates) => ({ ...DEFAULT_TEMPLATES, ...templates });
+
+const clean = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+// tokens: the trend tokens to use for this render (a sampled subset of the spec's)
+export const placeholderValues = (spec, tokens = []) => {
+  const { visual_style: visual = {}, motion_profile: motion = {}, audio_profile: audio = {} } = spec.base_prompt_components || {};
+  return {
+    cluster_id: clean(spec.cluster_id),
+    approach: clean(spec.generation_approach),
+    visual_complexity: clean(visual.visual_complexity),
+    detail_level: clean(visual.detail_level),
+    camera_movement: clean(motion.camera_movement),
+    motion_intensity: clean(motion.motion_intensity),
+    motion_range: clean(motion.motion_range),
+    pacing: clean(motion.pacing),
+    cuts_per_minute: clean(motion.cuts_per_minute),
+    cut_rate_range: clean(motion.cut_rate_range),
+    volume_level: clean(audio.volume_level),
+    dynamic_range: clean(audio.dynamic_range),
+    trend_tokens: clean(tokens.join(', ')),
+    reference_videos: clean((spec.representative_examples || []).map(example => example.video_id).join(', ')),
+    variation_strategy: clean(spec.constraints?.variation_strategy),
+    hint: clean(spec.generation_hints?.note),
+    sample_count: clean(spec.constraints?.sample_count)
+  };
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const OPTIONAL_PATTERN = /\[([^[\]]*)\]/g;
+
+// Returns { text, missing, unknown }: missing placeholders outside optional
+// sections render empty; unknown names are left in place so typos stay visible
+export const renderTemplate = (template, values) => {
+  const missing = new Set();
+  const unknown = new Set();
+  const fill = (text) => text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!(name in PLACEHOLDERS)) {
+      unknown.add(name);
+      return match;
+    }
+    if (values[name] === null) missing.add(name);
+    return values[name] ?? '';
+  });
+
+  const withOptional = template.replace(OPTIONAL_PATTERN, (_, inner) => {
+    const names = [...inner.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]);
+    return names.every(name => name in PLACEHOLDERS && values[name] !== null) ? fill(inner) : '';
+  });
+  const text = fill(withOptional)
+    .replace(/\s+([,.;:])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+  return { text, missing: [...missing], unknown: [...unknown] };
+};
+
+// "Randomly select 0-2 tokens per generation": a uniform count, then distinct tokens
+export const sampleTokens = (tokens, random, max = 2) => {
+  const pool = [...tokens];
+  const count = Math.floor(random() * (Math.min(max, pool.length) + 1));
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+};
+
+// Per-cluster stream so adding a cluster doesn't reshuffle the others' variants
+const clusterSeed = (seed, clusterId) => {
+  let hash = seed >>> 0;
+  for (const char of String(clusterId)) hash = Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0;
+  return hash;
+};
+
+export const templateFor = (templates, approach) => templates[approach] ?? DEFAULT_TEMPLATES[approach] ?? DEFAULT_TEMPLATES['text-driven'];
+
+export const renderSpecPrompt = (spec, templates) =>
+  renderTemplate(templateFor(templates, spec.generation_approach), placeholderValues(spec));
+
+// [{ index, tokens, prompt }] — same seed, spec and template give the same variants
+export const samplePromptVariants = (spec, templates, { count, seed }) => {
+  const random = createRandom(clusterSeed(seed, spec.cluster_id));
+  const template = templateFor(templates, spec.generation_approach);
+  const tokens = spec.trend_tokens?.enabled ? spec.trend_tokens.tokens : [];
+  const total = Math.max(0, Math.min(MAX_VARIANTS, Math.floor(count) || 0));
+  return Array.from({ length: total }, (_, index) => {
+    const chosen = sampleTokens(tokens, random);
+    return { index: index + 1, tokens: chosen, prompt: renderTemplate(template, placeholderValues(spec, chosen)).text };
+  });
+};
+
+export const validTemplates = (templates) =>
+  templates && typeof templates === 'object' && APPROACHES.every(a => templates[a] === undefined || typeof templates[a] === 'string');
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_TEMPLATES, renderSpecPrompt, renderTemplate, placeholderValues } from './promptTemplates';
+import { buildSpec } from './analysis';
+import { groupClusterStats } from './stats';
+
+const specFor = (features, approach) => {
+  const rows = [{ cluster: 0, motion_mean: 0.8, cut_rate_per_min: 120, visual_density: 0.9 }];
+  const [stats] = groupClusterStats(rows, features);
+  return buildSpec(stats, approach, { features, rangeBasis: 'minmax' });
+};
+
+describe('default templates', () => {
+  it('render every placeholder when the spec has the metrics', () => {
+    const spec = specFor(['motion_mean', 'cut_rate_per_min', 'visual_density'], 'image-conditioned');
+    const { text, missing } = renderTemplate(DEFAULT_TEMPLATES['image-conditioned'], placeholderValues(spec));
+    expect(text).toMatch(/^Animate the seed frame keeping its high visual complexity and \w+ detail, with \w+ camera movement/);
+    expect(missing).toEqual([]);
+  });
+
+  it.each(Object.keys(DEFAULT_TEMPLATES))('leave out %s phrases for metrics that were not selected', (approach) => {
+    const spec = specFor(['motion_mean', 'cut_rate_per_min'], approach);
+    const { text, missing } = renderTemplate(DEFAULT_TEMPLATES[approach], placeholderValues(spec));
+    expect(missing).toEqual([]);
+    expect(text).not.toMatch(/visual complexity|detail|\s{2}|\s[,.]/);
+  });
+
+  it('renders image-conditioned without visual density as a clean sentence', () => {
+    const spec = specFor(['motion_mean', 'cut_rate_per_min'], 'image-conditioned');
+    expect(renderSpecPrompt(spec, {}).text).toMatch(/^Animate the seed frame, with \w+ camera movement, \w+ pacing\.$/);
+  });
+});
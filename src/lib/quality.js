@@ -0,0 +1,218 @@
+// Cluster-quality measures in standardized feature space: silhouette,
+// Davies-Bouldin and the within/between split of the total variance.
+// Missing values sit at the feature mean (0 after standardizing).
+// Works on toClusterColumns() output so it can run in the cluster stats worker.
+
+import { createRandom } from './random';
+
+// Silhouette is O(n²); larger datasets use a fixed random sample of at most this
+// many videos, drawn per cluster so small clusters keep a few members in it
+export const SILHOUETTE_SAMPLE_SIZE = 2000;
+export const MIN_SILHOUETTE_SAMPLE_PER_CLUSTER = 20;
+
+// Kaufman & Rousseeuw: below 0.25 there's no substantial structure
+export const WEAK_SILHOUETTE = 0.25;
+
+const squaredDistance = (p, q) => {
+  let sum = 0;
+  for (let i = 0; i < p.length; i++) sum += (p[i] - q[i]) ** 2;
+  return sum;
+};
+
+// Every cluster first gets the per-cluster minimum (less when there are so many
+// clusters that the minimums alone would overrun the sample, or the whole cluster
+// when it is smaller); the rest of the sample is shared out by cluster size
+const sampleIndices = (labels, clusterCount, size, seed = 42) => {
+  if (labels.length <= size) return Array.from(labels, (_, i) => i);
+  const members = Array.from({ length: clusterCount }, () => []);
+  labels.forEach((label, i) => members[label].push(i));
+  const minimum = Math.min(MIN_SILHOUETTE_SAMPLE_PER_CLUSTER, Math.floor(size / clusterCount));
+  const guaranteed = members.map(indices => Math.min(indices.length, minimum));
+  const guaranteedTotal = guaranteed.reduce((a, b) => a + b, 0);
+  const share = (size - guaranteedTotal) / (labels.length - guaranteedTotal);
+  const random = createRandom(seed);
+  return members.flatMap((indices, k) => {
+    const quota = guaranteed[k] + Math.floor((indices.length - guaranteed[k]) * share);
+    for (let i = 0; i < quota; i++) {
+      const j = i + Math.floor(random() * (indices.length - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, quota);
+  });
+};
+
+// Mean silhouette per cluster label over the (sampled) points
+const silhouettes = (points, labels, clusterCount) => {
+  const chosen = sampleIndices(labels, clusterCount, SILHOUETTE_SAMPLE_SIZE);
+  const sums = new Array(clusterCount).fill(0);
+  const counts = new Array(clusterCount).fill(0);
+  const sizes = new Array(clusterCount).fill(0);
+  chosen.forEach(i => { sizes[labels[i]]++; });
+
+  chosen.forEach(i => {
+    const totals = new Array(clusterCount).fill(0);
+    chosen.forEach(j => {
+      if (i !== j) totals[labels[j]] += Math.sqrt(squaredDistance(points[i], points[j]));
+    });
+    const own = labels[i];
+    let value = 0;
+    // A video alone in its cluster scores 0 by convention
+    if (sizes[own] > 1) {
+      const a = totals[own] / (sizes[own] - 1);
+      let b = Infinity;
+      totals.forEach((total, k) => {
+        if (k !== own && sizes[k] > 0) b = Math.min(b, total / sizes[k]);
+      });
+      value = Number.isFinite(b) && Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+    }
+    sums[own] += value;
+    counts[own]++;
+  });
+
+  // Small clusters are oversampled, so the overall mean weighs each cluster's
+  // mean by its real size
+  const perCluster = sums.map((sum, k) => (counts[k] > 0 ? sum / counts[k] : null));
+  const fullSizes = new Array(clusterCount).fill(0);
+  labels.forEach(label => { fullSizes[label]++; });
+  return {
+    perCluster,
+    overall: chosen.length > 0
+      ? perCluster.reduce((total, mean, k) => total + (mean ?? 0) * fullSizes[k], 0) / labels.length
+      : null,
+    sampled: chosen.length < points.length,
+    sampleSize: chosen.length
+  };
+};
+
+// Mean silhouette over all points for integer labels 0..k-1; null for a single cluster
+export const meanSilhouette = (points, labels) => {
+  const clusterCount = labels.reduce((max, label) => Math.max(max, label), 0) + 1;
+  return clusterCount > 1 ? silhouettes(points, labels, clusterCount).overall : null;
+};
+
+// Standardized points (missing → 0) for some of the feature columns, using the
+// same z-score scales as computeFeatureScales()
+const standardizedPoints = (values, featureIndexes, n) => {
+  const columns = featureIndexes.map(f => {
+    const column = values[f];
+    let count = 0;
+    let sum = 0;
+    column.forEach(v => { if (!Number.isNaN(v)) { count++; sum += v; } });
+    const mean = count > 0 ? sum / count : 0;
+    let squares = 0;
+    column.forEach(v => { if (!Number.isNaN(v)) squares += (v - mean) ** 2; });
+    // A constant feature can't separate videos; scale 1 keeps it neutral
+    const std = (count > 1 ? Math.sqrt(squares / (count - 1)) : 0) || 1;
+    return { column, mean, std };
+  });
+  return Array.from({ length: n }, (_, i) => Float64Array.from(columns, ({ column, mean, std }) => (
+    Number.isNaN(column[i]) ? 0 : (column[i] - mean) / std
+  )));
+};
+
+// columns: toClusterColumns() output; clusters: the cluster labels in display order;
+// featureIndexes: which value columns are clustering metrics (the rest may be outcomes)
+// → { clusters: { [cluster]: {...} }, overall: {...} }
+export const computeClusterQuality = ({ labels: codeLabels, codes, values }, clusters, featureIndexes = values.map((_, f) => f)) => {
+  if (clusters.length === 0 || featureIndexes.length === 0) return null;
+
+  const position = new Map(clusters.map((cluster, k) => [String(cluster), k]));
+  const kOfCode = codeLabels.map(label => position.get(String(label)));
+  const labels = Int32Array.from(codes, code => kOfCode[code]);
+  const points = standardizedPoints(values, featureIndexes, codes.length);
+
+  // Sizes, centroids and the grand mean in one pass over the points
+  const dims = featureIndexes.length;
+  const sizes = new Array(clusters.length).fill(0);
+  const centroids = clusters.map(() => new Array(dims).fill(0));
+  const grandMean = new Array(dims).fill(0);
+  points.forEach((p, i) => {
+    sizes[labels[i]]++;
+    p.forEach((v, d) => {
+      centroids[labels[i]][d] += v;
+      grandMean[d] += v;
+    });
+  });
+  centroids.forEach((centroid, k) => centroid.forEach((_, d) => { if (sizes[k] > 0) centroid[d] /= sizes[k]; }));
+  grandMean.forEach((_, d) => { if (points.length > 0) grandMean[d] /= points.length; });
+
+  const withinSS = new Array(clusters.length).fill(0);
+  const scatter = new Array(clusters.length).fill(0);
+  points.forEach((p, i) => {
+    const d2 = squaredDistance(p, centroids[labels[i]]);
+    withinSS[labels[i]] += d2;
+    scatter[labels[i]] += Math.sqrt(d2);
+  });
+  const meanScatter = scatter.map((s, k) => (sizes[k] > 0 ? s / sizes[k] : 0));
+  const betweenSS = centroids.reduce((sum, c, k) => sum + sizes[k] * squaredDistance(c, grandMean), 0);
+  const totalWithin = withinSS.reduce((a, b) => a + b, 0);
+  const totalSS = totalWithin + betweenSS;
+
+  const multiple = clusters.length > 1;
+  const sil = multiple ? silhouettes(points, labels, clusters.length) : null;
+
+  // Davies-Bouldin term per cluster: its worst ratio of spread to separation
+  const dbTerms = clusters.map((_, k) => {
+    if (!multiple) return null;
+    let worst = 0;
+    clusters.forEach((__, j) => {
+      if (j === k) return;
+      const separation = Math.sqrt(squaredDistance(centroids[k], centroids[j]));
+      const ratio = separation > 0 ? (meanScatter[k] + meanScatter[j]) / separation : Infinity;
+      worst = Math.max(worst, ratio);
+    });
+    return worst;
+  });
+
+  // Closest other centroid, i.e. the cluster a weak one is most easily confused with
+  const nearest = clusters.map((_, k) => {
+    let best = null;
+    let bestDistance = Infinity;
+    clusters.forEach((other, j) => {
+      if (j === k) return;
+      const distance = squaredDistance(centroids[k], centroids[j]);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = other;
+      }
+    });
+    return best;
+  });
+
+  const result = {};
+  clusters.forEach((cluster, k) => {
+    const silhouette = sil ? sil.perCluster[k] : null;
+    result[cluster] = {
+      silhouette,
+      daviesBouldin: dbTerms[k],
+      withinVariance: sizes[k] > 0 ? withinSS[k] / sizes[k] : null,
+      nearestCluster: nearest[k],
+      weak: sizes[k] < 2 || (silhouette !== null && silhouette < WEAK_SILHOUETTE)
+    };
+  });
+
+  const finiteTerms = dbTerms.filter(Number.isFinite);
+  return {
+    clusters: result,
+    overall: {
+      silhouette: sil ? sil.overall : null,
+      silhouetteSampled: sil ? sil.sampled : false,
+      silhouetteSampleSize: sil ? sil.sampleSize : 0,
+      daviesBouldin: multiple && finiteTerms.length === dbTerms.length
+        ? finiteTerms.reduce((a, b) => a + b, 0) / finiteTerms.length
+        : null,
+      withinSS: totalWithin,
+      betweenSS,
+      betweenShare: totalSS > 0 ? betweenSS / totalSS : null
+    }
+  };
+};
+
+const CONFIDENCE_ORDER = ['high', 'medium', 'low'];
+
+// Weak clusters get their suggestion confidence lowered one step
+export const adjustConfidence = (confidence, quality) => {
+  if (!quality?.weak) return confidence;
+  const index = CONFIDENCE_ORDER.indexOf(confidence);
+  return CONFIDENCE_ORDER[Math.min(CONFIDENCE_ORDER.length - 1, index + 1)];
+};
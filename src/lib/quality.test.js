@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { computeClusterQuality, MIN_SILHOUETTE_SAMPLE_PER_CLUSTER, SILHOUETTE_SAMPLE_SIZE } from './quality';
+import { toClusterColumns } from './stats';
+import { createRandom } from './random';
+
+const FEATURES = ['motion_mean', 'visual_density'];
+
+const blob = (count, [x, y], random) => Array.from({ length: count }, () => ({
+  motion_mean: x + (random() - 0.5) * 0.1,
+  visual_density: y + (random() - 0.5) * 0.1
+}));
+
+const quality = (clusterStats) => {
+  const rows = clusterStats.flatMap(s => s.videos.map(row => ({ ...row, cluster: s.cluster })));
+  return computeClusterQuality(toClusterColumns(rows, FEATURES), clusterStats.map(s => s.cluster));
+};
+
+describe('computeClusterQuality', () => {
+  it('scores well-separated clusters as strong', () => {
+    const random = createRandom(1);
+    const result = quality([
+      { cluster: 0, videos: blob(30, [0, 0], random) },
+      { cluster: 1, videos: blob(30, [1, 1], random) }
+    ]);
+    expect(result.overall.silhouetteSampled).toBe(false);
+    expect(result.clusters[0].silhouette).toBeGreaterThan(0.8);
+    expect(result.clusters[1].weak).toBe(false);
+  });
+
+  it('keeps a small cluster in the silhouette sample of a large dataset', () => {
+    const random = createRandom(2);
+    const small = MIN_SILHOUETTE_SAMPLE_PER_CLUSTER / 4;
+    const result = quality([
+      { cluster: 0, videos: blob(SILHOUETTE_SAMPLE_SIZE + 500, [0, 0], random) },
+      { cluster: 1, videos: blob(small, [1, 1], random) }
+    ]);
+    expect(result.overall.silhouetteSampled).toBe(true);
+    // A proportional sample would hold about 3 of these 5 videos, sometimes just 1
+    expect(result.clusters[1].silhouette).toBeGreaterThan(0.8);
+    expect(result.clusters[1].weak).toBe(false);
+    expect(result.overall.silhouette).toBeGreaterThan(0.8);
+  });
+
+  it('caps the silhouette sample however many clusters there are', () => {
+    const random = createRandom(4);
+    const clusterCount = 2 * SILHOUETTE_SAMPLE_SIZE / MIN_SILHOUETTE_SAMPLE_PER_CLUSTER;
+    const result = quality(Array.from({ length: clusterCount }, (_, k) => ({
+      cluster: k, videos: blob(MIN_SILHOUETTE_SAMPLE_PER_CLUSTER, [k % 20, Math.floor(k / 20)], random)
+    })));
+    expect(result.overall.silhouetteSampled).toBe(true);
+    expect(result.overall.silhouetteSampleSize).toBeLessThanOrEqual(SILHOUETTE_SAMPLE_SIZE);
+    expect(Object.values(result.clusters).every(c => c.silhouette !== null)).toBe(true);
+  });
+
+  it('ignores outcome columns and orders clusters by the labels given', () => {
+    const random = createRandom(5);
+    const rows = [...blob(10, [0, 0], random).map(row => ({ ...row, cluster: 'b', views: 1 })),
+      ...blob(10, [1, 1], random).map(row => ({ ...row, cluster: 'a', views: 1e6 }))];
+    const columns = toClusterColumns(rows, [...FEATURES, 'views']);
+    const result = computeClusterQuality(columns, ['a', 'b'], [0, 1]);
+    expect(result.clusters.a).toMatchObject({ nearestCluster: 'b', weak: false });
+    expect(result.clusters.b.silhouette).toBeGreaterThan(0.8);
+  });
+
+  it('marks a single-video cluster weak', () => {
+    const random = createRandom(3);
+    const result = quality([
+      { cluster: 0, videos: blob(10, [0, 0], random) },
+      { cluster: 1, videos: blob(1, [1, 1], random) }
+    ]);
+    expect(result.clusters[1]).toMatchObject({ silhouette: 0, weak: true });
+  });
+});
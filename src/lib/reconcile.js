@@ -0,0 +1,108 @@
+// Joins interpretation.csv with cluster_results.csv on a shared video ID column.
+// Cluster assignments come from cluster_results.csv; everything else comes from
+// interpretation.csv.
+
+import { ROW_KEY } from './schema';
+
+export const ID_COLUMN_CANDIDATES = ['video_id', 'videoId', 'id', 'video', 'filename', 'file', 'path'];
+export const CLUSTER_COLUMN_CANDIDATES = ['cluster', 'cluster_id', 'label'];
+
+// Where row keys are written out when there is no video ID column, as in cluster
+// assignments computed in the app; it joins with the uploaded rows' ROW_KEY
+export const ROW_KEY_COLUMN = 'row_key';
+
+const columnsOf = (rows) => (rows && rows.length > 0 ? Object.keys(rows[0]) : []);
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// A row's ID; uploaded rows carry ROW_KEY_COLUMN as their row key rather than a column
+export const idValue = (row, idColumn) =>
+  (idColumn === ROW_KEY_COLUMN && row[idColumn] === undefined ? row[ROW_KEY] : row[idColumn]);
+
+export const getSharedColumns = (interpretationRows, clusterRows) => {
+  const clusterColumns = new Set(columnsOf(clusterRows));
+  const columns = columnsOf(interpretationRows);
+  if (interpretationRows?.[0]?.[ROW_KEY] !== undefined && !columns.includes(ROW_KEY_COLUMN)) columns.push(ROW_KEY_COLUMN);
+  return columns.filter(col => clusterColumns.has(col));
+};
+
+// Real ID columns win; the row key only joins when neither file has one
+export const detectIdColumn = (interpretationRows, clusterRows) => {
+  const shared = getSharedColumns(interpretationRows, clusterRows);
+  return [...ID_COLUMN_CANDIDATES, ROW_KEY_COLUMN].find(col => shared.includes(col)) || null;
+};
+
+export const detectClusterColumn = (rows) => {
+  const columns = columnsOf(rows);
+  return CLUSTER_COLUMN_CANDIDATES.find(col => columns.includes(col)) || null;
+};
+
+export const joinClusterResults = (interpretationRows, clusterRows, idColumn) => {
+  const clusterColumn = detectClusterColumn(clusterRows);
+  const report = {
+    idColumn,
+    clusterColumn,
+    matched: 0,
+    rowsWithoutId: 0,
+    missingFromClusterResults: [],
+    missingFromInterpretation: [],
+    conflicts: [],
+    duplicateIds: { interpretation: [], clusterResults: [] }
+  };
+
+  // Index cluster assignments by ID, keeping the first occurrence of duplicates
+  const assignments = new Map();
+  clusterRows.forEach(row => {
+    if (isBlank(idValue(row, idColumn))) {
+      report.rowsWithoutId++;
+      return;
+    }
+    const id = String(idValue(row, idColumn)).trim();
+    if (assignments.has(id)) {
+      if (!report.duplicateIds.clusterResults.includes(id)) report.duplicateIds.clusterResults.push(id);
+      return;
+    }
+    assignments.set(id, clusterColumn ? row[clusterColumn] : null);
+  });
+
+  const rows = [];
+  const seen = new Set();
+  interpretationRows.forEach(row => {
+    if (isBlank(idValue(row, idColumn))) {
+      report.rowsWithoutId++;
+      return;
+    }
+    const id = String(idValue(row, idColumn)).trim();
+    if (seen.has(id)) {
+      if (!report.duplicateIds.interpretation.includes(id)) report.duplicateIds.interpretation.push(id);
+      return;
+    }
+    seen.add(id);
+
+    if (!assignments.has(id)) {
+      report.missingFromClusterResults.push(id);
+      return;
+    }
+
+    const cluster = assignments.get(id);
+    if (!isBlank(row.cluster) && String(row.cluster) !== String(cluster)) {
+      report.conflicts.push({ id, interpretation: row.cluster, clusterResults: cluster });
+    }
+    report.matched++;
+    rows.push({ ...row, cluster });
+  });
+
+  assignments.forEach((_, id) => {
+    if (!seen.has(id)) report.missingFromInterpretation.push(id);
+  });
+
+  return { rows, report };
+};
+
+export const hasReconciliationIssues = (report) =>
+  report.missingFromClusterResults.length > 0 ||
+  report.missingFromInterpretation.length > 0 ||
+  report.conflicts.length > 0 ||
+  report.duplicateIds.interpretation.length > 0 ||
+  report.duplicateIds.clusterResults.length > 0 ||
+  report.rowsWithoutId > 0;
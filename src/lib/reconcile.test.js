@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { ROW_KEY_COLUMN, detectIdColumn, joinClusterResults } from './reconcile';
+import { compareRuns } from './compare';
+import { ROW_KEY } from './schema';
+
+// Rows as applySchema() leaves them
+const upload = (rows) => rows.map((row, i) => ({ ...row, [ROW_KEY]: `row-${i + 1}` }));
+
+describe('joining on row keys', () => {
+  // Assignments computed in the app for an upload without a video ID column
+  const rows = upload([{ motion_mean: 0.1 }, { motion_mean: 0.5 }, { motion_mean: 0.9 }]);
+  const assignments = [{ [ROW_KEY_COLUMN]: 'row-1', cluster: 0 }, { [ROW_KEY_COLUMN]: 'row-2', cluster: 1 }, { [ROW_KEY_COLUMN]: 'row-3', cluster: 1 }];
+
+  it('joins assignments keyed by row key when neither side has an ID column', () => {
+    expect(detectIdColumn(rows, assignments)).toBe(ROW_KEY_COLUMN);
+    const { rows: joined, report } = joinClusterResults(rows, assignments, ROW_KEY_COLUMN);
+    expect(joined.map(row => row.cluster)).toEqual([0, 1, 1]);
+    expect(report).toMatchObject({ matched: 3, rowsWithoutId: 0, missingFromClusterResults: [] });
+  });
+
+  it('prefers a real ID column', () => {
+    const withIds = upload([{ video_id: 'a' }, { video_id: 'b' }]);
+    expect(detectIdColumn(withIds, [{ video_id: 'a', [ROW_KEY_COLUMN]: 'row-1', cluster: 0 }])).toBe('video_id');
+  });
+
+  it('compares a computed run against the current clusters', () => {
+    const current = rows.map((row, i) => ({ ...row, cluster: i === 0 ? 5 : 6 }));
+    const result = compareRuns(current, assignments, null, ['motion_mean']);
+    expect(result).toMatchObject({ idColumn: ROW_KEY_COLUMN, ari: 1, moved: [] });
+  });
+});
@@ -0,0 +1,155 @@
+// Shareable snapshot of the analysis as one self-contained HTML page: inline
+// styles and SVG charts, no scripts or external assets. The same page carries
+// print rules, so printing it (or "Save as PDF") gives a paged layout with one
+// cluster per page.
+
+import { getFeatureLabel, formatFeatureValue } from './features';
+import { RANGE_BASES, getRange } from './stats';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Video counts per cluster as horizontal bars
+const overviewChart = (clusters) => {
+  const barHeight = 22;
+  const labelWidth = 160;
+  const width = 640;
+  const max = clusters.reduce((m, c) => Math.max(m, c.count), 0) || 1;
+  const rows = clusters.map((c, i) => {
+    const y = i * (barHeight + 8);
+    const barWidth = ((width - labelWidth - 60) * c.count) / max;
+    return `
+      <text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end" class="axis">${escapeHtml(c.label)}</text>
+      <rect x="${labelWidth}" y="${y}" width="${barWidth.toFixed(1)}" height="${barHeight}" rx="3" fill="${c.color}" />
+      <text x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + 15}" class="value">${c.count}</text>`;
+  });
+  const height = clusters.length * (barHeight + 8);
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Videos per cluster">${rows.join('')}</svg>`;
+};
+
+// Radar of 0-100 normalized metric values, as drawn on the cluster cards
+const radarChart = (points, color) => {
+  const size = 300;
+  const center = size / 2;
+  const radius = 95;
+  if (points.length === 0) return '';
+  const at = (i, value) => {
+    const angle = (Math.PI * 2 * i) / points.length - Math.PI / 2;
+    return [center + Math.cos(angle) * radius * (value / 100), center + Math.sin(angle) * radius * (value / 100)];
+  };
+  const ring = (value) => points.map((_, i) => at(i, value).map(n => n.toFixed(1)).join(',')).join(' ');
+  const grid = [25, 50, 75, 100].map(v => `<polygon points="${ring(v)}" class="grid" />`).join('');
+  const spokes = points.map((_, i) => {
+    const [x, y] = at(i, 100);
+    return `<line x1="${center}" y1="${center}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}" class="grid" />`;
+  }).join('');
+  const labels = points.map((p, i) => {
+    const [x, y] = at(i, 122);
+    const anchor = Math.abs(x - center) < 5 ? 'middle' : x > center ? 'start' : 'end';
+    return `<text x="${x.toFixed(1)}" y="${(y + 4).toFixed(1)}" text-anchor="${anchor}" class="axis">${escapeHtml(p.metric)}</text>`;
+  }).join('');
+  const shape = points.map((p, i) => at(i, Math.max(0, Math.min(100, p.value))).map(n => n.toFixed(1)).join(',')).join(' ');
+  return `<svg viewBox="-60 0 ${size + 120} ${size}" width="100%" role="img" aria-label="Normalized metrics">
+    ${grid}${spokes}<polygon points="${shape}" fill="${color}" fill-opacity="0.35" stroke="${color}" stroke-width="2" />${labels}</svg>`;
+};
+
+const statTiles = (features, metrics, count, rangeBasis) => features.map(key => {
+  const metric = metrics[key];
+  if (!metric) return '';
+  const range = getRange(metric, rangeBasis).map(v => formatFeatureValue(key, v)).join(' – ');
+  const notes = [
+    range,
+    metric.count > 0 ? `σ ${formatFeatureValue(key, metric.std)}` : null,
+    metric.count < count ? `${count - metric.count} missing` : null
+  ].filter(Boolean).join(' · ');
+  return `<div class="tile"><p class="tile-label">${escapeHtml(getFeatureLabel(key))}</p>
+    <p class="tile-value">${escapeHtml(formatFeatureValue(key, metric.avg))}</p><p class="tile-note">${escapeHtml(notes)}</p></div>`;
+}).join('');
+
+const clusterSection = (c, features, rangeBasis) => `
+  <section class="cluster">
+    <h2 style="color: ${c.color}">Cluster ${escapeHtml(c.cluster)}${c.name ? ` <span class="name">· ${escapeHtml(c.name)}</span>` : ''}</h2>
+    <p class="muted">${c.count} videos${c.characteristics ? ` · ${escapeHtml(c.characteristics)}` : ''}</p>
+    <div class="columns">
+      <div>
+        <div class="approach">
+          <p><strong>Suggested:</strong> ${escapeHtml(c.suggestion.approach)} <span class="muted">(${escapeHtml(c.suggestion.confidence)} confidence)</span></p>
+          <p class="muted">${escapeHtml(c.suggestion.reason)}</p>
+          <p><strong>Chosen:</strong> ${c.chosen ? escapeHtml(c.chosen) : '<span class="muted">not chosen yet</span>'}</p>
+        </div>
+        <div class="tiles">${statTiles(features, c.metrics, c.count, rangeBasis)}</div>
+      </div>
+      <div>${radarChart(c.radar, c.color)}</div>
+    </div>
+    ${c.spec
+      ? `<h3>Generation spec</h3><pre>${escapeHtml(JSON.stringify(c.spec, null, 2))}</pre>`
+      : '<p class="muted">No generation spec for this cluster.</p>'}
+  </section>`;
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; margin: 0; padding: 32px; background: #f8fafc; }
+  main { max-width: 1000px; margin: 0 auto; }
+  h1 { margin: 0 0 4px; font-size: 28px; }
+  h2 { margin: 0 0 4px; font-size: 22px; }
+  h2 .name { color: #334155; font-weight: 500; }
+  h3 { margin: 16px 0 6px; font-size: 14px; text-transform: uppercase; letter-spacing: 0.04em; color: #475569; }
+  .muted { color: #64748b; margin: 2px 0; font-size: 13px; }
+  .meta { font-size: 13px; color: #334155; margin: 0 0 24px; }
+  .meta td { padding: 1px 12px 1px 0; }
+  section { background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin-bottom: 20px; }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; align-items: start; margin-top: 12px; }
+  .approach { background: #f1f5f9; border-radius: 6px; padding: 10px 12px; margin-bottom: 12px; font-size: 13px; }
+  .approach p { margin: 2px 0; }
+  .tiles { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+  .tile { border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px 10px; }
+  .tile p { margin: 0; }
+  .tile-label { font-size: 11px; color: #64748b; }
+  .tile-value { font-size: 18px; font-weight: 600; }
+  .tile-note { font-size: 11px; color: #94a3b8; }
+  pre { background: #0f172a; color: #86efac; font-size: 11px; padding: 12px; border-radius: 6px; white-space: pre-wrap; word-break: break-word; }
+  svg text { font-size: 11px; fill: #334155; }
+  svg .value { fill: #0f172a; font-weight: 600; }
+  svg .grid { fill: none; stroke: #cbd5e1; }
+  @page { size: A4; margin: 14mm; }
+  @media print {
+    body { background: #fff; padding: 0; }
+    section { border: none; padding: 0; margin: 0; }
+    section.cluster { break-before: page; }
+    .columns, .tile, .approach { break-inside: avoid; }
+    pre { background: #f8fafc; color: #0f172a; border: 1px solid #e2e8f0; font-size: 9px; }
+  }
+`;
+
+// clusters: [{ cluster, name, label, count, color, characteristics, suggestion: { approach, confidence, reason },
+// chosen, metrics, radar: [{ metric, value }], spec }]; inputs: [[label, file name]]
+export const buildReportHtml = ({ title, generatedAt, inputs, features, rangeBasis, clusters }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHtml(title)}</h1>
+  <table class="meta">
+    <tr><td>Generated</td><td>${escapeHtml(generatedAt.toLocaleString())}</td></tr>
+    ${inputs.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}
+    <tr><td>Metrics</td><td>${escapeHtml(features.map(getFeatureLabel).join(', '))}</td></tr>
+    <tr><td>Ranges</td><td>${escapeHtml((RANGE_BASES[rangeBasis] || RANGE_BASES.minmax).label)}</td></tr>
+  </table>
+  <section>
+    <h2>Overview</h2>
+    <p class="muted">${clusters.reduce((sum, c) => sum + c.count, 0)} videos in ${clusters.length} clusters</p>
+    ${overviewChart(clusters)}
+  </section>
+  ${clusters.map(c => clusterSection(c, features, rangeBasis)).join('')}
+</main>
+</body>
+</html>
+`;
@@ -0,0 +1,153 @@
+// Ordered, user-editable rules behind the suggested approach and the cluster
+// characteristic labels. The default preset carries the original thresholds.
+//
+// A condition reads one metric on one of two scales:
+//   normalized — the cluster's radar value, 0-100 relative to the other clusters
+//   raw        — the cluster's average in the CSV's own units
+// Conditions on a metric that isn't selected (or has no values) never match.
+// This differs from the original hard-coded rules, which counted a missing value
+// as 0: an upload without motion_mean used to be labelled "Low Motion" and could
+// satisfy "motion < 40"; now it gets no motion label and such a rule is skipped.
+
+export const RULES_FORMAT = 'cluster-analysis-rules';
+export const RULES_VERSION = 1;
+
+export const APPROACHES = ['text-driven', 'image-conditioned', 'motion-focused'];
+export const CONFIDENCES = ['high', 'medium', 'low'];
+export const OPERATORS = ['>', '>=', '<', '<='];
+export const SCALES = ['normalized', 'raw'];
+
+const PRESETS_STORAGE_KEY = 'cluster-analysis:rule-presets';
+
+let nextId = 0;
+export const ruleId = () => `rule-${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+const cond = (metric, op, value, scale) => ({ metric, op, value, scale });
+
+export const DEFAULT_PRESET = {
+  name: 'Default',
+  approachRules: [
+    {
+      id: 'default-motion-cuts', match: 'all',
+      conditions: [cond('motion_mean', '>', 60, 'normalized'), cond('cut_rate_per_min', '>', 60, 'normalized')],
+      approach: 'motion-focused', confidence: 'high', reason: 'High motion + fast cuts = movement-driven content'
+    },
+    {
+      id: 'default-dense', match: 'all',
+      conditions: [cond('visual_density', '>', 70, 'normalized')],
+      approach: 'image-conditioned', confidence: 'high', reason: 'Strong visual composition and density'
+    },
+    {
+      id: 'default-visual-still', match: 'all',
+      conditions: [cond('visual_density', '>', 50, 'normalized'), cond('motion_mean', '<', 40, 'normalized')],
+      approach: 'image-conditioned', confidence: 'medium', reason: 'Visual-focused with minimal movement'
+    },
+    {
+      id: 'default-motion', match: 'all',
+      conditions: [cond('motion_mean', '>', 70, 'normalized')],
+      approach: 'motion-focused', confidence: 'medium', reason: 'Significant camera/subject movement'
+    },
+    {
+      id: 'default-audio', match: 'any',
+      conditions: [cond('audio_rms_std', '>', 70, 'normalized'), cond('audio_rms_mean', '>', 70, 'normalized')],
+      approach: 'text-driven', confidence: 'medium', reason: 'Distinctive audio characteristics suggest narrative/thematic content'
+    },
+    {
+      id: 'default-fallback', match: 'all',
+      conditions: [],
+      approach: 'text-driven', confidence: 'low', reason: 'Balanced metrics - best suited for conceptual/thematic generation'
+    }
+  ],
+  characteristicRules: [
+    { id: 'char-high-motion', label: 'High Motion', match: 'all', conditions: [cond('motion_mean', '>', 0.5, 'raw')] },
+    { id: 'char-low-motion', label: 'Low Motion', match: 'all', conditions: [cond('motion_mean', '<', 0.2, 'raw')] },
+    { id: 'char-medium-motion', label: 'Medium Motion', match: 'all', conditions: [cond('motion_mean', '>=', 0.2, 'raw'), cond('motion_mean', '<=', 0.5, 'raw')] },
+    { id: 'char-fast-cuts', label: 'Fast Cuts', match: 'all', conditions: [cond('cut_rate_per_min', '>', 120, 'raw')] },
+    { id: 'char-slow-cuts', label: 'Slow Cuts', match: 'all', conditions: [cond('cut_rate_per_min', '<', 30, 'raw')] },
+    { id: 'char-medium-pacing', label: 'Medium Pacing', match: 'all', conditions: [cond('cut_rate_per_min', '>=', 30, 'raw'), cond('cut_rate_per_min', '<=', 120, 'raw')] },
+    { id: 'char-dense', label: 'Visually Dense', match: 'all', conditions: [cond('visual_density', '>', 0.6, 'raw')] },
+    { id: 'char-simple', label: 'Visually Simple', match: 'all', conditions: [cond('visual_density', '<', 0.3, 'raw')] },
+    { id: 'char-loud', label: 'Loud Audio', match: 'all', conditions: [cond('audio_rms_mean', '>', 0.5, 'raw')] },
+    { id: 'char-quiet', label: 'Quiet Audio', match: 'all', conditions: [cond('audio_rms_mean', '<', 0.2, 'raw')] }
+  ]
+};
+
+export const clonePreset = (preset) => JSON.parse(JSON.stringify(preset));
+
+// normalized: { [metric]: 0-100 } for the cluster, as drawn on its radar chart
+const metricValue = (condition, stats, normalized) => {
+  const value = condition.scale === 'raw' ? stats.metrics[condition.metric]?.avg : normalized[condition.metric];
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+export const evaluateCondition = (condition, stats, normalized) => {
+  const value = metricValue(condition, stats, normalized);
+  if (value === null) return false;
+  switch (condition.op) {
+    case '>': return value > condition.value;
+    case '>=': return value >= condition.value;
+    case '<': return value < condition.value;
+    case '<=': return value <= condition.value;
+    default: return false;
+  }
+};
+
+// A rule without conditions always fires, which makes it a catch-all
+export const ruleMatches = (rule, stats, normalized) => {
+  if (rule.conditions.length === 0) return true;
+  return rule.match === 'any'
+    ? rule.conditions.some(c => evaluateCondition(c, stats, normalized))
+    : rule.conditions.every(c => evaluateCondition(c, stats, normalized));
+};
+
+// First matching approach rule wins
+export const suggestFromRules = (rules, stats, normalized) => {
+  const rule = rules.find(r => ruleMatches(r, stats, normalized));
+  if (!rule) return { approach: 'text-driven', confidence: 'low', reason: 'No rule matched', ruleId: null };
+  return { approach: rule.approach, confidence: rule.confidence, reason: rule.reason, ruleId: rule.id };
+};
+
+// Every matching characteristic rule contributes its label
+export const characteristicsFromRules = (rules, stats, normalized) =>
+  rules.filter(r => ruleMatches(r, stats, normalized)).map(r => r.label);
+
+const validConditions = (conditions) => Array.isArray(conditions) && conditions.every(c =>
+  c && typeof c.metric === 'string' && OPERATORS.includes(c.op) && typeof c.value === 'number' && SCALES.includes(c.scale));
+
+// Returns an error message, or null when the preset is usable
+export const validatePreset = (preset) => {
+  if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) return 'Preset needs a name';
+  if (!Array.isArray(preset.approachRules) || !Array.isArray(preset.characteristicRules)) return 'Preset needs approachRules and characteristicRules lists';
+  const badApproach = preset.approachRules.findIndex(r =>
+    !validConditions(r.conditions) || !APPROACHES.includes(r.approach) || !CONFIDENCES.includes(r.confidence));
+  if (badApproach !== -1) return `Approach rule ${badApproach + 1} is invalid`;
+  const badCharacteristic = preset.characteristicRules.findIndex(r => !validConditions(r.conditions) || typeof r.label !== 'string');
+  if (badCharacteristic !== -1) return `Characteristic rule ${badCharacteristic + 1} is invalid`;
+  return null;
+};
+
+export const serializePreset = (preset) => JSON.stringify({ format: RULES_FORMAT, version: RULES_VERSION, preset }, null, 2);
+
+export const parsePresetFile = (text) => {
+  const data = JSON.parse(text);
+  if (data?.format !== RULES_FORMAT) return { error: 'Not a rules preset file' };
+  const error = validatePreset(data.preset);
+  if (error) return { error };
+  // Fresh ids so an imported preset never shares ids with an existing one
+  const preset = clonePreset(data.preset);
+  [...preset.approachRules, ...preset.characteristicRules].forEach(rule => { rule.id = ruleId(); });
+  return { preset };
+};
+
+export const loadSavedPresets = () => {
+  try {
+    const presets = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '[]');
+    return presets.filter(p => !validatePreset(p));
+  } catch {
+    return [];
+  }
+};
+
+export const storeSavedPresets = (presets) => {
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PRESET, evaluateCondition, suggestFromRules, characteristicsFromRules } from './rules';
+import { radarProfiles, normalizedMetrics } from './analysis';
+import { groupClusterStats } from './stats';
+
+const analyse = (rows, features) => {
+  const stats = groupClusterStats(rows, features);
+  const profiles = radarProfiles(stats, features);
+  return stats.map(s => ({ stats: s, normalized: normalizedMetrics(profiles[s.cluster]) }));
+};
+
+describe('evaluateCondition', () => {
+  const [{ stats, normalized }] = analyse([{ cluster: 0, motion_mean: 0.1 }], ['motion_mean']);
+
+  it('compares the raw average or the normalized value', () => {
+    expect(evaluateCondition({ metric: 'motion_mean', op: '<', value: 0.2, scale: 'raw' }, stats, normalized)).toBe(true);
+    expect(evaluateCondition({ metric: 'motion_mean', op: '>=', value: 50, scale: 'normalized' }, stats, normalized)).toBe(true);
+  });
+
+  // The original hard-coded rules read a missing metric as 0, so "< threshold" fired
+  it('never matches a metric the cluster has no values for', () => {
+    expect(evaluateCondition({ metric: 'cut_rate_per_min', op: '<', value: 30, scale: 'raw' }, stats, normalized)).toBe(false);
+    expect(evaluateCondition({ metric: 'cut_rate_per_min', op: '<', value: 40, scale: 'normalized' }, stats, normalized)).toBe(false);
+  });
+});
+
+describe('default preset on uploads without some metrics', () => {
+  it('labels only the metrics that have values', () => {
+    const clusters = analyse([
+      { cluster: 0, cut_rate_per_min: 150 },
+      { cluster: 1, cut_rate_per_min: 20 }
+    ], ['motion_mean', 'cut_rate_per_min', 'visual_density', 'audio_rms_mean']);
+    const labels = clusters.map(({ stats, normalized }) => characteristicsFromRules(DEFAULT_PRESET.characteristicRules, stats, normalized));
+    // Previously "Low Motion • Fast Cuts • Visually Simple • Quiet Audio" and "Low Motion • Slow Cuts • …"
+    expect(labels).toEqual([['Fast Cuts'], ['Slow Cuts']]);
+  });
+
+  it('skips approach rules that need a missing metric', () => {
+    // Dense and still: "visual_density > 50 and motion_mean < 40" used to fire with no motion column
+    const clusters = analyse([
+      { cluster: 0, visual_density: 0.65 },
+      { cluster: 1, visual_density: 0.3 },
+      { cluster: 2, visual_density: 0.9 }
+    ], ['motion_mean', 'visual_density']);
+    expect(clusters.map(({ stats, normalized }) => suggestFromRules(DEFAULT_PRESET.approachRules, stats, normalized).ruleId))
+      .toEqual(['default-fallback', 'default-fallback', 'default-dense']);
+  });
+
+  it('leaves a cluster missing values out of the normalized rules while others keep them', () => {
+    const clusters = analyse([
+      { cluster: 0, motion_mean: 0.9, cut_rate_per_min: 150, visual_density: 0.2 },
+      { cluster: 1, motion_mean: 0.1, cut_rate_per_min: 10, visual_density: 0.3 },
+      { cluster: 2, cut_rate_per_min: 100, visual_density: 0.8 }
+    ], ['motion_mean', 'cut_rate_per_min', 'visual_density']);
+    expect(clusters[2].normalized).not.toHaveProperty('motion_mean');
+    expect(suggestFromRules(DEFAULT_PRESET.approachRules, clusters[0].stats, clusters[0].normalized).ruleId).toBe('default-motion-cuts');
+    expect(suggestFromRules(DEFAULT_PRESET.approachRules, clusters[2].stats, clusters[2].normalized).ruleId).toBe('default-dense');
+  });
+});
@@ -0,0 +1,140 @@
+// Expected interpretation.csv columns, how to recognise them under other names,
+// and what to do with rows whose values are empty or non-numeric.
+
+export const EXPECTED_COLUMNS = [
+  { key: 'cluster', label: 'Cluster', numeric: false, aliases: ['cluster_id', 'label', 'cluster_label'] },
+  { key: 'motion_mean', label: 'Motion', numeric: true, aliases: ['motion', 'avg_motion', 'mean_motion'] },
+  { key: 'cut_rate_per_min', label: 'Cut Rate', numeric: true, aliases: ['cut_rate', 'cuts_per_min', 'cuts_per_minute', 'cpm'] },
+  { key: 'audio_rms_mean', label: 'Audio RMS Mean', numeric: true, aliases: ['audio_rms', 'rms_mean', 'audio_mean', 'loudness'] },
+  { key: 'audio_rms_std', label: 'Audio RMS Std', numeric: true, aliases: ['rms_std', 'audio_std', 'audio_rms_sd'] },
+  { key: 'visual_density', label: 'Visual Density', numeric: true, aliases: ['density', 'visual_complexity'] }
+];
+
+export const POLICIES = ['exclude', 'impute', 'fail'];
+export const IMPUTE_STRATEGIES = ['mean', 'median', 'zero'];
+
+// Stable key of an uploaded row, `row-N` from its line in the file (1-based, data
+// rows only). Videos without an ID column are pinned and moved by it, so it has to
+// survive joins, edits and moves; as a symbol it never shows up as a column.
+export const ROW_KEY = Symbol('rowKey');
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const isValidNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Maps each expected key to a column in the file: exact name first, then a
+// case/punctuation-insensitive match on the key or one of its aliases.
+export const suggestMapping = (columns) => {
+  const mapping = {};
+  EXPECTED_COLUMNS.forEach(({ key, aliases }) => {
+    if (columns.includes(key)) {
+      mapping[key] = key;
+      return;
+    }
+    const names = [key, ...aliases].map(normalizeName);
+    mapping[key] = columns.find(col => names.includes(normalizeName(col))) || null;
+  });
+  return mapping;
+};
+
+export const defaultPolicies = () => {
+  const policies = {};
+  EXPECTED_COLUMNS.filter(c => c.numeric).forEach(({ key }) => {
+    policies[key] = { action: 'exclude', impute: 'mean' };
+  });
+  return policies;
+};
+
+// Row indexes (0-based, data rows only) with a missing or non-numeric value per
+// expected column. An unmapped column has no invalid rows: that feature is
+// simply unavailable for this file.
+export const findInvalidRows = (rows, mapping) => {
+  const invalid = {};
+  EXPECTED_COLUMNS.forEach(({ key, numeric }) => {
+    const source = mapping[key];
+    invalid[key] = [];
+    if (!source) return;
+    rows.forEach((row, index) => {
+      const value = row[source];
+      if (numeric ? !isValidNumber(value) : isBlank(value)) {
+        invalid[key].push({ index, value });
+      }
+    });
+  });
+  return invalid;
+};
+
+export const isCleanUpload = (rows, mapping) => {
+  const invalid = findInvalidRows(rows, mapping);
+  return EXPECTED_COLUMNS.every(({ key }) => mapping[key] === key && invalid[key].length === 0);
+};
+
+const imputeValue = (values, strategy) => {
+  if (strategy === 'zero' || values.length === 0) return 0;
+  if (strategy === 'median') {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+  return values.reduce((a, b) => a + b, 0) / values.length;
+};
+
+// Renames mapped columns to their expected names, dropping the original column so
+// it isn't offered as a second feature, and applies the per-column policy to
+// invalid values. Returns { rows, summary } or { error }.
+export const applySchema = (rows, mapping, policies) => {
+  const invalid = findInvalidRows(rows, mapping);
+
+  // The cluster column is only renamed: cluster_results.csv can supply it
+  const failures = EXPECTED_COLUMNS
+    .filter(({ key, numeric }) => numeric && invalid[key].length > 0 && policies[key].action === 'fail')
+    .map(({ key }) => `${key}: ${invalid[key].length} rows with missing or non-numeric values`);
+  if (failures.length > 0) {
+    return { error: `Upload rejected. ${failures.join('; ')}` };
+  }
+
+  const excluded = new Set();
+  const imputed = {};
+  EXPECTED_COLUMNS.filter(c => c.numeric).forEach(({ key }) => {
+    if (policies[key].action === 'exclude') {
+      invalid[key].forEach(({ index }) => excluded.add(index));
+    }
+  });
+
+  const fills = {};
+  EXPECTED_COLUMNS.filter(c => c.numeric).forEach(({ key }) => {
+    if (policies[key].action !== 'impute' || invalid[key].length === 0) return;
+    const source = mapping[key];
+    const valid = rows
+      .filter((row, index) => !excluded.has(index) && isValidNumber(row[source]))
+      .map(row => row[source]);
+    fills[key] = imputeValue(valid, policies[key].impute);
+    imputed[key] = invalid[key].filter(({ index }) => !excluded.has(index)).length;
+  });
+
+  // Sources are dropped before the expected columns are written from the original row
+  const renamed = EXPECTED_COLUMNS
+    .filter(({ key }) => mapping[key] && mapping[key] !== key)
+    .map(({ key }) => mapping[key]);
+
+  const cleaned = [];
+  rows.forEach((row, index) => {
+    if (excluded.has(index)) return;
+    const next = { ...row, [ROW_KEY]: `row-${index + 1}` };
+    renamed.forEach(source => { delete next[source]; });
+    EXPECTED_COLUMNS.forEach(({ key, numeric }) => {
+      const source = mapping[key];
+      if (!source) return;
+      const value = row[source];
+      next[key] = numeric && !isValidNumber(value) ? fills[key] : value;
+    });
+    cleaned.push(next);
+  });
+
+  return {
+    rows: cleaned,
+    summary: { total: rows.length, excluded: excluded.size, imputed }
+  };
+};
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { suggestMapping, defaultPolicies, applySchema, ROW_KEY } from './schema';
+import { detectNumericColumns } from './features';
+
+describe('applySchema', () => {
+  const rows = [
+    { video_id: 'a', cluster_id: 0, motion: 0.4, density: 0.2, cut_rate_per_min: 30 },
+    { video_id: 'b', cluster_id: 1, motion: 0.6, density: 0.5, cut_rate_per_min: 90 }
+  ];
+
+  it('renames aliased columns without keeping the original', () => {
+    const { rows: cleaned } = applySchema(rows, suggestMapping(Object.keys(rows[0])), defaultPolicies());
+    expect(cleaned[0]).toEqual({ video_id: 'a', cluster: 0, motion_mean: 0.4, visual_density: 0.2, cut_rate_per_min: 30, [ROW_KEY]: 'row-1' });
+    expect(detectNumericColumns(cleaned)).not.toContain('motion');
+  });
+
+  it('keeps a column mapped onto another expected name', () => {
+    const mapping = { ...suggestMapping(Object.keys(rows[0])), visual_density: 'cut_rate_per_min', cut_rate_per_min: 'density' };
+    const { rows: cleaned } = applySchema(rows, mapping, defaultPolicies());
+    expect(cleaned[1]).toMatchObject({ visual_density: 90, cut_rate_per_min: 0.5 });
+    expect(cleaned[1]).not.toHaveProperty('density');
+  });
+});
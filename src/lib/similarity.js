@@ -0,0 +1,43 @@
+// Cluster-to-cluster similarity on normalized centroids: each cluster's metric
+// averages in z-score units of the whole dataset, so metrics on different scales
+// weigh equally, compared by root-mean-square difference.
+
+import { isFiniteNumber } from './features';
+
+// Centroids closer than this (in standard deviations per metric) are near-duplicates
+export const NEAR_DUPLICATE_DISTANCE = 0.25;
+export const SIMILAR_LIMIT = 3;
+
+// One z-scored centroid per cluster; a metric without values sits at the dataset mean
+export const normalizedCentroids = (clusterStats, features, scales) =>
+  clusterStats.map(stats => features.map(key => {
+    const avg = stats.metrics[key]?.avg;
+    return isFiniteNumber(avg) && scales[key] ? (avg - scales[key].mean) / scales[key].std : 0;
+  }));
+
+// RMS difference per metric, so distances read the same whatever the feature count
+const rmsDistance = (a, b) => {
+  if (a.length === 0) return 0;
+  const sum = a.reduce((acc, value, i) => acc + (value - b[i]) ** 2, 0);
+  return Math.sqrt(sum / a.length);
+};
+
+// Returns { clusters: [cluster ids], distances: [[distance]] } in clusterStats order
+export const clusterDistanceMatrix = (clusterStats, features, scales) => {
+  const centroids = normalizedCentroids(clusterStats, features, scales);
+  return {
+    clusters: clusterStats.map(stats => stats.cluster),
+    distances: centroids.map(a => centroids.map(b => rmsDistance(a, b)))
+  };
+};
+
+// { [cluster]: [{ cluster, distance, nearDuplicate }] }, closest first, at most `limit` each
+export const mostSimilarClusters = ({ clusters, distances }, limit = SIMILAR_LIMIT) =>
+  Object.fromEntries(clusters.map((cluster, i) => [
+    cluster,
+    clusters
+      .map((other, j) => ({ cluster: other, distance: distances[i][j], nearDuplicate: distances[i][j] < NEAR_DUPLICATE_DISTANCE }))
+      .filter((_, j) => j !== i)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
+  ]));
@@ -0,0 +1,26 @@
+// Field-level comparison of two generation specs, used to flag specs that no
+// longer match what the current data and settings would generate.
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const formatPath = (path) => path.reduce(
+  (text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key),
+  ''
+);
+
+// Returns [{ path, before, after }] for every leaf that differs; key order is ignored.
+// A value missing on one side shows up as undefined.
+export const diffSpecs = (before, after, path = []) => {
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffSpecs(before[key], after[key], [...path, key]));
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    return Array.from({ length }, (_, i) => diffSpecs(before[i], after[i], [...path, i])).flat();
+  }
+  return Object.is(before, after) ? [] : [{ path: formatPath(path), before, after }];
+};
+
+// Top-level spec fields touched by a diff, e.g. ['feature_profile', 'trend_tokens']
+export const changedSections = (differences) => [...new Set(differences.map(d => d.path.split(/[.[]/)[0]))];
@@ -0,0 +1,128 @@
+// Versioned generation-spec format: the published JSON Schema, validation, and
+// the migrations that upgrade specs exported by older versions of the tool.
+
+import specSchema from '../schemas/generation-spec-2.2.0.json';
+import { validateAgainstSchema } from './jsonSchema';
+
+export const SPEC_SCHEMA_VERSION = '2.2.0';
+export const SPEC_SCHEMA = specSchema;
+export const SPEC_SCHEMA_FILE_NAME = `generation-spec-${SPEC_SCHEMA_VERSION}.json`;
+
+// Specs exported before versioning carry no schema_version
+const LEGACY_VERSION = '1.0.0';
+
+const compareVersions = (a, b) => {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  }
+  return 0;
+};
+
+// Each step upgrades a spec from one version to the next and lists what it changed
+const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '2.0.0',
+    migrate: (spec) => {
+      const next = { schema_version: '2.0.0', ...spec };
+      const changes = ['added schema_version'];
+      if (!next.feature_profile) {
+        next.feature_profile = {};
+        changes.push('added empty feature_profile');
+      }
+      if (!next.representative_examples) {
+        next.representative_examples = [];
+        changes.push('added empty representative_examples');
+      }
+      const motion = next.base_prompt_components?.motion_profile;
+      if (motion && !motion.range_basis) {
+        next.base_prompt_components = {
+          ...next.base_prompt_components,
+          motion_profile: { ...motion, range_basis: 'minmax' }
+        };
+        changes.push('set motion_profile.range_basis to minmax');
+      }
+      return { spec: next, changes };
+    }
+  },
+  {
+    from: '2.0.0',
+    to: '2.1.0',
+    // cluster_quality is optional, so 2.0.0 specs only need the new version
+    migrate: (spec) => ({ spec: { ...spec, schema_version: '2.1.0' }, changes: ['bumped schema_version'] })
+  },
+  {
+    from: '2.1.0',
+    to: '2.2.0',
+    // cluster_name is optional too
+    migrate: (spec) => ({ spec: { ...spec, schema_version: '2.2.0' }, changes: ['bumped schema_version'] })
+  }
+];
+
+export const getSpecVersion = (spec) => spec?.schema_version || LEGACY_VERSION;
+
+// Returns { spec, changes } upgraded to the current version, or { error }
+export const migrateSpec = (spec) => {
+  let version = getSpecVersion(spec);
+  if (compareVersions(version, SPEC_SCHEMA_VERSION) > 0) {
+    return { error: `schema_version ${version} is newer than this tool supports (${SPEC_SCHEMA_VERSION})` };
+  }
+
+  let current = spec;
+  const changes = [];
+  while (version !== SPEC_SCHEMA_VERSION) {
+    const step = MIGRATIONS.find(m => m.from === version);
+    if (!step) return { error: `No migration from schema_version ${version}` };
+    const result = step.migrate(current);
+    current = result.spec;
+    changes.push(...result.changes.map(change => `${step.from} → ${step.to}: ${change}`));
+    version = step.to;
+  }
+  return { spec: current, changes };
+};
+
+export const validateSpec = (spec) => validateAgainstSchema(spec, SPEC_SCHEMA);
+
+// { [cluster]: errors } for every spec that fails validation
+export const validateSpecs = (specs) => {
+  const invalid = {};
+  Object.entries(specs).forEach(([cluster, spec]) => {
+    const errors = validateSpec(spec);
+    if (errors.length > 0) invalid[cluster] = errors;
+  });
+  return invalid;
+};
+
+// Accepts an exported generation_specs.json (cluster → spec), a list of specs or a
+// single spec. Returns { specs, migrated, errors } keyed by cluster.
+export const parseSpecFile = (text) => {
+  const data = JSON.parse(text);
+  let entries;
+  if (Array.isArray(data)) entries = data.map(spec => [spec?.cluster_id, spec]);
+  else if (data && 'cluster_id' in data) entries = [[data.cluster_id, data]];
+  else if (data && typeof data === 'object') entries = Object.entries(data);
+  else throw new Error('Expected an object of specs keyed by cluster');
+
+  const specs = {};
+  const migrated = {};
+  const errors = {};
+  entries.forEach(([cluster, spec]) => {
+    const key = String(cluster ?? spec?.cluster_id);
+    const result = migrateSpec(spec);
+    if (result.error) {
+      errors[key] = [{ path: 'schema_version', message: result.error }];
+      return;
+    }
+    const problems = validateSpec(result.spec);
+    if (problems.length > 0) {
+      errors[key] = problems;
+      return;
+    }
+    specs[key] = result.spec;
+    if (result.changes.length > 0) migrated[key] = result.changes;
+  });
+
+  return { specs, migrated, errors };
+};
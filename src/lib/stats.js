@@ -0,0 +1,169 @@
+// Descriptive statistics for a metric within a cluster.
+
+import { isFiniteNumber } from './features';
+import { computeClusterQuality } from './quality';
+
+export const RANGE_BASES = {
+  minmax: { label: 'min – max', lo: 'min', hi: 'max' },
+  p10_p90: { label: 'p10 – p90', lo: 'p10', hi: 'p90' },
+  p25_p75: { label: 'p25 – p75', lo: 'p25', hi: 'p75' }
+};
+
+// Linear interpolation between closest ranks, on an ascending array
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  return sorted[base + 1] !== undefined
+    ? sorted[base] + rest * (sorted[base + 1] - sorted[base])
+    : sorted[base];
+};
+
+export const EMPTY_SUMMARY = {
+  count: 0, avg: null, std: null, min: null, p10: null, p25: null, median: null, p75: null, p90: null, max: null
+};
+
+// Single-pass running summary: count, Welford mean/variance and min/max update per
+// value; the values themselves are kept only for the quantiles at the end
+export const createAccumulator = () => ({ n: 0, mean: 0, m2: 0, min: Infinity, max: -Infinity, values: [] });
+
+export const accumulate = (acc, value) => {
+  acc.n++;
+  const delta = value - acc.mean;
+  acc.mean += delta / acc.n;
+  acc.m2 += delta * (value - acc.mean);
+  if (value < acc.min) acc.min = value;
+  if (value > acc.max) acc.max = value;
+  acc.values.push(value);
+  return acc;
+};
+
+export const finishAccumulator = (acc) => {
+  if (acc.n === 0) return { ...EMPTY_SUMMARY };
+
+  // Typed arrays sort numerically without a comparator, much faster on large clusters
+  const sorted = Float64Array.from(acc.values).sort();
+  // Sample standard deviation; a single video has no spread
+  const variance = acc.n > 1 ? acc.m2 / (acc.n - 1) : 0;
+
+  return {
+    count: acc.n,
+    avg: acc.mean,
+    std: Math.sqrt(variance),
+    min: acc.min,
+    p10: quantile(sorted, 0.1),
+    p25: quantile(sorted, 0.25),
+    median: quantile(sorted, 0.5),
+    p75: quantile(sorted, 0.75),
+    p90: quantile(sorted, 0.9),
+    max: acc.max
+  };
+};
+
+export const summarize = (values) => finishAccumulator(values.reduce(accumulate, createAccumulator()));
+
+// [min, max] of the finite values, or null; a loop rather than Math.min(...values),
+// which overflows the call stack on large arrays
+export const extent = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (!isFiniteNumber(value)) return;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return min <= max ? [min, max] : null;
+};
+
+export const getRange = (summary, basis) => {
+  const { lo, hi } = RANGE_BASES[basis] || RANGE_BASES.minmax;
+  return [summary[lo], summary[hi]];
+};
+
+// Orders cluster labels numerically when both are numbers, else as text
+export const byLabel = (a, b) => {
+  const na = Number(a);
+  const nb = Number(b);
+  return Number.isNaN(na) || Number.isNaN(nb) ? String(a).localeCompare(String(b)) : na - nb;
+};
+
+// Rows as typed columns, built in one pass: codes[i] indexes labels for row i's
+// cluster, values[f][i] is feature f of row i (NaN when missing or non-numeric).
+// This is what goes to the stats worker, as transferable buffers.
+export const toClusterColumns = (rows, features) => {
+  const codes = new Int32Array(rows.length);
+  const values = features.map(() => new Float64Array(rows.length));
+  const labels = [];
+  const codeOf = new Map();
+  rows.forEach((row, i) => {
+    const key = String(row.cluster);
+    let code = codeOf.get(key);
+    if (code === undefined) {
+      code = labels.length;
+      codeOf.set(key, code);
+      labels.push(row.cluster);
+    }
+    codes[i] = code;
+    features.forEach((feature, f) => {
+      values[f][i] = isFiniteNumber(row[feature]) ? row[feature] : NaN;
+    });
+  });
+  return { labels, codes, values };
+};
+
+// Stats per cluster from toClusterColumns() output, in one pass over the rows:
+// [{ cluster, count, metrics: { [key]: summary }, indexes }] sorted by cluster,
+// indexes being the row positions of the cluster's videos
+export const summarizeClusterColumns = ({ labels, codes, values }, features) => {
+  const counts = new Int32Array(labels.length);
+  codes.forEach(code => { counts[code]++; });
+  const groups = labels.map((cluster, code) => ({
+    cluster,
+    indexes: new Int32Array(counts[code]),
+    filled: 0,
+    metrics: features.map(() => createAccumulator())
+  }));
+
+  codes.forEach((code, i) => {
+    const group = groups[code];
+    group.indexes[group.filled++] = i;
+    // Missing values are left out of that metric rather than counted as 0
+    values.forEach((column, f) => {
+      if (!Number.isNaN(column[i])) accumulate(group.metrics[f], column[i]);
+    });
+  });
+
+  return groups
+    .map(group => ({
+      cluster: group.cluster,
+      count: group.indexes.length,
+      metrics: Object.fromEntries(features.map((key, f) => [key, finishAccumulator(group.metrics[f])])),
+      indexes: group.indexes
+    }))
+    .sort((a, b) => byLabel(a.cluster, b.cluster));
+};
+
+// What the cluster stats worker computes: the summaries over all columns and the
+// cluster quality over the metric columns among them (qualityIndexes)
+export const summarizeClusters = (columns, features, qualityIndexes) => {
+  const stats = summarizeClusterColumns(columns, features);
+  const quality = computeClusterQuality(columns, stats.map(entry => entry.cluster), qualityIndexes);
+  return { stats, quality };
+};
+
+// Puts the rows back on summarizeClusterColumns() entries as their videos
+export const attachVideos = (stats, rows) => stats.map(({ indexes, ...entry }) => ({
+  ...entry,
+  videos: Array.from(indexes, i => rows[i])
+}));
+
+// One entry per cluster label in rows: { cluster, count, metrics: { [key]: summary }, videos }
+export const groupClusterStats = (rows, features) =>
+  attachVideos(summarizeClusterColumns(toClusterColumns(rows, features), features), rows);
+
+// The same stats limited to some metrics; one not computed yet reads as having no values
+export const pickMetrics = (stats, keys) => stats.map(entry => ({
+  ...entry,
+  metrics: Object.fromEntries(keys.map(key => [key, entry.metrics[key] || { ...EMPTY_SUMMARY }]))
+}));
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { summarize, groupClusterStats, extent, quantile, getRange } from './stats';
+import { loadFixture } from '../test/fixtures';
+
+const FEATURES = ['motion_mean', 'cut_rate_per_min', 'visual_density'];
+
+describe('summarize', () => {
+  it('matches a two-pass mean and sample standard deviation', () => {
+    const values = [3, 1, 4, 1, 5, 9, 2, 6];
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const std = Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (values.length - 1));
+    const summary = summarize(values);
+    expect(summary.avg).toBeCloseTo(mean, 12);
+    expect(summary.std).toBeCloseTo(std, 12);
+    expect(summary.min).toBe(1);
+    expect(summary.max).toBe(9);
+    expect(summary.median).toBe(3.5);
+  });
+
+  it('gives a single value no spread', () => {
+    expect(summarize([0.7])).toMatchObject({ count: 1, avg: 0.7, std: 0, min: 0.7, p10: 0.7, median: 0.7, p90: 0.7, max: 0.7 });
+  });
+
+  it('returns the empty summary for no values', () => {
+    expect(summarize([])).toMatchObject({ count: 0, avg: null, std: null, median: null });
+  });
+
+  it('handles large arrays without spreading them into Math.min/max', () => {
+    const values = Array.from({ length: 300000 }, (_, i) => i % 1000);
+    const summary = summarize(values);
+    expect(summary.min).toBe(0);
+    expect(summary.max).toBe(999);
+    expect(summary.avg).toBeCloseTo(499.5, 6);
+  });
+});
+
+describe('quantile', () => {
+  it('interpolates between closest ranks', () => {
+    expect(quantile([10, 20, 30, 40], 0.5)).toBe(25);
+    expect(quantile([10, 20, 30, 40], 0.25)).toBe(17.5);
+    expect(quantile([], 0.5)).toBeNull();
+  });
+});
+
+describe('extent', () => {
+  it('skips non-finite values', () => {
+    expect(extent([3, NaN, null, -2, 'x', Infinity, 7])).toEqual([-2, 7]);
+  });
+
+  it('is null without finite values', () => {
+    expect(extent([NaN, undefined])).toBeNull();
+  });
+});
+
+describe('groupClusterStats', () => {
+  it('groups the fixture by cluster in cluster order', () => {
+    const stats = groupClusterStats(loadFixture('interpretation.csv'), FEATURES);
+    expect(stats.map(s => [s.cluster, s.count])).toEqual([[0, 3], [1, 3], [2, 3], [3, 3]]);
+    expect(stats[0].metrics.motion_mean.avg).toBeCloseTo(0.85, 10);
+    expect(stats[1].metrics.visual_density.median).toBeCloseTo(0.9, 10);
+    expect(stats[0].videos.map(v => v.video_id)).toEqual(['m1', 'm2', 'm3']);
+  });
+
+  it('leaves NaN, empty and text values out of a metric instead of counting them as 0', () => {
+    const stats = groupClusterStats(loadFixture('edge-cases.csv'), FEATURES);
+    const pair = stats.find(s => s.cluster === 1);
+    expect(pair.count).toBe(3);
+    expect(pair.metrics.cut_rate_per_min).toMatchObject({ count: 1, avg: 90 });
+    expect(pair.metrics.visual_density).toMatchObject({ count: 2, avg: 0.5 });
+  });
+
+  it('skips NaN numbers passed in directly', () => {
+    const [stats] = groupClusterStats([{ cluster: 0, motion_mean: NaN }, { cluster: 0, motion_mean: 0.4 }], ['motion_mean']);
+    expect(stats.metrics.motion_mean).toMatchObject({ count: 1, avg: 0.4 });
+  });
+
+  it('summarizes a single-video cluster with zero spread', () => {
+    const stats = groupClusterStats(loadFixture('edge-cases.csv'), FEATURES);
+    const solo = stats.find(s => s.cluster === 0);
+    expect(solo.count).toBe(1);
+    expect(solo.metrics.cut_rate_per_min).toMatchObject({ avg: 30, std: 0, min: 30, max: 30 });
+    expect(getRange(solo.metrics.cut_rate_per_min, 'p25_p75')).toEqual([30, 30]);
+  });
+
+  it('keeps clusters labelled 1 and "1" together', () => {
+    const stats = groupClusterStats([{ cluster: 1, motion_mean: 0.2 }, { cluster: '1', motion_mean: 0.4 }], ['motion_mean']);
+    expect(stats).toHaveLength(1);
+    expect(stats[0].count).toBe(2);
+  });
+
+  it('orders text labels by name and numeric labels by value', () => {
+    const rows = ['beta', 'alpha', 'gamma', 'alpha'].map(cluster => ({ cluster }));
+    expect(groupClusterStats(rows, []).map(s => s.cluster)).toEqual(['alpha', 'beta', 'gamma']);
+    expect(groupClusterStats([10, 2, 1].map(cluster => ({ cluster })), []).map(s => s.cluster)).toEqual([1, 2, 10]);
+  });
+});
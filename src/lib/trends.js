@@ -0,0 +1,184 @@
+// Time-based views of the clusters: weekly share and metric timelines from a
+// publish-date column, and trend token suggestions from title/tag terms whose
+// frequency in a cluster rose in the most recent weeks against the weeks before.
+
+import { isFiniteNumber } from './features';
+
+export const DATE_COLUMN_CANDIDATES = ['publish_date', 'published_at', 'publishedAt', 'upload_date', 'created_at', 'date', 'timestamp'];
+export const TEXT_COLUMN_CANDIDATES = ['title', 'tags', 'hashtags', 'description', 'caption'];
+
+export const DEFAULT_TREND_SETTINGS = { dateColumn: null, textColumns: null, recentWeeks: 4 };
+
+// Terms below this many recent videos in a cluster are too rare to call a trend
+export const MIN_RECENT_VIDEOS = 2;
+export const MAX_SUGGESTIONS = 5;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const STOPWORDS = new Set(`
+  a an and are as at be but by for from has have how i in is it its my of on or our so that the this to was we what
+  when who why with you your me do does did not no yes all just get got can will new more most out up about into over
+  than then them they their there these those here very video videos watch part day vs
+`.trim().split(/\s+/));
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const TIME = '(?:[ T]\\d{1,2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?\\s*(?:[ap]m)?\\s*(?:z|utc|gmt|[+-]\\d{2}:?\\d{2})?)?';
+
+// Strings must look like a date before Date.parse sees them: it also accepts
+// titles such as "Top 10" or "May vlog 3"
+const DATE_PATTERNS = [
+  `\\d{4}-\\d{1,2}-\\d{1,2}${TIME}`, // 2024-03-05, 2024-03-05T10:00:00Z
+  `\\d{4}/\\d{1,2}/\\d{1,2}${TIME}`, // 2024/03/05
+  `\\d{1,2}/\\d{1,2}/\\d{4}${TIME}`, // 03/05/2024
+  `(?:[a-z]{3},?\\s+)?\\d{1,2}\\s+${MONTH},?\\s+\\d{4}${TIME}`, // 5 Mar 2024, Tue, 05 Mar 2024 10:00:00 GMT
+  `(?:[a-z]{3},?\\s+)?${MONTH}\\s+\\d{1,2},?\\s+\\d{4}${TIME}` // March 5, 2024
+].map(pattern => new RegExp(`^${pattern}$`, 'i'));
+
+const looksLikeDate = (text) => DATE_PATTERNS.some(pattern => pattern.test(text.trim()));
+
+// Dates arrive as ISO-like strings, or as Unix seconds/milliseconds after dynamic typing
+export const parseDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (isFiniteNumber(value)) {
+    const ms = value < 1e11 ? value * 1000 : value;
+    return new Date(ms);
+  }
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (!looksLikeDate(String(value))) return null;
+  const time = Date.parse(String(value));
+  return Number.isNaN(time) ? null : new Date(time);
+};
+
+// Monday 00:00 UTC of the date's week, as YYYY-MM-DD
+export const weekStart = (date) => {
+  const day = (date.getUTCDay() + 6) % 7;
+  const monday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day);
+  return new Date(monday).toISOString().slice(0, 10);
+};
+
+const columnsOf = (rows) => {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(col => columns.add(col)));
+  return [...columns];
+};
+
+// Columns where most non-empty values parse as dates
+export const detectDateColumns = (rows) => {
+  const columns = columnsOf(rows);
+  const sample = rows.slice(0, 200);
+  const dated = columns.filter(col => {
+    const filled = sample.filter(row => row[col] !== null && row[col] !== undefined && row[col] !== '');
+    if (filled.length === 0) return false;
+    // Bare numbers only count as dates under a date-like name
+    if (filled.every(row => isFiniteNumber(row[col])) && !DATE_COLUMN_CANDIDATES.includes(col)) return false;
+    return filled.filter(row => parseDate(row[col]) !== null).length / filled.length >= 0.9;
+  });
+  return [...DATE_COLUMN_CANDIDATES.filter(col => dated.includes(col)), ...dated.filter(col => !DATE_COLUMN_CANDIDATES.includes(col))];
+};
+
+// Columns holding free text, the candidates for term extraction
+export const textColumnOptions = (rows) => {
+  const sample = rows.slice(0, 200);
+  return columnsOf(rows).filter(col => sample.some(row => typeof row[col] === 'string' && /\p{L}{3}/u.test(row[col])));
+};
+
+// Title/tag columns used by default
+export const detectTextColumns = (rows) => {
+  const options = textColumnOptions(rows);
+  return TEXT_COLUMN_CANDIDATES.filter(col => options.includes(col));
+};
+
+// Lowercased terms of a title or tag list; #hashtags lose the #, duplicates collapse
+export const extractTerms = (text) => {
+  if (text === null || text === undefined) return [];
+  const terms = String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}#'-]+/u)
+    .map(term => term.replace(/^[#'-]+|['-]+$/g, ''))
+    .filter(term => term.length >= 3 && !STOPWORDS.has(term) && !/^\d+$/.test(term));
+  return [...new Set(terms)];
+};
+
+// Chart data key of a cluster's series; a bare 0 would read as "no key"
+export const timelineKey = (cluster) => `cluster_${cluster}`;
+
+// clusterStats: [{ cluster, videos }]; metric: 'share' or a numeric column.
+// Returns one row per week: { week, total, [timelineKey(cluster)]: share (0-1) or metric mean }.
+export const weeklyTimeline = (clusterStats, dateColumn, metric = 'share') => {
+  const weeks = new Map();
+  clusterStats.forEach(stats => {
+    stats.videos.forEach(row => {
+      const date = parseDate(row[dateColumn]);
+      if (!date) return;
+      const week = weekStart(date);
+      if (!weeks.has(week)) weeks.set(week, { total: 0, clusters: new Map() });
+      const bucket = weeks.get(week);
+      bucket.total++;
+      if (!bucket.clusters.has(stats.cluster)) bucket.clusters.set(stats.cluster, { count: 0, sum: 0, n: 0 });
+      const entry = bucket.clusters.get(stats.cluster);
+      entry.count++;
+      if (metric !== 'share' && isFiniteNumber(row[metric])) {
+        entry.sum += row[metric];
+        entry.n++;
+      }
+    });
+  });
+
+  return [...weeks.keys()].sort().map(week => {
+    const bucket = weeks.get(week);
+    const point = { week, total: bucket.total };
+    clusterStats.forEach(stats => {
+      const entry = bucket.clusters.get(stats.cluster);
+      const key = timelineKey(stats.cluster);
+      if (metric === 'share') point[key] = entry ? entry.count / bucket.total : 0;
+      // Weeks without videos in a cluster leave a gap rather than a zero
+      else point[key] = entry && entry.n > 0 ? entry.sum / entry.n : null;
+    });
+    return point;
+  });
+};
+
+// Per cluster, terms whose share of videos in the last `recentWeeks` weeks (up to
+// the newest video overall) exceeds their share before that. Lift uses add-one
+// smoothing so a term absent from the baseline doesn't divide by zero; the score
+// weights lift by log support so one-off terms don't dominate.
+// Returns { [cluster]: { recentVideos, baselineVideos, terms: [{ term, lift, recent, baseline, score }] } }
+export const suggestTrendTokens = (clusterStats, dateColumn, textColumns, recentWeeks) => {
+  let latest = -Infinity;
+  clusterStats.forEach(stats => stats.videos.forEach(row => {
+    const date = parseDate(row[dateColumn]);
+    if (date) latest = Math.max(latest, date.getTime());
+  }));
+  if (!Number.isFinite(latest)) return {};
+  const cutoff = latest - recentWeeks * WEEK_MS;
+
+  return Object.fromEntries(clusterStats.map(stats => {
+    const recent = new Map();
+    const baseline = new Map();
+    let recentVideos = 0;
+    let baselineVideos = 0;
+    stats.videos.forEach(row => {
+      const date = parseDate(row[dateColumn]);
+      if (!date) return;
+      const isRecent = date.getTime() > cutoff;
+      const counts = isRecent ? recent : baseline;
+      if (isRecent) recentVideos++;
+      else baselineVideos++;
+      const terms = new Set(textColumns.flatMap(col => extractTerms(row[col])));
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    });
+
+    const terms = [...recent.entries()]
+      .filter(([, count]) => count >= MIN_RECENT_VIDEOS)
+      .map(([term, count]) => {
+        const before = baseline.get(term) || 0;
+        const lift = ((count + 1) / (recentVideos + 2)) / ((before + 1) / (baselineVideos + 2));
+        return { term, lift, recent: count, baseline: before, score: lift * Math.log(1 + count) };
+      })
+      .filter(term => term.lift > 1)
+      .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+      .slice(0, MAX_SUGGESTIONS);
+
+    return [stats.cluster, { recentVideos, baselineVideos, terms }];
+  }));
+};
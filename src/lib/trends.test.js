@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate, detectDateColumns, textColumnOptions } from './trends';
+
+describe('parseDate', () => {
+  const localDay = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+  it.each(['2024/03/05', '03/05/2024', 'March 5, 2024', '5 Mar 2024', '2024-03-05 10:30'])('reads %s', (text) => {
+    expect(localDay(parseDate(text))).toEqual([2024, 3, 5]);
+  });
+
+  it.each([
+    ['2024-03-05', '2024-03-05T00:00:00.000Z'],
+    ['2024-03-05T10:30:00Z', '2024-03-05T10:30:00.000Z'],
+    ['2024-03-05T12:30:00+02:00', '2024-03-05T10:30:00.000Z'],
+    ['Tue, 05 Mar 2024 10:30:00 GMT', '2024-03-05T10:30:00.000Z']
+  ])('reads %s with its zone', (text, iso) => {
+    expect(parseDate(text).toISOString()).toBe(iso);
+  });
+
+  it('reads Unix seconds and milliseconds', () => {
+    expect(parseDate(1709596800).toISOString()).toBe('2024-03-05T00:00:00.000Z');
+    expect(parseDate(1709596800000).toISOString()).toBe('2024-03-05T00:00:00.000Z');
+  });
+
+  it.each(['Top 10', 'Episode 12', 'Part 1', 'May vlog 3', 'vid-2024', '12', 'March madness'])('rejects the title %s', (text) => {
+    expect(parseDate(text)).toBeNull();
+  });
+});
+
+describe('detectDateColumns', () => {
+  it('keeps title and ID columns out of the date columns', () => {
+    const rows = [
+      { video_id: 'Part 1', title: 'Top 10', published: '2024-03-05', cluster: 0 },
+      { video_id: 'Part 2', title: 'Episode 12', published: '2024-03-12', cluster: 1 },
+      { video_id: 'Part 3', title: 'May vlog 3', published: '2024-03-19', cluster: 0 }
+    ];
+    expect(detectDateColumns(rows)).toEqual(['published']);
+    expect(textColumnOptions(rows)).toEqual(expect.arrayContaining(['video_id', 'title']));
+  });
+});
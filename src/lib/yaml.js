@@ -0,0 +1,48 @@
+// YAML serializer for plain JSON data (objects, arrays, strings, numbers,
+// booleans, null, and Dates written as ISO strings the way JSON.stringify does). Ambiguous strings are written as JSON-style double-quoted
+// scalars, which YAML reads back verbatim.
+
+const RESERVED = /^(true|false|yes|no|on|off|null|~|y|n)$/i;
+const NUMBER_LIKE = /^[-+]?(\d|\.\d)|^\.(inf|nan)$/i;
+const PLAIN = /^[A-Za-z_][\w .()/-]*$/;
+
+const scalar = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'null' : JSON.stringify(value.toISOString());
+  const text = String(value);
+  const plain = PLAIN.test(text) && !RESERVED.test(text) && !NUMBER_LIKE.test(text)
+    && !text.endsWith(' ') && !text.includes(' #');
+  return plain ? text : JSON.stringify(text);
+};
+
+const isContainer = (value) => value !== null && typeof value === 'object' && !(value instanceof Date);
+const isEmpty = (value) => (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0);
+
+const inline = (value) => {
+  if (!isContainer(value)) return scalar(value);
+  return Array.isArray(value) ? '[]' : '{}';
+};
+
+const render = (value, indent) => {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (!isContainer(item) || isEmpty(item)) return [`${pad}- ${inline(item)}`];
+      const [first, ...rest] = render(item, indent + 2);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, child]) => {
+    if (!isContainer(child) || isEmpty(child)) return [`${pad}${scalar(key)}: ${inline(child)}`];
+    return [`${pad}${scalar(key)}:`, ...render(child, indent + 2)];
+  });
+};
+
+export const toYaml = (value) => {
+  if (!isContainer(value) || isEmpty(value)) return `${inline(value)}\n`;
+  return `${render(value, 0).join('\n')}\n`;
+};
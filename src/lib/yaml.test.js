@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { toYaml } from './yaml';
+
+describe('toYaml', () => {
+  it('writes nested objects and arrays', () => {
+    expect(toYaml({ a: 1, b: { c: [true, 'x'] }, d: [], e: {} })).toBe('a: 1\nb:\n  c:\n    - true\n    - x\nd: []\ne: {}\n');
+  });
+
+  it('quotes strings YAML would read as something else', () => {
+    expect(toYaml({ a: 'yes', b: '1.5', c: 'a: b' })).toBe('a: "yes"\nb: "1.5"\nc: "a: b"\n');
+  });
+
+  // Papa's dynamicTyping turns ISO datetime cells into Dates inside pinned example rows
+  it('writes Dates as ISO strings like the JSON export', () => {
+    const published = new Date('2024-03-05T10:30:00Z');
+    expect(toYaml({ attributes: { published_at: published, bad: new Date('nope') } }))
+      .toBe('attributes:\n  published_at: "2024-03-05T10:30:00.000Z"\n  bad: null\n');
+    expect(toYaml([published])).toBe('- "2024-03-05T10:30:00.000Z"\n');
+    expect(toYaml(published)).toBe('"2024-03-05T10:30:00.000Z"\n');
+  });
+});
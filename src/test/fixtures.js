@@ -0,0 +1,10 @@
+// Fixture CSVs for tests, parsed with the same settings as an upload
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import Papa from 'papaparse';
+
+export const readFixture = (name) => readFileSync(join(import.meta.dirname, 'fixtures', name), 'utf8');
+
+export const loadFixture = (name) =>
+  Papa.parse(readFixture(name), { header: true, dynamicTyping: true, skipEmptyLines: true }).data;
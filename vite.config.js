@@ -4,4 +4,7 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   base: "/video-virality-cluster-ui/",
   plugins: [react()],
+  test: {
+    environment: 'node',
+  },
 })